@@ -11,29 +11,113 @@
  * 7. Set "Who has access": "Anyone"
  * 8. Click "Deploy" and authorize when prompted
  * 9. Copy the Web app URL and paste it into the app's Settings
+ * 10. Set ACCESS_TOKEN below to a long random secret, deploy a new
+ *     version and enter the same secret as the app's access token
  * 
- * The sheet will be auto-created on first data submission.
+ * The Web app is reachable by anyone with its URL, so once ACCESS_TOKEN
+ * is set every request must carry it; without it nothing is read or
+ * written. Until it is set (e.g. a deployment from before tokens existed)
+ * requests are still served, but every reply carries a warning that the
+ * app shows in Settings, and the script logs one.
+ * 
+ * The sheet will be auto-created on first data submission. Profiles in the
+ * app can send their check-ins to their own tab; each data tab gets its
+ * own summary tab (weekly and monthly tables, charts and pattern
+ * insights), an incidents tab (one row per logged incident) and,
+ * for observer check-ins and each of the other check-in types (e.g.
+ * morning check-ins), its own tab.
+ * 
+ * SUMMARIES: rebuilt by time-driven triggers (hourly for tabs with new
+ * check-ins, nightly for all), not during a save. Run testSetup once from
+ * the editor to install them, including after updating an older script.
+ * 
+ * SAFETY ALERTS: notes containing one of the app's safety keywords are
+ * flagged in the Safety Flag column. To also email an adult about them,
+ * set ALERT_EMAIL below and run testSafetyAlerts once from the editor
+ * (it authorizes sending mail without emailing anyone).
+ * 
+ * VOICE NOTES AND DRAWINGS: files recorded or drawn in place of a note
+ * are saved to a Drive folder (ATTACHMENT_FOLDER_NAME, created on first
+ * use) and linked from the Attachments column. After updating an
+ * existing script, deploy a new version (Deploy > Manage deployments).
+ * The files aren't shared with anyone but the script owner.
  */
 
 // Configuration
 const SHEET_NAME = 'Check-In Data';
+const SUMMARY_SHEET_NAME = 'Summary';
+const OBSERVER_SHEET_NAME = 'Observer Data'; // Observer check-ins for SHEET_NAME
+const INCIDENTS_SHEET_NAME = 'Incidents'; // Incidents logged with SHEET_NAME check-ins
+
+// Tab name suffixes of the check-in types written apart from the end-of-day
+// check-ins (keep in step with questions.checkinTypes): morning check-ins for
+// SHEET_NAME go to 'Morning Data', for other tabs to '<tab> - Morning'
+const CHECKIN_TYPE_SHEETS = {
+  morning: 'Morning'
+};
 const SPREADSHEET_ID = ''; // Leave empty to auto-create, or paste an existing spreadsheet ID
+const ACCESS_TOKEN = ''; // Secret the app sends with every request (Settings → Access token); set one
+const NO_TOKEN_WARNING = 'The Apps Script has no ACCESS_TOKEN, so anyone with its URL can read and write the sheet - ' +
+  'set one at the top of the script, deploy a new version and enter it in Settings';
+const PULL_PAGE_SIZE = 500; // Most entries returned by one pull request
+const ALERT_EMAIL = ''; // Adult emailed about flagged notes (comma-separate several); leave empty for no emails
+const SAFETY_FLAG_HEADER = 'Safety Flag';
+const ATTACHMENTS_HEADER = 'Attachments';
+const ATTACHMENT_FOLDER_NAME = 'Carmel Check-In Attachments'; // Drive folder for voice notes and drawings
+
+// File extensions for the attachment types the app records
+const ATTACHMENT_EXTENSIONS = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/mpeg': 'mp3',
+  'image/png': 'png'
+};
+
+// Used until the app sends its list (keep in step with safety.config.keywords)
+const SAFETY_KEYWORDS = [
+  'kill myself', 'hurt myself', 'cut myself', 'want to die', 'wish i was dead',
+  'suicide', 'self harm', 'no reason to live', 'better off without me',
+  'bullied', 'bullying', 'bully', 'beat me up', 'hit me', 'kicked me',
+  'scared to go', 'not safe', 'unsafe',
+  'me quiero morir', 'quiero morir', 'matarme', 'suicidarme', 'suicidio',
+  'hacerme daño', 'lastimarme', 'cortarme', 'no quiero vivir', 'mejor sin mí',
+  'me pegan', 'me pegó', 'me pegaron', 'me golpean', 'me golpearon', 'me patearon',
+  'me acosan', 'acoso', 'miedo de ir', 'no estoy a salvo', 'no me siento seguro', 'no me siento segura'
+];
 
 /**
  * Handle POST requests from the check-in app
  */
 function doPost(e) {
   try {
+    // Sent as text/plain by the app to avoid a CORS preflight
     const data = JSON.parse(e.postData.contents);
     
-    // Handle test ping
-    if (data.test) {
-      return createResponse({ success: true, message: 'Connection successful!' });
+    const denied = checkAccessToken(data.token);
+    if (denied) {
+      return createResponse({ success: false, error: denied });
     }
     
-    // Save the check-in data
-    const result = saveCheckIn(data);
-    return createResponse(result);
+    switch (data.action) {
+      case 'ping':
+        return createResponse({ success: true, message: 'Connection successful!' });
+      case 'save':
+        saveCalendar(data.calendar);
+        saveSafetyKeywords(data.safetyKeywords);
+        return createResponse(saveCheckIns(data.entries || [], data.schema, data.sheet, data.observerSchema, data.incidentSchema,
+          data.checkinTypeSchemas));
+      case 'calendar':
+        saveCalendar(data.calendar);
+        markSummaryDirty(getDataSheetNames());
+        return createResponse({ success: true, message: 'School calendar saved' });
+      case 'pull':
+        return createResponse(pullEntries(data));
+      case 'attachment':
+        return createResponse(saveAttachment(data));
+      default:
+        return createResponse({ success: false, error: 'Unknown action: ' + data.action });
+    }
     
   } catch (error) {
     console.error('Error processing request:', error);
@@ -41,6 +125,23 @@ function doPost(e) {
   }
 }
 
+/**
+ * Why a request's token is refused, or null when it matches ACCESS_TOKEN.
+ * With no ACCESS_TOKEN set every request is let through (so existing
+ * deployments keep syncing) with a logged warning; createResponse adds
+ * the same warning to the reply.
+ */
+function checkAccessToken(token) {
+  if (!ACCESS_TOKEN) {
+    console.warn(NO_TOKEN_WARNING);
+    return null;
+  }
+  if (typeof token !== 'string' || token !== ACCESS_TOKEN) {
+    return 'Wrong access token - check it in Settings';
+  }
+  return null;
+}
+
 /**
  * Handle GET requests (for testing)
  */
@@ -53,183 +154,1410 @@ function doGet(e) {
 }
 
 /**
- * Save check-in data to the spreadsheet
+ * Read entries back for the app (e.g. on a new device), in sheet order,
+ * from the `sheet` tab (default: SHEET_NAME), from its observer tab
+ * when `respondent` is 'observer', or from its tab for `checkinType`
+ * when that's one of CHECKIN_TYPE_SHEETS. The end-of-day entries carry
+ * their incidents from the incidents tab. Optional filters: `since` (YYYY-MM-DD) keeps entries dated on or after
+ * it, `after` (an Entry ID) keeps the rows below that entry. Results come
+ * in pages of up to `limit`; pass the returned `next` as `offset` to get
+ * the following page (`next` is null on the last one).
  */
-function saveCheckIn(data) {
-  const sheet = getOrCreateSheet();
+function pullEntries(request) {
+  const spreadsheet = getSpreadsheet();
+  const observer = request.respondent === 'observer';
+  const checkinType = !observer && CHECKIN_TYPE_SHEETS.hasOwnProperty(request.checkinType) ? request.checkinType : null;
+  const name = dataSheetName(request.sheet);
+  const tabName = observer ? observerSheetName(name) : (checkinType ? checkinTypeSheetName(name, checkinType) : name);
+  const sheet = spreadsheet.getSheetByName(tabName);
+  if (!sheet) {
+    return { success: true, entries: [], total: 0, next: null };
+  }
   
-  // Extract data
-  const responses = data.responses || {};
-  
-  // Format row
-  const row = [
-    data.date || new Date().toISOString().split('T')[0],
-    data.timestamp || new Date().toISOString(),
-    responses.overall_day || '',
-    responses.academic_focus || '',
-    formatSocialResponse(responses.social_interactions),
-    responses.dysregulation_count !== undefined ? responses.dysregulation_count : '',
-    formatCopingResponse(responses.used_coping_strategy),
-    responses.free_response || '',
-    data.id || '',
-    data.metadata?.completion_time_seconds || '',
-    data.metadata?.device || ''
-  ];
+  const schema = observer ? getSchema(null, {}, 'OBSERVER_SCHEMA') :
+    (checkinType ? getSchema(null, {}, checkinTypeSchemaKey(checkinType)) : null);
+  let entries = readEntries(sheet, spreadsheet.getSpreadsheetTimeZone(), schema);
   
-  // Append row to sheet
-  sheet.appendRow(row);
+  const incidentsSheet = observer || checkinType ? null : spreadsheet.getSheetByName(incidentsSheetName(name));
+  if (incidentsSheet) {
+    const incidents = readIncidents(incidentsSheet, getSchema(null, {}, 'INCIDENT_SCHEMA'));
+    entries.forEach(entry => {
+      entry.incidents = incidents[entry.id] || [];
+    });
+  }
   
-  return { 
-    success: true, 
-    message: 'Check-in saved successfully',
-    entryId: data.id
+  if (request.after) {
+    const index = entries.findIndex(entry => entry.id === String(request.after));
+    if (index === -1) {
+      return { success: false, error: 'Unknown entry ID: ' + request.after };
+    }
+    entries = entries.slice(index + 1);
+  }
+  if (request.since) {
+    entries = entries.filter(entry => entry.date >= request.since);
+  }
+  
+  const limit = Math.min(Math.max(parseInt(request.limit, 10) || PULL_PAGE_SIZE, 1), PULL_PAGE_SIZE);
+  const offset = Math.max(parseInt(request.offset, 10) || 0, 0);
+  const page = entries.slice(offset, offset + limit);
+  
+  return {
+    success: true,
+    // Everything read from the sheet is, by definition, synced
+    entries: page.map(entry => Object.assign({}, entry, checkinType ? { checkin_type: checkinType } : {},
+      { respondent: observer ? 'observer' : 'self', synced: true })),
+    total: entries.length,
+    next: offset + limit < entries.length ? offset + limit : null
   };
 }
 
 /**
- * Get or create the data sheet
+ * Save a batch of check-ins to a data tab (default: SHEET_NAME), with
+ * observer check-ins going to that tab's observer tab, check-ins of the
+ * types in CHECKIN_TYPE_SHEETS to their own tabs (with the columns of
+ * their schemas in checkinTypeSchemas, by type) and the incidents of the
+ * end-of-day check-ins to its incidents tab.
+ * New entries are appended with a single write. An entry already in the
+ * sheet (by Entry ID) is updated in place when it carries a newer revision
+ * and otherwise acknowledged without being written again, so the app can
+ * safely retry. Returns an ack per entry ID: 'inserted', 'updated',
+ * 'duplicate' or 'rejected' (with a reason in errors). Newly flagged
+ * notes are emailed to ALERT_EMAIL once the rows are written.
  */
-function getOrCreateSheet() {
-  let spreadsheet;
+function saveCheckIns(entries, schema, sheetName, observerSchema, incidentSchema, checkinTypeSchemas) {
+  const acks = {};
+  const errors = {};
+  const name = dataSheetName(sheetName);
+  const isObserver = data => !!data && data.respondent === 'observer';
+  // Entries of types without a tab of their own (or none) are end-of-day check-ins
+  const typeOf = data => !!data && !isObserver(data) && CHECKIN_TYPE_SHEETS.hasOwnProperty(data.checkin_type) ? data.checkin_type : null;
+  const selfEntries = entries.filter(data => !isObserver(data) && !typeOf(data));
+  const observerEntries = entries.filter(isObserver);
+  const flagged = [];
   
-  if (SPREADSHEET_ID) {
-    // Use existing spreadsheet
-    spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
-  } else {
-    // Create or get spreadsheet in script owner's Drive
-    const files = DriveApp.getFilesByName('Carmel Daily Check-In Data');
+  // Hold the lock so concurrent retries can't both append the same entry
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  
+  try {
+    writeCheckIns(getOrCreateSheet(name), selfEntries, getSchema(schema, selfEntries[0] || {}), acks, errors, flagged);
+    rememberDataSheet(name);
+    // The summary is of these rows; it's rebuilt by the trigger, not on every save
+    if (selfEntries.some(data => acks[data.id] === 'inserted' || acks[data.id] === 'updated')) {
+      markSummaryDirty([name]);
+    }
+    
+    // Entries from app versions without the incident log have no list
+    const written = selfEntries.filter(data => Array.isArray(data.incidents) &&
+      (acks[data.id] === 'inserted' || acks[data.id] === 'updated'));
+    if (written.length > 0) {
+      writeIncidents(incidentsSheetName(name), written, getSchema(incidentSchema, {}, 'INCIDENT_SCHEMA'));
+    }
+    
+    if (observerEntries.length > 0) {
+      const questions = getSchema(observerSchema, observerEntries[0], 'OBSERVER_SCHEMA');
+      writeCheckIns(getOrCreateSheet(observerSheetName(name)), observerEntries, questions, acks, errors);
+    }
+    
+    Object.keys(CHECKIN_TYPE_SHEETS).forEach(type => {
+      const typeEntries = entries.filter(data => typeOf(data) === type);
+      if (typeEntries.length === 0) return;
+      const questions = getSchema((checkinTypeSchemas || {})[type], typeEntries[0], checkinTypeSchemaKey(type));
+      writeCheckIns(getOrCreateSheet(checkinTypeSheetName(name, type)), typeEntries, questions, acks, errors, flagged);
+    });
+  } finally {
+    lock.releaseLock();
+  }
+  
+  // The rows are safely written; an alert failure shouldn't fail the save
+  try {
+    sendSafetyAlerts(flagged, name);
+  } catch (error) {
+    console.error('Error sending safety alerts:', error);
+  }
+  
+  return { success: true, acks: acks, errors: errors };
+}
+
+/**
+ * Write entries to one tab (see saveCheckIns), recording acks and errors,
+ * and adding { entry, keywords, notes } to `flagged` (when given) for
+ * rows whose safety flag is new. Call with the script lock held.
+ */
+function writeCheckIns(sheet, entries, schema, acks, errors, flagged) {
+  const columns = getColumns(schema);
+  
+  // Make sure every column exists, then place values by header
+  const headers = ensureHeaders(sheet, columns);
+  const existing = getEntryRows(sheet, headers);
+  const flagColumn = headers.indexOf(SAFETY_FLAG_HEADER);
+  const rows = [];
+  const flag = (data, record, previous) => {
+    const keywords = record[SAFETY_FLAG_HEADER];
+    if (flagged && keywords && keywords !== previous) {
+      const notes = schema
+        .filter(question => question.type === 'text' && data.responses[question.id])
+        .map(question => data.responses[question.id]);
+      flagged.push({ entry: data, keywords: keywords, notes: notes });
+    }
+  };
+  
+  entries.forEach(data => {
+    const problem = validateEntry(data);
+    if (problem) {
+      if (data && data.id) {
+        acks[data.id] = 'rejected';
+        errors[data.id] = problem;
+      }
+      return;
+    }
+    
+    const record = buildRecord(data, columns);
+    const revision = data.revision || 1;
+    const found = existing[data.id];
     
-    if (files.hasNext()) {
-      spreadsheet = SpreadsheetApp.open(files.next());
+    if (!found) {
+      rows.push(headers.map(header => record.hasOwnProperty(header) ? record[header] : ''));
+      existing[data.id] = { row: null, revision: revision };
+      acks[data.id] = 'inserted';
+      flag(data, record, '');
+    } else if (revision > found.revision && found.row) {
+      // An edit - overwrite our columns, keep anything else in the row
+      const range = sheet.getRange(found.row, 1, 1, headers.length);
+      const current = range.getValues()[0];
+      range.setValues([headers.map((header, i) => record.hasOwnProperty(header) ? record[header] : current[i])]);
+      found.revision = revision;
+      acks[data.id] = 'updated';
+      // Only a changed flag alerts again, not every edit of a flagged entry
+      flag(data, record, flagColumn !== -1 ? String(current[flagColumn]) : '');
     } else {
-      spreadsheet = SpreadsheetApp.create('Carmel Daily Check-In Data');
-      setupNewSpreadsheet(spreadsheet);
+      // Keep 'inserted' if the same ID appears twice in one batch
+      acks[data.id] = acks[data.id] || 'duplicate';
+    }
+  });
+  
+  if (rows.length > 0) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, headers.length).setValues(rows);
+  }
+}
+
+/**
+ * Replace the incidents tab rows of the given entries with one row per
+ * incident in their lists. Call with the script lock held.
+ */
+function writeIncidents(name, entries, schema) {
+  const columns = getIncidentColumns(schema);
+  const records = [];
+  entries.forEach(data => {
+    data.incidents.forEach((incident, i) => {
+      records.push(buildRecord({ entry: data, incident: incident || {}, number: i + 1 }, columns));
+    });
+  });
+  
+  let sheet = getSpreadsheet().getSheetByName(name);
+  if (!sheet && records.length === 0) return;
+  sheet = sheet || getOrCreateSheet(name);
+  const headers = ensureHeaders(sheet, columns);
+  
+  const rows = records.map(record => headers.map(header => record.hasOwnProperty(header) ? record[header] : ''));
+  const ids = new Set(entries.map(data => data.id));
+  const idColumn = headers.indexOf('Entry ID');
+  const lastRow = sheet.getLastRow();
+  const existing = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, headers.length).getValues() : [];
+  const kept = existing.filter(row => !ids.has(String(row[idColumn])));
+  
+  if (kept.length === existing.length) {
+    // Nothing to replace - just append
+    if (rows.length > 0) {
+      sheet.getRange(lastRow + 1, 1, rows.length, headers.length).setValues(rows);
     }
+    return;
+  }
+  
+  // Drop the rows these entries had before by rewriting the tab in one go
+  const all = kept.concat(rows);
+  sheet.getRange(2, 1, lastRow - 1, headers.length).clearContent();
+  if (all.length > 0) {
+    sheet.getRange(2, 1, all.length, headers.length).setValues(all);
+  }
+}
+
+/**
+ * Columns of the incidents tab: the incident fields between the date,
+ * the incident's number that day and the entry it belongs to
+ */
+function getIncidentColumns(schema) {
+  return [
+    { header: 'Date', width: 100, value: row => row.entry.date },
+    { header: 'Incident #', width: 80, value: row => row.number },
+    ...schema.map(field => ({
+      header: field.header,
+      aliases: field.aliases || [],
+      width: 160,
+      value: row => formatResponse(field, row.incident[field.id])
+    })),
+    { header: 'Entry ID', width: 200, value: row => row.entry.id },
+    { header: 'Profile ID', width: 200, value: row => row.entry.profile_id || '' }
+  ];
+}
+
+/**
+ * Read an incidents tab back into lists of incidents by Entry ID
+ */
+function readIncidents(sheet, schema) {
+  const byEntry = {};
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) return byEntry;
+  
+  const values = sheet.getRange(1, 1, lastRow, sheet.getLastColumn()).getValues();
+  const headers = values[0];
+  const idColumn = headers.indexOf('Entry ID');
+  if (idColumn === -1) return byEntry;
+  
+  values.slice(1).forEach(row => {
+    const id = String(row[idColumn]);
+    if (!id) return;
+    const incident = {};
+    schema.forEach(field => {
+      const index = findColumn(headers, field);
+      incident[field.id] = index !== -1 ? parseResponse(field, row[index]) : null;
+    });
+    byEntry[id] = byEntry[id] || [];
+    byEntry[id].push(incident);
+  });
+  return byEntry;
+}
+
+/**
+ * Check an entry has the fields needed to write a row.
+ * Returns a reason string, or null when the entry is valid.
+ */
+function validateEntry(data) {
+  if (!data || typeof data.id !== 'string' || !data.id) return 'Missing entry id';
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(data.date || '')) return 'Missing or invalid date';
+  if (!data.responses || typeof data.responses !== 'object') return 'Missing responses';
+  return null;
+}
+
+/**
+ * Map each Entry ID in the sheet to its row number and revision
+ */
+function getEntryRows(sheet, headers) {
+  const idColumn = headers.indexOf('Entry ID');
+  const revisionColumn = headers.indexOf('Revision');
+  const lastRow = sheet.getLastRow();
+  const rows = {};
+  if (idColumn === -1 || lastRow < 2) return rows;
+  
+  sheet.getRange(2, 1, lastRow - 1, headers.length).getValues().forEach((row, i) => {
+    const id = String(row[idColumn]);
+    if (!id) return;
+    rows[id] = {
+      row: i + 2,
+      revision: revisionColumn !== -1 ? (Number(row[revisionColumn]) || 1) : 1
+    };
+  });
+  return rows;
+}
+
+/**
+ * Get the question schema sent by the app, remembering the latest one
+ * (under OBSERVER_SCHEMA for the observer questions, and under
+ * checkinTypeSchemaKey for the other check-in types).
+ * Falls back to the last stored schema, then to the raw response fields.
+ */
+function getSchema(schema, data, key) {
+  const properties = PropertiesService.getScriptProperties();
+  const property = key || 'QUESTION_SCHEMA';
+  
+  if (Array.isArray(schema) && schema.length > 0) {
+    properties.setProperty(property, JSON.stringify(schema));
+    return schema;
+  }
+  
+  const stored = properties.getProperty(property);
+  if (stored) {
+    return JSON.parse(stored);
   }
   
+  return Object.keys(data.responses || {}).map(id => ({ id: id, header: id }));
+}
+
+/**
+ * Full column list: fixed columns around the question columns, with
+ * the safety flag after them when there are text questions and the
+ * attachment links when a question takes voice notes or drawings
+ */
+function getColumns(schema) {
+  const textQuestions = schema.filter(question => question.type === 'text');
+  const flagColumn = {
+    header: SAFETY_FLAG_HEADER,
+    width: 160,
+    value: data => findSafetyKeywords(
+      textQuestions.map(question => (data.responses || {})[question.id] || '').join('\n'),
+      getSafetyKeywords()).join(', ')
+  };
+  const attachmentsColumn = {
+    header: ATTACHMENTS_HEADER,
+    width: 300,
+    value: data => formatAttachments(data.attachments)
+  };
+  
+  return [
+    { header: 'Date', width: 100, value: data => data.date || new Date().toISOString().split('T')[0] },
+    { header: 'Timestamp', width: 180, value: data => data.timestamp || new Date().toISOString() },
+    ...schema.map(question => ({
+      header: question.header,
+      aliases: question.aliases || [],
+      width: question.type === 'text' ? 300 : (question.type === 'choice' ? 200 : 120),
+      value: data => formatResponse(question, (data.responses || {})[question.id])
+    })),
+    ...(textQuestions.length > 0 ? [flagColumn] : []),
+    ...(schema.some(question => question.attachments) ? [attachmentsColumn] : []),
+    { header: 'Entry ID', width: 200, value: data => data.id || '' },
+    { header: 'Profile ID', width: 200, value: data => data.profile_id || '' },
+    { header: 'Revision', width: 80, value: data => data.revision || 1 },
+    { header: 'Last Modified', width: 180, value: data => data.modified_at || data.timestamp || '' },
+    { header: 'Completion Time (sec)', width: 120, value: data => data.metadata?.completion_time_seconds || '' },
+    { header: 'Device', width: 80, value: data => data.metadata?.device || '' }
+  ];
+}
+
+/**
+ * Build a header -> value map for one entry
+ */
+function buildRecord(data, columns) {
+  const record = {};
+  columns.forEach(column => {
+    record[column.header] = column.value(data);
+  });
+  return record;
+}
+
+/**
+ * Save a voice note or drawing (base64 `data`) to the attachments folder
+ * and return its link. Files are named after the data tab, date, kind and
+ * attachment id, so a retried upload gets back the file it already made.
+ */
+function saveAttachment(data) {
+  if (!data.id || !data.data || !/^\d{4}-\d{2}-\d{2}$/.test(data.date || '')) {
+    return { success: false, error: 'Missing attachment id, date or data' };
+  }
+  
+  const mimeType = String(data.mimeType || 'application/octet-stream');
+  const extension = ATTACHMENT_EXTENSIONS[mimeType.split(';')[0]] || 'bin';
+  const name = [dataSheetName(data.sheet), data.date, data.kind, data.id].join(' ') + '.' + extension;
+  const folder = getAttachmentFolder();
+  
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const existing = folder.getFilesByName(name);
+    const file = existing.hasNext()
+      ? existing.next()
+      : folder.createFile(Utilities.newBlob(Utilities.base64Decode(data.data), mimeType, name));
+    return { success: true, url: file.getUrl() };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * The Drive folder for attachments, created on first use (its id is kept
+ * in the script properties, so renaming or moving it is fine)
+ */
+function getAttachmentFolder() {
+  const properties = PropertiesService.getScriptProperties();
+  const id = properties.getProperty('ATTACHMENT_FOLDER_ID');
+  if (id) {
+    try {
+      return DriveApp.getFolderById(id);
+    } catch (error) {
+      // Deleted - start a new one
+      console.warn('Attachment folder missing, creating a new one:', error);
+    }
+  }
+  
+  const folder = DriveApp.createFolder(ATTACHMENT_FOLDER_NAME);
+  properties.setProperty('ATTACHMENT_FOLDER_ID', folder.getId());
+  return folder;
+}
+
+/**
+ * Attachments cell: one "kind link" line per uploaded attachment
+ */
+function formatAttachments(attachments) {
+  return (Array.isArray(attachments) ? attachments : [])
+    .filter(attachment => attachment && attachment.url)
+    .map(attachment => attachment.kind + ' ' + attachment.url)
+    .join('\n');
+}
+
+/**
+ * Read an Attachments cell back into the app's { id, kind, url } list
+ * (the link stands in for the id)
+ */
+function parseAttachments(value) {
+  return String(value || '').split('\n')
+    .map(line => line.trim().match(/^(voice|drawing) (https:\/\/\S+)$/))
+    .filter(match => match)
+    .map(match => ({ id: match[2], kind: match[1], url: match[2] }));
+}
+
+/**
+ * Open the configured spreadsheet, creating it on first use
+ */
+function getSpreadsheet() {
+  if (SPREADSHEET_ID) {
+    // Use existing spreadsheet
+    return SpreadsheetApp.openById(SPREADSHEET_ID);
+  }
+  
+  // Create or get spreadsheet in script owner's Drive
+  const files = DriveApp.getFilesByName('Carmel Daily Check-In Data');
+  
+  if (files.hasNext()) {
+    return SpreadsheetApp.open(files.next());
+  }
+  
+  const spreadsheet = SpreadsheetApp.create('Carmel Daily Check-In Data');
+  setupNewSpreadsheet(spreadsheet);
+  return spreadsheet;
+}
+
+/**
+ * Get or create a data sheet (default: SHEET_NAME)
+ */
+function getOrCreateSheet(name) {
+  const spreadsheet = getSpreadsheet();
+  const sheetName = name || SHEET_NAME;
+  
   // Get or create the data sheet
-  let sheet = spreadsheet.getSheetByName(SHEET_NAME);
+  let sheet = spreadsheet.getSheetByName(sheetName);
   if (!sheet) {
-    sheet = spreadsheet.insertSheet(SHEET_NAME);
-    setupSheetHeaders(sheet);
+    sheet = spreadsheet.insertSheet(sheetName);
   }
   
   return sheet;
 }
 
+/**
+ * Remember a data tab's name so the nightly rebuild covers it
+ */
+function rememberDataSheet(name) {
+  const names = getDataSheetNames();
+  if (names.indexOf(name) === -1) {
+    names.push(name);
+    PropertiesService.getScriptProperties().setProperty('DATA_SHEETS', JSON.stringify(names));
+  }
+}
+
+/**
+ * Names of every data tab the app has written to
+ */
+function getDataSheetNames() {
+  const stored = PropertiesService.getScriptProperties().getProperty('DATA_SHEETS');
+  const names = stored ? JSON.parse(stored) : [];
+  return names.indexOf(SHEET_NAME) === -1 ? [SHEET_NAME].concat(names) : names;
+}
+
+/**
+ * The data tab a request names (blank for SHEET_NAME). Summary, observer
+ * and incidents tabs belong to a data tab, so they can't be one (the
+ * app's profiles.isReservedSheet keeps new profiles' tabs clear of them).
+ */
+function dataSheetName(name) {
+  // Sheets caps tab names at 100 characters
+  const sheetName = String(name || '').trim().slice(0, 100) || SHEET_NAME;
+  const typeTab = Object.keys(CHECKIN_TYPE_SHEETS).some(type =>
+    sheetName === checkinTypeSheetName(SHEET_NAME, type) || sheetName.endsWith(' - ' + CHECKIN_TYPE_SHEETS[type]));
+  if (sheetName === SUMMARY_SHEET_NAME || sheetName.indexOf(SUMMARY_SHEET_NAME + ' - ') === 0 ||
+      sheetName === OBSERVER_SHEET_NAME || / - Observer$/.test(sheetName) ||
+      sheetName === INCIDENTS_SHEET_NAME || / - Incidents$/.test(sheetName) || typeTab) {
+    throw new Error('Not a data sheet: ' + sheetName);
+  }
+  return sheetName;
+}
+
+/**
+ * The observer tab for a data tab: OBSERVER_SHEET_NAME for the default
+ * one, "<tab> - Observer" for the others
+ */
+function observerSheetName(dataName) {
+  return dataName === SHEET_NAME ? OBSERVER_SHEET_NAME : dataName.slice(0, 89) + ' - Observer';
+}
+
+/**
+ * The tab for one of CHECKIN_TYPE_SHEETS' check-in types: e.g.
+ * 'Morning Data' for the default data tab, "<tab> - Morning" for the others
+ */
+function checkinTypeSheetName(dataName, type) {
+  const suffix = CHECKIN_TYPE_SHEETS[type];
+  return dataName === SHEET_NAME ? suffix + ' Data' : dataName.slice(0, 97 - suffix.length) + ' - ' + suffix;
+}
+
+/**
+ * Script property holding a check-in type's question schema
+ */
+function checkinTypeSchemaKey(type) {
+  return type.toUpperCase() + '_SCHEMA';
+}
+
+/**
+ * The incidents tab for a data tab: INCIDENTS_SHEET_NAME for the default
+ * one, "<tab> - Incidents" for the others
+ */
+function incidentsSheetName(dataName) {
+  return dataName === SHEET_NAME ? INCIDENTS_SHEET_NAME : dataName.slice(0, 88) + ' - Incidents';
+}
+
+/**
+ * The summary tab for a data tab: SUMMARY_SHEET_NAME for the default one,
+ * "Summary - <tab>" for the others
+ */
+function summarySheetName(dataName) {
+  return dataName === SHEET_NAME ? SUMMARY_SHEET_NAME : (SUMMARY_SHEET_NAME + ' - ' + dataName).slice(0, 100);
+}
+
 /**
  * Set up a new spreadsheet with formatting
  */
 function setupNewSpreadsheet(spreadsheet) {
   const sheet = spreadsheet.getActiveSheet();
   sheet.setName(SHEET_NAME);
-  setupSheetHeaders(sheet);
-  
-  // Create a summary sheet
-  const summarySheet = spreadsheet.insertSheet('Weekly Summary');
-  setupSummarySheet(summarySheet);
+  // Headers are written from the app's schema on the first save,
+  // and the summary sheet is built after it
 }
 
 /**
  * Set up headers for the data sheet
  */
-function setupSheetHeaders(sheet) {
-  const headers = [
-    'Date',
-    'Timestamp',
-    'Overall Day (1-5)',
-    'Academic Focus (1-5)',
-    'Social Interactions',
-    'Dysregulation Count',
-    'Coping Strategy Used',
-    'Notes',
-    'Entry ID',
-    'Completion Time (sec)',
-    'Device'
-  ];
+function setupSheetHeaders(sheet, columns) {
+  const headers = columns.map(column => column.header);
   
   // Set headers
   sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
   
   // Format header row
-  const headerRange = sheet.getRange(1, 1, 1, headers.length);
-  headerRange.setFontWeight('bold');
-  headerRange.setBackground('#4a5568');
-  headerRange.setFontColor('#ffffff');
+  formatHeaderCells(sheet, 1, headers.length);
   
   // Set column widths
-  sheet.setColumnWidth(1, 100);  // Date
-  sheet.setColumnWidth(2, 180);  // Timestamp
-  sheet.setColumnWidth(3, 120);  // Overall
-  sheet.setColumnWidth(4, 120);  // Focus
-  sheet.setColumnWidth(5, 200);  // Social
-  sheet.setColumnWidth(6, 120);  // Dysreg
-  sheet.setColumnWidth(7, 180);  // Coping
-  sheet.setColumnWidth(8, 300);  // Notes
-  sheet.setColumnWidth(9, 200);  // Entry ID
-  sheet.setColumnWidth(10, 120); // Time
-  sheet.setColumnWidth(11, 80);  // Device
+  columns.forEach((column, i) => sheet.setColumnWidth(i + 1, column.width));
   
   // Freeze header row
   sheet.setFrozenRows(1);
 }
 
 /**
- * Set up the weekly summary sheet with formulas
+ * Add any columns missing from an existing sheet and return its headers.
+ * A column found under one of its aliases (its header in another
+ * language) is renamed rather than added again.
+ */
+function ensureHeaders(sheet, columns) {
+  if (sheet.getLastColumn() === 0) {
+    setupSheetHeaders(sheet, columns);
+    return columns.map(column => column.header);
+  }
+  
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  columns.forEach(column => {
+    const index = findColumn(headers, column);
+    if (index !== -1 && headers[index] !== column.header) {
+      sheet.getRange(1, index + 1).setValue(column.header);
+      headers[index] = column.header;
+    }
+  });
+  
+  const missing = columns.filter(column => headers.indexOf(column.header) === -1);
+  
+  if (missing.length > 0) {
+    const start = headers.length + 1;
+    sheet.getRange(1, start, 1, missing.length).setValues([missing.map(column => column.header)]);
+    formatHeaderCells(sheet, start, missing.length);
+    missing.forEach((column, i) => sheet.setColumnWidth(start + i, column.width));
+    missing.forEach(column => headers.push(column.header));
+  }
+  
+  return headers;
+}
+
+/**
+ * Index of a column in a header row by its header, else by one of its
+ * aliases (-1 if it has none)
+ */
+function findColumn(headers, column) {
+  const names = [column.header].concat(column.aliases || []);
+  for (let i = 0; i < names.length; i++) {
+    const index = headers.indexOf(names[i]);
+    if (index !== -1) return index;
+  }
+  return -1;
+}
+
+/**
+ * Apply header styling to a run of header cells
+ */
+function formatHeaderCells(sheet, startColumn, count) {
+  const headerRange = sheet.getRange(1, startColumn, 1, count);
+  headerRange.setFontWeight('bold');
+  headerRange.setBackground('#4a5568');
+  headerRange.setFontColor('#ffffff');
+}
+
+/**
+ * Rebuild the summary of every data tab. Runs from the nightly trigger
+ * (see installTriggers), so missed days keep counting without new entries.
+ */
+function rebuildSummary() {
+  takeDirtySummaries();
+  getDataSheetNames().forEach(name => rebuildSheetSummary(name));
+}
+
+/**
+ * Rebuild the summaries of the data tabs written to (or whose calendar
+ * changed) since the last rebuild. Runs from the hourly trigger.
+ */
+function rebuildDirtySummaries() {
+  takeDirtySummaries().forEach(name => {
+    try {
+      rebuildSheetSummary(name);
+    } catch (error) {
+      // Try again next time
+      console.error('Error rebuilding summary of ' + name + ':', error);
+      markSummaryDirty([name]);
+    }
+  });
+}
+
+/**
+ * Note that these data tabs' summaries need rebuilding
+ */
+function markSummaryDirty(names) {
+  // Under the script lock (if the caller doesn't hold it already) so marks aren't lost
+  const lock = LockService.getScriptLock();
+  const held = lock.hasLock();
+  if (!held) lock.waitLock(30000);
+  try {
+    const properties = PropertiesService.getScriptProperties();
+    const stored = properties.getProperty('DIRTY_SUMMARIES');
+    const dirty = stored ? JSON.parse(stored) : [];
+    names.forEach(name => {
+      if (dirty.indexOf(name) === -1) dirty.push(name);
+    });
+    properties.setProperty('DIRTY_SUMMARIES', JSON.stringify(dirty));
+  } finally {
+    if (!held) lock.releaseLock();
+  }
+}
+
+/**
+ * The data tabs whose summaries need rebuilding, clearing the list
+ */
+function takeDirtySummaries() {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const properties = PropertiesService.getScriptProperties();
+    const stored = properties.getProperty('DIRTY_SUMMARIES');
+    properties.deleteProperty('DIRTY_SUMMARIES');
+    return stored ? JSON.parse(stored) : [];
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Rebuild one data tab's summary sheet from scratch: one row per ISO week
+ * and per month, plus charts. Runs from the triggers (see installTriggers).
  */
-function setupSummarySheet(sheet) {
+function rebuildSheetSummary(dataName) {
+  const spreadsheet = getSpreadsheet();
+  const dataSheet = spreadsheet.getSheetByName(dataName);
+  if (!dataSheet) return;
+  
+  const summaryName = summarySheetName(dataName);
+  let sheet = spreadsheet.getSheetByName(summaryName);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(summaryName);
+  }
+  
+  const timeZone = spreadsheet.getSpreadsheetTimeZone();
+  const entries = readEntries(dataSheet, timeZone);
+  const today = Utilities.formatDate(new Date(), timeZone, 'yyyy-MM-dd');
+  
+  sheet.getCharts().forEach(chart => sheet.removeChart(chart));
+  sheet.clear();
+  
   // Title
-  sheet.getRange('A1').setValue('Weekly Summary');
+  sheet.getRange('A1').setValue(summaryName);
   sheet.getRange('A1').setFontSize(16).setFontWeight('bold');
+  sheet.getRange('A2').setValue('Rebuilt automatically from the ' + dataName + ' sheet. Last updated ' +
+    Utilities.formatDate(new Date(), timeZone, 'yyyy-MM-dd HH:mm') + '. Edits here are overwritten.');
+  
+  if (entries.length === 0) {
+    sheet.getRange('A4').setValue('No check-ins yet.');
+    return;
+  }
+  
+  const weeks = summarizePeriods(entries, isoWeekKey, today);
+  const months = summarizePeriods(entries, date => date.slice(0, 7), today);
+  
+  const weeklyRow = 4;
+  writeSummaryTable(sheet, weeklyRow, 'By ISO Week', weeks);
+  const monthlyRow = weeklyRow + weeks.length + 4;
+  writeSummaryTable(sheet, monthlyRow, 'By Month', months);
+  const insightsRow = monthlyRow + months.length + 4;
+  writeInsights(sheet, insightsRow, summaryInsights(entries, today));
+  
+  // Charts sit to the right of the tables
+  const chartColumn = SUMMARY_HEADERS.length + 2;
+  const firstWeek = weeklyRow + 1;
+  sheet.insertChart(sheet.newChart()
+    .setChartType(Charts.ChartType.LINE)
+    .addRange(sheet.getRange(firstWeek, 1, weeks.length + 1, 1))
+    .addRange(sheet.getRange(firstWeek, 4, weeks.length + 1, 2))
+    .setNumHeaders(1)
+    .setPosition(weeklyRow, chartColumn, 0, 0)
+    .setOption('title', 'Weekly average: overall day and focus')
+    .setOption('vAxis', { minValue: 1, maxValue: 5 })
+    .build());
+  sheet.insertChart(sheet.newChart()
+    .setChartType(Charts.ChartType.COLUMN)
+    .addRange(sheet.getRange(firstWeek, 1, weeks.length + 1, 1))
+    .addRange(sheet.getRange(firstWeek, 6, weeks.length + 1, 1))
+    .setNumHeaders(1)
+    .setPosition(weeklyRow + 20, chartColumn, 0, 0)
+    .setOption('title', 'Dysregulation events per week')
+    .build());
+}
+
+// Columns of each summary table
+const SUMMARY_HEADERS = [
+  'Period',
+  'From',
+  'Check-Ins',
+  'Avg Overall Day',
+  'Avg Focus',
+  'Total Dysregulation',
+  'Mean Dysregulation',
+  'Coping "Helped" Rate',
+  'Missed School Days'
+];
+
+/**
+ * Write one titled summary table starting at the given row
+ */
+function writeSummaryTable(sheet, row, title, periods) {
+  sheet.getRange(row, 1).setValue(title).setFontWeight('bold').setFontSize(12);
+  
+  const header = sheet.getRange(row + 1, 1, 1, SUMMARY_HEADERS.length);
+  header.setValues([SUMMARY_HEADERS]);
+  header.setFontWeight('bold');
+  header.setBackground('#4a5568');
+  header.setFontColor('#ffffff');
+  
+  if (periods.length === 0) return;
+  
+  const rows = periods.map(p => [
+    p.key,
+    p.start,
+    p.checkIns,
+    p.avgOverall,
+    p.avgFocus,
+    p.totalDysregulation,
+    p.meanDysregulation,
+    p.copingRate,
+    p.missedDays
+  ]);
+  sheet.getRange(row + 2, 1, rows.length, SUMMARY_HEADERS.length).setValues(rows);
+  sheet.getRange(row + 2, 4, rows.length, 2).setNumberFormat('0.0');
+  sheet.getRange(row + 2, 7, rows.length, 1).setNumberFormat('0.0');
+  sheet.getRange(row + 2, 8, rows.length, 1).setNumberFormat('0%');
+}
+
+/**
+ * Group entries into periods (by a date -> key function) and compute the
+ * summary statistics for each, oldest period first
+ */
+function summarizePeriods(entries, keyOf, today) {
+  const dates = new Set(entries.map(entry => entry.date));
+  const firstDate = entries.reduce((min, entry) => entry.date < min ? entry.date : min, entries[0].date);
+  const groups = {};
+  
+  // Every day from the first check-in through today belongs to a period,
+  // so periods with no check-ins still show their missed days. Today
+  // isn't over yet, so it never counts as missed.
+  eachDay(firstDate, today, date => {
+    const key = keyOf(date);
+    if (!groups[key]) {
+      groups[key] = { key: key, start: date, entries: [], missedDays: 0 };
+    }
+    if (date < today && isSchoolDay(date) && !dates.has(date)) {
+      groups[key].missedDays++;
+    }
+  });
+  entries.forEach(entry => {
+    const group = groups[keyOf(entry.date)];
+    if (group) group.entries.push(entry);
+  });
   
-  // Instructions
-  sheet.getRange('A3').setValue('This sheet will auto-calculate weekly averages from the Check-In Data sheet.');
-  sheet.getRange('A4').setValue('Add conditional formatting and charts as desired.');
+  return Object.keys(groups).sort().map(key => {
+    const group = groups[key];
+    const responses = group.entries.map(entry => entry.responses);
+    const overall = numbers(responses, 'overall_day');
+    const focus = numbers(responses, 'academic_focus');
+    const dysregulation = numbers(responses, 'dysregulation_count');
+    const coping = responses
+      .map(r => r.used_coping_strategy)
+      .filter(value => value && value !== 'n/a');
+    
+    return {
+      key: group.key,
+      start: group.start,
+      checkIns: group.entries.length,
+      avgOverall: average(overall),
+      avgFocus: average(focus),
+      totalDysregulation: dysregulation.reduce((a, b) => a + b, 0),
+      meanDysregulation: average(dysregulation),
+      copingRate: coping.length ? coping.filter(value => value === 'yes_helped').length / coping.length : '',
+      missedDays: group.missedDays
+    };
+  });
+}
+
+// Pattern findings (keep in step with the app's insights.js): the fewest
+// check-ins a finding can rest on, and the smallest effects reported
+const INSIGHTS = {
+  minWeekday: 4,         // check-ins on the weekday compared...
+  minOtherDays: 8,       // ...and on the other days together
+  minPairs: 10,          // check-ins with both answers, for a link
+  minCoping: 5,          // strategy answers in each period compared
+  correlation: 0.3,      // |r| for a link
+  strongCorrelation: 0.5,
+  copingPeriod: 30,      // days in each period compared
+  copingChange: 0.15,    // change in the "helped" rate worth reporting
+  toughRating: 2,        // an overall day this or lower is a tough day
+  toughRun: 3,           // tough check-ins in a row worth reporting
+  measures: [
+    { id: 'overall_day', name: 'overall day', more: 'a better overall day', less: 'a harder overall day', better: 'higher', weekday: 0.75 },
+    { id: 'academic_focus', name: 'focus', more: 'better focus', less: 'weaker focus', better: 'higher', weekday: 0.75 },
+    { id: 'social_interactions', name: 'positive moments with other kids', more: 'more positive moments with other kids',
+      less: 'fewer positive moments with other kids', better: 'higher', scores: { yes_several: 3, yes_one: 2, not_really: 1, no_wished: 0 } },
+    { id: 'dysregulation_count', name: 'tough moments', more: 'more tough moments', less: 'fewer tough moments', better: 'lower', weekday: 1 }
+  ]
+};
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Write the pattern findings below the summary tables
+ */
+function writeInsights(sheet, row, findings) {
+  sheet.getRange(row, 1).setValue('Insights').setFontWeight('bold').setFontSize(12);
+  sheet.getRange(row + 1, 1).setValue('Shown once enough check-ins back them up. ' +
+    'Answers that go together don\'t show that one causes the other.');
+  
+  const header = sheet.getRange(row + 2, 1, 1, 2);
+  header.setValues([['Topic', 'Finding']]);
+  header.setFontWeight('bold');
+  header.setBackground('#4a5568');
+  header.setFontColor('#ffffff');
+  
+  sheet.getRange(row + 3, 1, findings.length, 2).setValues(findings.map(f => [f.topic, f.text]));
+}
+
+/**
+ * Plain-language findings for a data tab's entries: weekdays that stand
+ * out, answers that go together, the coping "helped" rate against the
+ * period before and the longest run of tough days. Returns
+ * [{ topic, text }], with a "not enough yet" or "nothing stands out"
+ * line for a topic without findings.
+ */
+function summaryInsights(entries, today) {
+  return [].concat(
+    weekdayInsights(entries),
+    linkInsights(entries),
+    [copingInsight(entries, today), toughRunInsight(entries)]
+  );
+}
+
+/**
+ * For each measure with a weekday threshold, the weekday whose average
+ * differs most from the other days'
+ */
+function weekdayInsights(entries) {
+  const topic = 'Day of the week';
+  const findings = [];
+  let enough = false;
   
-  // Example formulas (users can customize)
-  sheet.getRange('A6').setValue('Average Overall Day (last 7 entries):');
-  sheet.getRange('B6').setFormula('=IFERROR(AVERAGE(INDIRECT("\'Check-In Data\'!C2:C" & COUNTA(\'Check-In Data\'!C:C))), "No data")');
+  INSIGHTS.measures.filter(measure => measure.weekday).forEach(measure => {
+    const scored = entries
+      .map(entry => ({ day: parseDate(entry.date).getUTCDay(), value: insightScore(measure, entry) }))
+      .filter(item => item.value !== null);
+    
+    let best = null;
+    for (let day = 0; day < 7; day++) {
+      const on = scored.filter(item => item.day === day).map(item => item.value);
+      const off = scored.filter(item => item.day !== day).map(item => item.value);
+      if (on.length < INSIGHTS.minWeekday || off.length < INSIGHTS.minOtherDays) continue;
+      enough = true;
+      
+      const difference = average(on) - average(off);
+      if (Math.abs(difference) >= measure.weekday && (!best || Math.abs(difference) > Math.abs(best.difference))) {
+        best = { day: day, difference: difference, on: on, off: off };
+      }
+    }
+    if (!best) return;
+    
+    const worse = (best.difference < 0) === (measure.better === 'higher');
+    const days = DAY_NAMES[best.day] + 's';
+    findings.push({
+      topic: topic,
+      text: days + ' look ' + (worse ? 'harder' : 'easier') + ': ' + measure.name + ' averages ' +
+        average(best.on).toFixed(1) + ' on ' + days + ' against ' + average(best.off).toFixed(1) + ' on other days (' +
+        best.on.length + ' ' + days + ', ' + best.off.length + ' other days).'
+    });
+  });
   
-  sheet.getRange('A7').setValue('Average Focus (last 7 entries):');
-  sheet.getRange('B7').setFormula('=IFERROR(AVERAGE(INDIRECT("\'Check-In Data\'!D2:D" & COUNTA(\'Check-In Data\'!D:D))), "No data")');
+  if (findings.length > 0) return findings;
+  return [{
+    topic: topic,
+    text: enough
+      ? 'No day of the week stands out.'
+      : 'Not enough check-ins yet (a weekday needs ' + INSIGHTS.minWeekday + ', with ' + INSIGHTS.minOtherDays + ' on other days).'
+  }];
+}
+
+/**
+ * Pairs of answers that tend to go together (Pearson correlation)
+ */
+function linkInsights(entries) {
+  const topic = 'Answers that go together';
+  const findings = [];
+  let checked = 0;
   
-  sheet.getRange('A8').setValue('Total Dysregulation Events:');
-  sheet.getRange('B8').setFormula('=IFERROR(SUM(\'Check-In Data\'!F:F), 0)');
+  INSIGHTS.measures.forEach((a, i) => {
+    INSIGHTS.measures.slice(i + 1).forEach(b => {
+      const pairs = entries
+        .map(entry => [insightScore(a, entry), insightScore(b, entry)])
+        .filter(pair => pair[0] !== null && pair[1] !== null);
+      if (pairs.length < INSIGHTS.minPairs) return;
+      
+      checked = Math.max(checked, pairs.length);
+      const r = correlate(pairs);
+      if (r === null || Math.abs(r) < INSIGHTS.correlation) return;
+      
+      findings.push({
+        topic: topic,
+        text: 'Days with ' + a.more + ' tend to have ' + (r > 0 ? b.more : b.less) + ' (' +
+          (Math.abs(r) >= INSIGHTS.strongCorrelation ? 'strong' : 'some') + ' link, r = ' + r.toFixed(2) +
+          ' over ' + pairs.length + ' days).'
+      });
+    });
+  });
   
-  sheet.getRange('A9').setValue('Total Check-Ins:');
-  sheet.getRange('B9').setFormula('=MAX(COUNTA(\'Check-In Data\'!A:A)-1, 0)');
+  if (findings.length > 0) return findings;
+  return [{
+    topic: topic,
+    text: checked > 0
+      ? 'No clear links between the answers (over ' + checked + ' days).'
+      : 'Not enough check-ins yet (needs ' + INSIGHTS.minPairs + ' days with both answers).'
+  }];
 }
 
 /**
- * Format social response for display
+ * How often a strategy helped in the last period against the one before
  */
-function formatSocialResponse(value) {
-  const map = {
-    'yes_several': 'Yes, several good moments',
-    'yes_one': 'Yes, at least one',
-    'not_really': 'Not really, but okay',
-    'no_wished': 'No, and wished I had'
+function copingInsight(entries, today) {
+  const topic = 'Calming strategies';
+  const period = INSIGHTS.copingPeriod;
+  const shift = (date, days) => {
+    const day = parseDate(date);
+    day.setUTCDate(day.getUTCDate() + days);
+    return day.toISOString().split('T')[0];
+  };
+  const start = shift(today, 1 - period);
+  const rate = (from, to) => {
+    const answered = entries
+      .filter(entry => entry.date >= from && entry.date < to)
+      .map(entry => entry.responses.used_coping_strategy)
+      .filter(value => value && value !== 'n/a');
+    const helped = answered.filter(value => value === 'yes_helped').length;
+    return { helped: helped, count: answered.length, rate: answered.length ? helped / answered.length : 0 };
+  };
+  const recent = rate(start, shift(today, 1));
+  const earlier = rate(shift(start, -period), start);
+  
+  if (recent.count < INSIGHTS.minCoping || earlier.count < INSIGHTS.minCoping) {
+    return {
+      topic: topic,
+      text: 'Not enough strategy answers yet to compare the last ' + period + ' days with the ' + period + ' before (needs ' +
+        INSIGHTS.minCoping + ' in each; ' + recent.count + ' and ' + earlier.count + ' so far).'
+    };
+  }
+  
+  const change = recent.rate - earlier.rate;
+  const percent = value => Math.round(value * 100) + '%';
+  const trend = Math.abs(change) < INSIGHTS.copingChange ? 'about the same as' : (change > 0 ? 'up from' : 'down from');
+  return {
+    topic: topic,
+    text: 'A strategy helped on ' + percent(recent.rate) + ' of days with tough moments in the last ' + period + ' days (' +
+      recent.helped + ' of ' + recent.count + '), ' + trend + ' ' + percent(earlier.rate) + ' in the ' + period +
+      ' days before (' + earlier.helped + ' of ' + earlier.count + ').'
   };
-  return map[value] || value || '';
 }
 
 /**
- * Format coping response for display
+ * The longest run of tough check-ins in a row, and whether it's still going
  */
-function formatCopingResponse(value) {
-  const map = {
-    'yes_helped': 'Yes, and it helped',
-    'yes_not_much': 'Yes, but not much',
-    'no': 'No',
-    'n/a': 'N/A'
+function toughRunInsight(entries) {
+  const topic = 'Tough days in a row';
+  // The day's last row stands for the day
+  const byDate = {};
+  entries.forEach(entry => {
+    if (typeof entry.responses.overall_day === 'number') byDate[entry.date] = entry;
+  });
+  const days = Object.keys(byDate).sort();
+  
+  if (days.length < INSIGHTS.toughRun) {
+    return { topic: topic, text: 'Not enough check-ins yet (needs ' + INSIGHTS.toughRun + ').' };
+  }
+  
+  let longest = null;
+  let run = null;
+  days.forEach(date => {
+    if (byDate[date].responses.overall_day <= INSIGHTS.toughRating) {
+      run = run ? { start: run.start, end: date, length: run.length + 1 } : { start: date, end: date, length: 1 };
+      if (!longest || run.length >= longest.length) longest = run;
+    } else {
+      run = null;
+    }
+  });
+  
+  if (!longest || longest.length < INSIGHTS.toughRun) {
+    return { topic: topic, text: 'No run of ' + INSIGHTS.toughRun + ' or more tough days in a row.' };
+  }
+  
+  const dateRange = longest.start + ' to ' + longest.end;
+  return {
+    topic: topic,
+    text: longest.end === days[days.length - 1]
+      ? 'The last ' + longest.length + ' check-ins (' + dateRange + ') all rated the overall day ' + INSIGHTS.toughRating +
+        ' or lower - it may be worth a conversation.'
+      : 'The longest run was ' + longest.length + ' check-ins in a row (' + dateRange + ') rating the overall day ' +
+        INSIGHTS.toughRating + ' or lower.'
   };
-  return map[value] || value || '';
 }
 
 /**
- * Create a JSON response
+ * An entry's answer to an insight measure as a number (null if unanswered)
+ */
+function insightScore(measure, entry) {
+  const value = entry.responses[measure.id];
+  if (measure.scores) {
+    return measure.scores.hasOwnProperty(value) ? measure.scores[value] : null;
+  }
+  return typeof value === 'number' ? value : null;
+}
+
+/**
+ * Pearson correlation of [x, y] pairs (null when either side never varies)
+ */
+function correlate(pairs) {
+  const meanX = average(pairs.map(pair => pair[0]));
+  const meanY = average(pairs.map(pair => pair[1]));
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  pairs.forEach(pair => {
+    covariance += (pair[0] - meanX) * (pair[1] - meanY);
+    varianceX += Math.pow(pair[0] - meanX, 2);
+    varianceY += Math.pow(pair[1] - meanY, 2);
+  });
+  return varianceX && varianceY ? covariance / Math.sqrt(varianceX * varianceY) : null;
+}
+
+/**
+ * Numeric values of one response field
+ */
+function numbers(responses, field) {
+  return responses.map(r => r[field]).filter(value => typeof value === 'number');
+}
+
+/**
+ * Mean of a list, or '' when it's empty (leaves the cell blank)
+ */
+function average(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : '';
+}
+
+/**
+ * Remember the school calendar sent by the app
+ * ({ weekdays: [0-6], daysOff: [{ name, start, end }] })
+ */
+function saveCalendar(calendar) {
+  if (!calendar || !Array.isArray(calendar.weekdays)) return;
+  PropertiesService.getScriptProperties().setProperty('SCHOOL_CALENDAR', JSON.stringify(calendar));
+  cachedCalendar = null;
+}
+
+// Calendar read once per execution - isSchoolDay runs for every day summarized
+let cachedCalendar = null;
+
+/**
+ * The stored school calendar, defaulting to Monday-Friday with no days off
+ */
+function getCalendar() {
+  if (!cachedCalendar) {
+    const stored = PropertiesService.getScriptProperties().getProperty('SCHOOL_CALENDAR');
+    cachedCalendar = stored ? JSON.parse(stored) : { weekdays: [1, 2, 3, 4, 5], daysOff: [] };
+  }
+  return cachedCalendar;
+}
+
+/**
+ * Whether a date is an expected check-in day: a school weekday that
+ * isn't a holiday or inside a break
+ */
+function isSchoolDay(date) {
+  const calendar = getCalendar();
+  if (calendar.weekdays.indexOf(parseDate(date).getUTCDay()) === -1) return false;
+  return !(calendar.daysOff || []).some(off => date >= off.start && date <= off.end);
+}
+
+/**
+ * Call fn for every YYYY-MM-DD date from start to end inclusive
+ */
+function eachDay(start, end, fn) {
+  const day = parseDate(start);
+  const last = parseDate(end);
+  while (day <= last) {
+    fn(day.toISOString().split('T')[0]);
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+}
+
+/**
+ * Parse YYYY-MM-DD as a UTC midnight Date
+ */
+function parseDate(date) {
+  const parts = date.split('-').map(Number);
+  return new Date(Date.UTC(parts[0], parts[1] - 1, parts[2]));
+}
+
+/**
+ * ISO 8601 week key, e.g. 2024-W07 (weeks start Monday; week 1 holds
+ * the year's first Thursday)
+ */
+function isoWeekKey(date) {
+  const day = parseDate(date);
+  const weekday = day.getUTCDay() || 7;
+  day.setUTCDate(day.getUTCDate() + 4 - weekday);
+  const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+  return day.getUTCFullYear() + '-W' + (week < 10 ? '0' : '') + week;
+}
+
+/**
+ * Read a data sheet back into entry objects, mapping display labels
+ * to the stored codes using the question schema (default: the student's)
+ */
+function readEntries(sheet, timeZone, schema) {
+  const lastRow = sheet.getLastRow();
+  const lastColumn = sheet.getLastColumn();
+  if (lastRow < 2 || lastColumn === 0) return [];
+  
+  const values = sheet.getRange(1, 1, lastRow, lastColumn).getValues();
+  const headers = values[0];
+  schema = schema || getSchema(null, {});
+  const column = header => headers.indexOf(header);
+  
+  return values.slice(1)
+    .filter(row => row[column('Date')] !== '')
+    .map(row => {
+      const responses = {};
+      schema.forEach(question => {
+        const index = findColumn(headers, question);
+        if (index !== -1) {
+          responses[question.id] = parseResponse(question, row[index]);
+        }
+      });
+      
+      const cell = header => column(header) !== -1 ? row[column(header)] : '';
+      const entry = {
+        id: String(cell('Entry ID')),
+        date: toDateString(row[column('Date')], timeZone),
+        timestamp: cell('Timestamp') !== '' ? toIsoString(cell('Timestamp')) : undefined,
+        revision: Number(cell('Revision')) || 1,
+        profile_id: cell('Profile ID') !== '' ? String(cell('Profile ID')) : undefined,
+        modified_at: cell('Last Modified') !== '' ? toIsoString(cell('Last Modified')) : undefined,
+        responses: responses,
+        metadata: {}
+      };
+      if (cell('Completion Time (sec)') !== '') {
+        entry.metadata.completion_time_seconds = Number(cell('Completion Time (sec)'));
+      }
+      if (cell('Device') !== '') {
+        entry.metadata.device = String(cell('Device'));
+      }
+      if (column(ATTACHMENTS_HEADER) !== -1) {
+        entry.attachments = parseAttachments(cell(ATTACHMENTS_HEADER));
+      }
+      return entry;
+    });
+}
+
+/**
+ * Map a cell back to the stored response code (the reverse of
+ * formatResponse), including labels written in another language
+ */
+function parseResponse(question, value) {
+  if (value === '' || value === null) return question.type === 'text' ? '' : null;
+  // Sheets turns note text like "42" into a number
+  if (question.type === 'text') return String(value);
+  if (question.labels) {
+    const code = Object.keys(question.labels).find(key => question.labels[key] === value);
+    if (code !== undefined) return code;
+  }
+  if (question.labelAliases) {
+    const code = Object.keys(question.labelAliases).find(key => question.labelAliases[key].indexOf(value) !== -1);
+    if (code !== undefined) return code;
+  }
+  return value;
+}
+
+/**
+ * Normalize a Date cell (Sheets converts YYYY-MM-DD text) back to YYYY-MM-DD
+ */
+function toDateString(value, timeZone) {
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, timeZone, 'yyyy-MM-dd');
+  }
+  return String(value);
+}
+
+/**
+ * Normalize a timestamp cell to an ISO string
+ */
+function toIsoString(value) {
+  return value instanceof Date ? value.toISOString() : String(value);
+}
+/**
+ * Remember the safety keywords sent by the app (an empty list turns
+ * flagging off)
+ */
+function saveSafetyKeywords(keywords) {
+  if (!Array.isArray(keywords)) return;
+  PropertiesService.getScriptProperties().setProperty('SAFETY_KEYWORDS', JSON.stringify(keywords));
+  cachedSafetyKeywords = null;
+}
+
+// Keywords read once per execution - getColumns checks every row written
+let cachedSafetyKeywords = null;
+
+/**
+ * The stored safety keywords, defaulting to SAFETY_KEYWORDS
+ */
+function getSafetyKeywords() {
+  if (!cachedSafetyKeywords) {
+    const stored = PropertiesService.getScriptProperties().getProperty('SAFETY_KEYWORDS');
+    cachedSafetyKeywords = stored ? JSON.parse(stored) : SAFETY_KEYWORDS;
+  }
+  return cachedSafetyKeywords;
+}
+
+/**
+ * The keywords found in some text, matched as whole words ignoring case,
+ * accents and punctuation (the same way as safety.matches in the app)
+ */
+function findSafetyKeywords(text, keywords) {
+  const normalize = value => String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[’‘]/g, "'")
+    .replace(/[^\p{L}\p{N}']+/gu, ' ')
+    .trim();
+  const haystack = ' ' + normalize(text) + ' ';
+  return keywords.filter(keyword => {
+    const needle = normalize(keyword);
+    return needle && haystack.indexOf(' ' + needle + ' ') !== -1;
+  });
+}
+
+/**
+ * Email ALERT_EMAIL (or `to`) about each flagged entry from saveCheckIns.
+ * `mailer` defaults to MailApp; pass anything with a sendEmail(message)
+ * method to check the alerts without sending mail (see testSafetyAlerts).
+ * Returns the messages sent.
+ */
+function sendSafetyAlerts(flagged, sheetName, mailer, to) {
+  const recipient = to || ALERT_EMAIL;
+  if (!recipient || flagged.length === 0) return [];
+  
+  const service = mailer || MailApp;
+  const url = getSpreadsheet().getUrl();
+  return flagged.map(item => {
+    const message = buildSafetyAlert(item, sheetName, url, recipient);
+    service.sendEmail(message);
+    return message;
+  });
+}
+
+/**
+ * The alert email for one flagged entry
+ */
+function buildSafetyAlert(item, sheetName, url, recipient) {
+  const data = item.entry;
+  return {
+    to: recipient,
+    subject: 'Check-in note to follow up: ' + sheetName + ', ' + data.date,
+    body: [
+      'A check-in note saved to "' + sheetName + '" on ' + data.date + ' contains: ' + item.keywords + '.',
+      '',
+      ...item.notes.map(note => '"' + note + '"'),
+      '',
+      'Its row is flagged in the ' + SAFETY_FLAG_HEADER + ' column: ' + url,
+      'Entry ID: ' + data.id,
+      '',
+      'The student was shown the app\'s supportive message and help resource. Please check in with them.'
+    ].join('\n')
+  };
+}
+
+/**
+ * Install the summary triggers: an hourly rebuild of the summaries with
+ * new check-ins and a nightly rebuild of all of them.
+ * Run once from the script editor (testSetup does this too).
+ */
+function installTriggers() {
+  const handlers = ScriptApp.getProjectTriggers().map(trigger => trigger.getHandlerFunction());
+  if (handlers.indexOf('rebuildSummary') === -1) {
+    ScriptApp.newTrigger('rebuildSummary').timeBased().everyDays(1).atHour(2).create();
+  }
+  if (handlers.indexOf('rebuildDirtySummaries') === -1) {
+    ScriptApp.newTrigger('rebuildDirtySummaries').timeBased().everyHours(1).create();
+  }
+}
+
+/**
+ * Format a response value for display using the schema's labels
+ */
+function formatResponse(question, value) {
+  if (value === undefined || value === null) return '';
+  if (question.labels && question.labels.hasOwnProperty(value)) {
+    return question.labels[value];
+  }
+  return value;
+}
+
+/**
+ * Create a JSON response (with the missing-token warning, if any)
  */
 function createResponse(data) {
+  if (!ACCESS_TOKEN) {
+    data.warning = NO_TOKEN_WARNING;
+  }
   return ContentService
     .createTextOutput(JSON.stringify(data))
     .setMimeType(ContentService.MimeType.JSON);
@@ -241,7 +1569,38 @@ function createResponse(data) {
  */
 function testSetup() {
   const sheet = getOrCreateSheet();
+  installTriggers();
+  rebuildSummary();
   Logger.log('Sheet name: ' + sheet.getName());
   Logger.log('Spreadsheet URL: ' + sheet.getParent().getUrl());
   Logger.log('Setup complete!');
 }
+
+/**
+ * Check safety flagging and alerts with a stand-in mailer that logs
+ * instead of sending. Run from the script editor; it also authorizes
+ * MailApp for real alerts.
+ */
+function testSafetyAlerts() {
+  MailApp.getRemainingDailyQuota();
+  
+  const schema = [{ id: 'free_response', header: 'Note', type: 'text' }];
+  const entry = {
+    id: 'test-safety-alert',
+    date: new Date().toISOString().split('T')[0],
+    responses: { free_response: 'Some kids BULLIED me at lunch.' }
+  };
+  const keywords = buildRecord(entry, getColumns(schema))[SAFETY_FLAG_HEADER];
+  if (!keywords) {
+    Logger.log('Not flagged - the keyword list from the app is empty or has no "bullied"');
+    return;
+  }
+  Logger.log('Flagged keywords: ' + keywords);
+  
+  const sent = [];
+  const stubMailer = { sendEmail: message => sent.push(message) };
+  const flagged = [{ entry: entry, keywords: keywords, notes: [entry.responses.free_response] }];
+  sendSafetyAlerts(flagged, SHEET_NAME, stubMailer, ALERT_EMAIL || 'adult@example.com');
+  sent.forEach(message => Logger.log('To: ' + message.to + '\nSubject: ' + message.subject + '\n\n' + message.body));
+  Logger.log(ALERT_EMAIL ? 'Real alerts will go to ' + ALERT_EMAIL : 'ALERT_EMAIL is empty - no alert emails will be sent');
+}
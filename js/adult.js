@@ -0,0 +1,489 @@
+/**
+ * Adult Mode Module for Carmel Daily Check-In
+ * Locks settings, exports, past notes and clearing data behind a PIN.
+ * The PIN is stored only as a salted PBKDF2 hash, and repeated wrong
+ * guesses lock the PIN screen for a while. The PIN is created from the
+ * setup link (the app's address ending in #setup), so a student tapping
+ * the gear on a new device can't claim it. A forgotten PIN can only be
+ * reset from the setup link with the recovery code shown to the adult,
+ * and resetting wipes everything the app keeps on the device.
+ */
+
+const adult = {
+    storageKey: 'carmel_checkin_pin',
+
+    // PBKDF2 work factor for new hashes (stored with each hash)
+    iterations: 150000,
+
+    // Wrong guesses allowed before a lockout, and how long it lasts
+    maxAttempts: 5,
+    lockoutMinutes: 5,
+
+    // Unlocked for this visit to settings only
+    unlocked: false,
+
+    // 'enter', 'create', 'change', 'unset' or 'reset'
+    mode: 'enter',
+
+    // Whether the PIN screen offers the reset (only when opened from the setup link)
+    offerReset: false,
+
+    // Screen to go back to when leaving the PIN or settings screens
+    returnTo: 'screen-welcome',
+
+    // Address ending that opens PIN creation on a device without a PIN
+    setupHash: '#setup',
+
+    // Prefix of every localStorage key the app uses (wiped by a reset)
+    keyPrefix: 'carmel_checkin',
+
+    // Recovery codes: groups of characters that are hard to mix up
+    recoveryAlphabet: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789',
+    recoveryLength: 12,
+
+    /**
+     * Set up the PIN screen's Enter key
+     */
+    init() {
+        ['pin-input', 'pin-confirm', 'pin-recovery'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') this.submit();
+                });
+            }
+        });
+
+        // After the other modules have set up their screens
+        window.addEventListener('load', () => this.checkSetupLink());
+        window.addEventListener('hashchange', () => this.checkSetupLink());
+    },
+
+    /**
+     * Open PIN creation when the app was opened with the setup link (or,
+     * with a PIN already set, ask for it and offer the reset)
+     */
+    checkSetupLink() {
+        if (location.hash !== this.setupHash) return;
+        history.replaceState(null, '', location.pathname + location.search);
+
+        if (!app.adultScreens.includes(app.state.currentScreen)) {
+            this.returnTo = app.state.currentScreen;
+        }
+        if (this.getRecord()) {
+            this.offerReset = true;
+            this.open();
+        } else {
+            this.showPin('create');
+        }
+    },
+
+    /**
+     * Open settings from the gear button, asking for the PIN first
+     * (or, before there is one, explaining how an adult sets it up)
+     */
+    open() {
+        if (!app.adultScreens.includes(app.state.currentScreen)) {
+            this.returnTo = app.state.currentScreen;
+        }
+
+        if (this.unlocked) {
+            app.showScreen('screen-settings');
+            return;
+        }
+
+        this.showPin(this.getRecord() ? 'enter' : 'unset');
+    },
+
+    /**
+     * Leave the PIN or settings screen and lock adult mode again
+     */
+    close() {
+        this.lock();
+        app.showScreen(this.returnTo || 'screen-welcome');
+    },
+
+    /**
+     * End adult mode and hide anything only adults should see
+     */
+    lock() {
+        this.unlocked = false;
+        this.offerReset = false;
+        // Decrypted check-ins are for adults too
+        if (vault.enabled() && !vault.isLocked()) vault.lock();
+        const notesEl = document.getElementById('notes-history');
+        if (notesEl) notesEl.innerHTML = '';
+        const codeEl = document.getElementById('pin-recovery-code');
+        if (codeEl) codeEl.textContent = '';
+    },
+
+    /**
+     * Start changing the PIN from settings
+     */
+    changePin() {
+        if (!this.require()) return;
+        this.showPin('change');
+    },
+
+    /**
+     * Make a new recovery code from settings (the old one stops working)
+     */
+    async renewRecoveryCode() {
+        if (!this.require()) return;
+        if (this.getRecord().recoveryHash &&
+            !confirm('The old recovery code will stop working. Make a new one?')) return;
+        await this.newRecoveryCode();
+    },
+
+    /**
+     * Back button on the PIN screen
+     */
+    cancelPin() {
+        if (this.mode === 'change' && this.unlocked) {
+            app.showScreen('screen-settings');
+        } else {
+            this.close();
+        }
+    },
+
+    /**
+     * Wipe everything the app keeps on this device - check-ins, recordings
+     * and drawings, unfinished check-ins and every setting, including the
+     * PIN and the Google Sheets connection - so a new PIN can be set up.
+     * Needs the recovery code; entries already in Google Sheets stay there.
+     */
+    async reset() {
+        if (this.mode !== 'reset') return;
+        const record = this.getRecord();
+        if (!record || !record.recoveryHash) return;
+
+        if (this.lockedFor(record) > 0) {
+            this.showLockout();
+            return;
+        }
+
+        const input = document.getElementById('pin-recovery');
+        const code = this.normalizeCode(input.value);
+        input.value = '';
+        if (!code) {
+            storage.showStatus('pin-status', 'Enter the recovery code', 'error');
+            return;
+        }
+        const hash = await this.hashPin(code, record.recoverySalt, record.iterations);
+        if (hash !== record.recoveryHash) {
+            this.countFailure(record, 'Wrong recovery code');
+            return;
+        }
+        record.failures = 0;
+        this.saveRecord(record);
+
+        let unsynced = 0;
+        try {
+            unsynced = (await db.all()).filter(entry => !entry.synced).length;
+        } catch (error) {
+            storage.showStatus('pin-status', `Could not read the check-ins: ${error.message}`, 'error');
+            return;
+        }
+        const warning = unsynced > 0
+            ? `${unsynced} check-in${unsynced === 1 ? ' has' : 's have'} not been synced to Google Sheets yet and will be lost. `
+            : 'Every check-in on this device has been synced to Google Sheets. ';
+        if (!confirm(`${warning}Resetting deletes every check-in, voice note, drawing and setting on this device, ` +
+            'for every student. Continue?')) return;
+        if ((prompt('Type RESET to delete everything on this device:') || '').trim().toUpperCase() !== 'RESET') return;
+
+        try {
+            await db.destroy();
+        } catch (error) {
+            storage.showStatus('pin-status', `Could not delete the check-ins: ${error.message}`, 'error');
+            return;
+        }
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(this.keyPrefix))
+            .forEach(key => localStorage.removeItem(key));
+        if ('caches' in window) {
+            await caches.delete(reminders.stateCache).catch(() => {});
+            await caches.delete(storage.config.syncCache).catch(() => {});
+        }
+
+        // Start again from the setup link
+        history.replaceState(null, '', location.pathname + location.search + this.setupHash);
+        location.reload();
+    },
+
+    /**
+     * Show the PIN screen in the given mode ('unset' explains the setup
+     * link instead of asking for a PIN)
+     */
+    showPin(mode) {
+        this.mode = mode;
+
+        const titles = {
+            enter: 'Enter the adult PIN',
+            create: 'Create an adult PIN',
+            change: 'Choose a new PIN',
+            unset: 'Settings aren\'t set up yet',
+            reset: 'Reset this device'
+        };
+        const record = this.getRecord();
+        const canReset = mode === 'reset' && record && record.recoveryHash;
+        document.getElementById('pin-title').textContent = titles[mode];
+        document.getElementById('pin-form').hidden = mode === 'unset';
+        document.getElementById('pin-unset').hidden = mode !== 'unset';
+        document.getElementById('pin-forgot').hidden = !(mode === 'enter' && this.offerReset);
+        document.getElementById('pin-hint').hidden = mode !== 'create' && mode !== 'change';
+        document.getElementById('pin-reset-hint').hidden = mode !== 'reset';
+        document.getElementById('pin-reset-hint').textContent = canReset
+            ? 'Enter the recovery code shown when the PIN was created. Resetting deletes everything the app keeps on this device.'
+            : 'This PIN has no recovery code. To start over, clear this site\'s data in the browser\'s settings.';
+        document.getElementById('pin-input-row').hidden = mode === 'reset';
+        document.getElementById('pin-confirm-row').hidden = mode !== 'create' && mode !== 'change';
+        document.getElementById('pin-recovery-row').hidden = !canReset;
+        document.getElementById('pin-submit').hidden = mode === 'reset' && !canReset;
+        document.getElementById('pin-input').value = '';
+        document.getElementById('pin-confirm').value = '';
+        document.getElementById('pin-recovery').value = '';
+        storage.showStatus('pin-status', '', '');
+
+        app.showScreen('screen-pin');
+        if (mode === 'unset' || (mode === 'reset' && !canReset)) return;
+        this.showLockout();
+        document.getElementById(mode === 'reset' ? 'pin-recovery' : 'pin-input').focus();
+    },
+
+    /**
+     * Handle the PIN screen's button
+     */
+    async submit() {
+        const pin = document.getElementById('pin-input').value.trim();
+
+        if (this.mode === 'enter') {
+            await this.unlock(pin);
+            return;
+        }
+        if (this.mode === 'reset') {
+            await this.reset();
+            return;
+        }
+
+        if (this.mode === 'unset') return;
+        if (this.mode === 'change' && !this.require()) return;
+        // Only the setup link creates a PIN, and only while there's none
+        if (this.mode === 'create' && this.getRecord()) return;
+
+        const confirmPin = document.getElementById('pin-confirm').value.trim();
+        if (!/^\d{4,8}$/.test(pin)) {
+            storage.showStatus('pin-status', 'Use 4 to 8 digits', 'error');
+            return;
+        }
+        if (pin !== confirmPin) {
+            storage.showStatus('pin-status', 'The PINs don\'t match', 'error');
+            return;
+        }
+
+        const creating = this.mode === 'create';
+        await this.setPin(pin);
+        this.unlocked = true;
+        app.showScreen('screen-settings');
+        storage.showStatus('pin-settings-status', creating ? 'PIN created' : 'PIN changed', 'success');
+        if (creating) await this.newRecoveryCode();
+    },
+
+    /**
+     * Check a PIN, counting failures towards a lockout
+     */
+    async unlock(pin) {
+        const record = this.getRecord();
+        if (!record) return;
+
+        if (this.lockedFor(record) > 0) {
+            this.showLockout();
+            return;
+        }
+
+        const hash = await this.hashPin(pin, record.salt, record.iterations);
+        if (hash === record.hash) {
+            record.failures = 0;
+            record.lockedUntil = 0;
+            this.saveRecord(record);
+            this.unlocked = true;
+            document.getElementById('pin-input').value = '';
+            app.showScreen('screen-settings');
+            return;
+        }
+
+        document.getElementById('pin-input').value = '';
+        this.countFailure(record, 'Wrong PIN');
+    },
+
+    /**
+     * Count a wrong PIN or recovery code towards a lockout
+     */
+    countFailure(record, message) {
+        record.failures = (record.failures || 0) + 1;
+        if (record.failures >= this.maxAttempts) {
+            record.failures = 0;
+            record.lockedUntil = Date.now() + this.lockoutMinutes * 60000;
+        }
+        this.saveRecord(record);
+
+        if (!this.showLockout()) {
+            const left = this.maxAttempts - record.failures;
+            storage.showStatus('pin-status', `${message} (${left} ${left === 1 ? 'try' : 'tries'} left)`, 'error');
+        }
+    },
+
+    /**
+     * Show the lockout message if locked out; returns whether it is
+     */
+    showLockout() {
+        const record = this.getRecord();
+        const ms = (this.mode === 'enter' || this.mode === 'reset') && record ? this.lockedFor(record) : 0;
+        document.getElementById('pin-submit').disabled = ms > 0;
+
+        if (ms > 0) {
+            const minutes = Math.ceil(ms / 60000);
+            storage.showStatus('pin-status', `Too many wrong tries. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`, 'error');
+            // Re-enable the button once the lockout ends
+            setTimeout(() => this.showLockout(), Math.min(ms, 60000));
+            return true;
+        }
+        return false;
+    },
+
+    /**
+     * Milliseconds left on a lockout (0 if not locked out)
+     */
+    lockedFor(record) {
+        return Math.max(0, (record.lockedUntil || 0) - Date.now());
+    },
+
+    /**
+     * Store a new salted hash of the PIN (keeping the recovery code)
+     */
+    async setPin(pin) {
+        const old = this.getRecord() || {};
+        const salt = this.toBase64(crypto.getRandomValues(new Uint8Array(16)));
+        const hash = await this.hashPin(pin, salt, this.iterations);
+        this.saveRecord({
+            salt, hash, iterations: this.iterations, failures: 0, lockedUntil: 0,
+            recoverySalt: old.recoverySalt, recoveryHash: old.recoveryHash
+        });
+    },
+
+    /**
+     * Make a recovery code, store its hash with the PIN and show it once
+     * in settings for the adult to write down
+     */
+    async newRecoveryCode() {
+        const record = this.getRecord();
+        const picks = crypto.getRandomValues(new Uint8Array(this.recoveryLength));
+        const code = Array.from(picks, n => this.recoveryAlphabet[n % this.recoveryAlphabet.length]).join('');
+        record.recoverySalt = this.toBase64(crypto.getRandomValues(new Uint8Array(16)));
+        record.recoveryHash = await this.hashPin(code, record.recoverySalt, record.iterations);
+        this.saveRecord(record);
+
+        document.getElementById('pin-recovery-code').textContent =
+            `Recovery code: ${code.match(/.{1,4}/g).join('-')} - write it down and keep it away from students. ` +
+            'It is the only way to reset a forgotten PIN (from the setup link), and it won\'t be shown again.';
+    },
+
+    /**
+     * Hash a PIN with PBKDF2-SHA-256 (base64 salt in, base64 hash out)
+     */
+    async hashPin(pin, salt, iterations) {
+        const key = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']
+        );
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: this.fromBase64(salt), iterations },
+            key, 256
+        );
+        return this.toBase64(new Uint8Array(bits));
+    },
+
+    /**
+     * Guard for adult-only actions; false (with a warning) when locked
+     */
+    require() {
+        if (this.unlocked) return true;
+        alert('Adult mode is locked. Open settings with the PIN first.');
+        return false;
+    },
+
+    /**
+     * List past notes (text answers, with their recordings and drawings),
+     * newest first, highlighting the ones with safety keywords
+     */
+    async renderNotes() {
+        const notesEl = document.getElementById('notes-history');
+        if (!notesEl || !this.require() || !storage.requireUnlocked()) return;
+
+        const notes = [];
+        for (const entry of await storage.getLocalEntries()) {
+            if (questions.respondentOf(entry) !== 'self') continue;
+            const attached = await attachments.load(entry);
+            // Notes from the other check-in types say which one they're from
+            const checkinType = questions.checkinTypeOf(entry);
+            const from = checkinType === questions.defaultCheckinType ? '' : ` (${questions.checkinType(checkinType).label})`;
+            questions.itemsOf(entry).filter(item => item.type === 'text').forEach(item => {
+                const list = attached.filter(attachment => attachment.question === item.id);
+                if (entry.responses[item.id] || list.length > 0) {
+                    notes.push({ date: entry.date, from, text: entry.responses[item.id] || '', attachments: list });
+                }
+            });
+        }
+        notes.sort((a, b) => b.date.localeCompare(a.date));
+
+        notesEl.innerHTML = notes.length === 0
+            ? '<li class="dayoff-empty">No notes yet</li>'
+            : notes.map(note => `
+                <li${safety.matches(note.text).length > 0 ? ' class="note-flagged"' : ''}>
+                    <strong>${note.date}${note.from}</strong> ${app.escapeHtml(note.text)}
+                    ${note.attachments.length > 0 ? `<div class="attachment-list">${i18n.using('en', () => attachments.listHtml(note.attachments))}</div>` : ''}
+                </li>`).join('');
+    },
+
+    /**
+     * Helper: the stored PIN record, or null if no PIN is set
+     */
+    getRecord() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Helper: a typed recovery code without dashes, spaces or lower case
+     */
+    normalizeCode(text) {
+        return text.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    },
+
+    /**
+     * Helper: persist the PIN record
+     */
+    saveRecord(record) {
+        localStorage.setItem(this.storageKey, JSON.stringify(record));
+    },
+
+    /**
+     * Helper: bytes to base64
+     */
+    toBase64(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    },
+
+    /**
+     * Helper: base64 to bytes
+     */
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    }
+};
+
+// Initialize adult mode when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    adult.init();
+});
@@ -8,55 +8,363 @@ const app = {
     state: {
         currentScreen: 'screen-welcome',
         startTime: null,
-        responses: {
-            overall_day: null,
-            academic_focus: null,
-            social_interactions: null,
-            dysregulation_count: null,
-            used_coping_strategy: null,
-            free_response: ''
-        }
+        editingId: null, // Set when changing an existing entry
+        respondent: 'self', // 'observer' during an adult's observer check-in
+        checkinType: questions.defaultCheckinType, // Which of the student's check-ins (see questions.checkinTypes)
+        pickedType: null, // Picked on the welcome screen; null suggests one by the time of day
+        responses: questions.emptyResponses(),
+        incidents: [], // Per-incident details (see incidents.js)
+        attachments: [] // Voice notes and drawings, with their blobs (see attachments.js)
     },
 
-    // Screen flow configuration
-    flow: {
-        'screen-welcome': { next: 'screen-q1' },
-        'screen-q1': { next: 'screen-q2', prev: 'screen-welcome' },
-        'screen-q2': { next: 'screen-q3', prev: 'screen-q1' },
-        'screen-q3': { next: 'screen-q4', prev: 'screen-q2' },
-        'screen-q4': { next: 'screen-q4b', prev: 'screen-q3' }, // Dynamic - may skip q4b
-        'screen-q4b': { next: 'screen-q5', prev: 'screen-q4' },
-        'screen-q5': { next: 'screen-done', prev: 'screen-q4b' }, // Dynamic - may go to q4
-        'screen-done': { next: null, prev: null }
-    },
+    // Screens of adult mode: showing any other screen locks it again
+    adultScreens: ['screen-pin', 'screen-settings', 'screen-report'],
 
     /**
      * Initialize the app
      */
     init() {
+        // Build question screens from the definitions
+        this.renderQuestions();
+        this.renderTypePicker();
+
+        // Cache the app for offline use
+        this.registerServiceWorker();
+
         // Check for saved progress
         this.loadProgress();
         
         // Set up keyboard navigation
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' && this.state.currentScreen === 'screen-q5') {
-                this.submitFreeResponse();
+        document.addEventListener('keydown', (e) => this.handleKey(e));
+    },
+
+    /**
+     * Keyboard answering: Enter submits a text answer; on the other
+     * questions the arrow keys (and Home/End) move between the answers,
+     * Space or Enter picks one, and a number key picks its answer directly
+     */
+    handleKey(e) {
+        const item = questions.fromScreen(this.state.currentScreen);
+        if (!item || e.altKey || e.ctrlKey || e.metaKey) return;
+
+        if (item.type === 'text') {
+            // Buttons (record, draw, next) act on Enter themselves
+            if (e.key === 'Enter' && !e.target.closest('button')) this.submitText();
+            return;
+        }
+
+        const screen = document.getElementById(this.state.currentScreen);
+        const buttons = [...screen.querySelectorAll('[role="radio"]')];
+        const index = buttons.indexOf(document.activeElement);
+        const moves = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 };
+
+        if (index !== -1 && e.key in moves) {
+            e.preventDefault();
+            this.focusOption(buttons, (index + moves[e.key] + buttons.length) % buttons.length);
+        } else if (index !== -1 && (e.key === 'Home' || e.key === 'End')) {
+            e.preventDefault();
+            this.focusOption(buttons, e.key === 'Home' ? 0 : buttons.length - 1);
+        } else if (!e.target.closest('input, textarea, select')) {
+            const btn = buttons.find(b => b.getAttribute('aria-keyshortcuts') === e.key);
+            if (btn) {
+                e.preventDefault();
+                btn.focus();
+                btn.click();
             }
+        }
+    },
+
+    /**
+     * Helper: move the keyboard focus (and the group's tab stop) to an answer
+     */
+    focusOption(buttons, index) {
+        buttons.forEach((btn, i) => btn.setAttribute('tabindex', i === index ? '0' : '-1'));
+        buttons[index].focus();
+    },
+
+    /**
+     * Register the service worker (offline shell and background sync)
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
         });
     },
 
     /**
-     * Start the check-in
+     * Render one screen per question of every questionnaire (each
+     * check-in type's and the observer's), inserted before the done screen
      */
-    start() {
+    renderQuestions() {
+        const doneScreen = document.getElementById('screen-done');
+        if (!doneScreen) return;
+
+        questions.checkinTypes.forEach(type => this.renderQuestionnaire(doneScreen, 'self', type.id));
+        this.renderQuestionnaire(doneScreen, 'observer');
+    },
+
+    /**
+     * Show the check-in types on the welcome screen, with the one that
+     * Let's Go starts pressed
+     */
+    renderTypePicker() {
+        const pickerEl = document.getElementById('checkin-type-picker');
+        if (!pickerEl) return;
+
+        const current = this.welcomeType();
+        pickerEl.innerHTML = questions.checkinTypes.map(type => questions.localize(type)).map(type => `
+            <button class="profile-chip" onclick="app.pickType('${type.id}')"
+                aria-pressed="${type.id === current}"><span aria-hidden="true">${type.emoji}</span> ${type.label}</button>`).join('');
+    },
+
+    /**
+     * Pick the check-in type on the welcome screen instead of the one
+     * suggested by the time of day
+     */
+    pickType(id) {
+        if (!questions.checkinType(id)) return;
+        this.state.pickedType = id;
+        this.renderTypePicker();
+    },
+
+    /**
+     * The check-in type Let's Go starts: the picked one, else the one
+     * for the time of day
+     */
+    welcomeType() {
+        return this.state.pickedType || questions.checkinTypeAt(new Date());
+    },
+
+    /**
+     * Redraw the question and incident screens in a newly picked
+     * language, going back to the screen that was showing
+     */
+    applyLanguage() {
+        questions.allItems().forEach(item => {
+            const screen = document.getElementById(questions.screenId(item));
+            if (screen) screen.remove();
+        });
+        const incidentScreen = document.getElementById(incidents.screenId);
+        if (incidentScreen) incidentScreen.remove();
+
+        this.renderQuestions();
+        this.renderTypePicker();
+        incidents.init();
+
+        const current = this.state.currentScreen;
+        if (current === incidents.screenId) {
+            incidents.show();
+        } else if (questions.fromScreen(current)) {
+            this.showScreen(current);
+        }
+    },
+
+    /**
+     * Render one questionnaire's screens, with its own progress dots
+     */
+    renderQuestionnaire(doneScreen, respondent, checkinType) {
+        const steps = questions.getSteps(respondent, checkinType);
+
+        questions.itemsFor(respondent, checkinType).map(item => questions.localize(item)).forEach((item, index) => {
+            const stepIndex = steps.indexOf(item.step || item.id);
+            const dots = steps.map((step, i) => {
+                const cls = i < stepIndex ? ' complete' : (i === stepIndex ? ' active' : '');
+                return `<span class="dot${cls}"></span>`;
+            }).join('');
+
+            const backButton = index === 0 ? '' : `
+                <button class="btn-back" onclick="app.goBack()" aria-label="${i18n.t('common.backLabel')}">
+                    ${i18n.t('common.back')}
+                </button>`;
+
+            doneScreen.insertAdjacentHTML('beforebegin', `
+                <section id="${questions.screenId(item)}" class="screen">
+                    <div class="screen-content">
+                        <div class="progress-dots" aria-hidden="true">${dots}</div>
+                        ${backButton}
+                        <h2 class="question" id="prompt-${item.id}" tabindex="-1">${item.prompt}</h2>
+                        <button class="btn-read-aloud" onclick="speech.readScreen(app.state.currentScreen)">
+                            <span aria-hidden="true">🔊</span> ${i18n.t('common.readAloud')}
+                        </button>
+                        ${this.renderAnswer(item)}
+                    </div>
+                </section>
+            `);
+
+            // Option buttons carry their value in data-value
+            const screen = document.getElementById(questions.screenId(item));
+            screen.querySelectorAll('[data-value]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    this.selectOption(item.id, questions.parseValue(item, btn.dataset.value));
+                });
+            });
+        });
+    },
+
+    /**
+     * Render the answer controls for a question. Answers are a radio
+     * group labelled by the question, each with its number key.
+     */
+    renderAnswer(item) {
+        const options = (item.options || []).filter(option => !option.hidden);
+        const group = `role="radiogroup" aria-labelledby="prompt-${item.id}"`;
+        const radio = (option, index) => `data-value="${option.value}" role="radio" aria-checked="false"
+            tabindex="-1" aria-keyshortcuts="${this.shortcutFor(item, option, index)}"`;
+
+        switch (item.type) {
+            case 'rating':
+                if (item.style === 'emoji') {
+                    return `<div class="rating-scale emoji-scale" ${group}>${options.map((option, i) => `
+                        <button class="rating-btn" ${radio(option, i)}>
+                            <span class="emoji" aria-hidden="true">${option.emoji}</span>
+                            <span class="label">${option.label}</span>
+                        </button>`).join('')}
+                    </div>`;
+                }
+                return `<div class="rating-scale number-scale" ${group}>${options.map((option, i) => `
+                    <button class="rating-btn" ${radio(option, i)}>
+                        <span class="number">${option.value}</span>
+                        <span class="label">${option.label}</span>
+                    </button>`).join('')}
+                </div>`;
+
+            case 'choice':
+                return `<div class="choice-list" ${group}>${options.map((option, i) => `
+                    <button class="choice-btn" ${radio(option, i)}>
+                        <span class="choice-icon" aria-hidden="true">${option.emoji}</span>
+                        <span class="choice-text">${option.label}</span>
+                    </button>`).join('')}
+                </div>`;
+
+            case 'number':
+                return `<div class="number-picker" ${group}>${options.map((option, i) => `
+                    <button class="number-btn" ${radio(option, i)}>${option.label}</button>`).join('')}
+                </div>`;
+
+            case 'text':
+                return `
+                    ${item.hint ? `<p class="hint">${item.hint}</p>` : ''}
+                    <textarea 
+                        id="input-${item.id}" 
+                        class="text-input" 
+                        placeholder="${item.placeholder || ''}"
+                        maxlength="${item.maxLength}"
+                        oninput="app.updateCharCount()"
+                    ></textarea>
+                    <div class="char-count"><span id="char-${item.id}">0</span>/${item.maxLength}</div>
+                    ${attachments.renderControls(item)}
+                    <button class="btn-primary" onclick="app.submitText()">${item.submitLabel || i18n.t('common.next')}</button>`;
+
+            default:
+                return '';
+        }
+    },
+
+    /**
+     * Helper: the number key that picks an answer - its value for
+     * ratings and counts, its position for choices
+     */
+    shortcutFor(item, option, index) {
+        return item.type === 'choice' ? String(index + 1) : String(option.value);
+    },
+
+    /**
+     * Start the check-in: the student's own (of the type picked on the
+     * welcome screen), or (from settings, adults only) an observer
+     * check-in for the same day
+     */
+    async start(respondent = 'self', checkinType = this.welcomeType()) {
+        if (respondent === 'observer' && !adult.require()) return;
+
+        // Observers have a single questionnaire
+        if (respondent === 'observer') {
+            checkinType = questions.defaultCheckinType;
+        }
+
+        // One check-in of each type per day unless the settings allow more
+        if (!storage.config.allowMultiplePerDay) {
+            const existing = await storage.getEntryForDate(this.getDateString(), respondent, checkinType);
+            if (existing) {
+                const question = respondent === 'observer'
+                    ? i18n.t('checkin.alreadyObserver')
+                    : i18n.t('checkin.already', { type: questions.localize(questions.checkinType(checkinType)).label });
+                if (confirm(question)) {
+                    this.editEntry(existing);
+                }
+                return;
+            }
+        }
+
+        // Answers left over from another questionnaire don't apply
+        if (this.state.respondent !== respondent || this.state.checkinType !== checkinType) {
+            this.state.responses = questions.emptyResponses(respondent, checkinType);
+            this.state.incidents = [];
+            this.state.attachments = [];
+        }
+        this.state.respondent = respondent;
+        this.state.checkinType = checkinType;
+        this.state.editingId = null;
+        this.state.startTime = Date.now();
+        this.showScreen(questions.screenId(questions.itemsFor(respondent, checkinType)[0]));
+    },
+
+    /**
+     * Walk through the questions again with an existing entry's answers
+     * (and its recordings and drawings)
+     */
+    async editEntry(entry) {
+        const respondent = questions.respondentOf(entry);
+        const checkinType = questions.checkinTypeOf(entry);
+        this.state.respondent = respondent;
+        this.state.checkinType = checkinType;
+        this.state.editingId = entry.id;
+        this.state.responses = { ...questions.emptyResponses(respondent, checkinType), ...entry.responses };
+        this.state.incidents = (entry.incidents || []).map(incident => ({ ...incident }));
+        this.state.attachments = await attachments.load(entry);
         this.state.startTime = Date.now();
-        this.showScreen('screen-q1');
+        this.showScreen(questions.screenId(questions.itemsOf(entry)[0]));
+    },
+
+    /**
+     * Done-screen button: edit today's entry of the type just done, or
+     * start another when multiple check-ins per day are allowed
+     */
+    async again() {
+        const checkinType = this.state.checkinType;
+        const today = await storage.getEntryForDate(this.getDateString(), 'self', checkinType);
+        this.reset();
+        if (!storage.config.allowMultiplePerDay && today) {
+            this.editEntry(today);
+        } else {
+            this.start('self', checkinType);
+        }
     },
 
     /**
      * Show a specific screen
      */
     showScreen(screenId) {
+        // Settings (and the report opened from them) need the adult PIN;
+        // leaving adult mode's screens locks it again
+        if ((screenId === 'screen-settings' || screenId === 'screen-report') && !adult.unlocked) {
+            adult.open();
+            return;
+        }
+        if (!this.adultScreens.includes(screenId)) {
+            adult.lock();
+        }
+
+        // The suggested check-in type moves on with the time of day
+        if (screenId === 'screen-welcome') {
+            this.renderTypePicker();
+        }
+
+        // A recording doesn't carry on to another screen
+        if (screenId !== this.state.currentScreen) {
+            attachments.stopRecording();
+        }
+
         // Hide all screens
         document.querySelectorAll('.screen').forEach(screen => {
             screen.classList.remove('active');
@@ -73,117 +381,143 @@ const app = {
             
             // Save progress
             this.saveProgress();
+
+            this.announceScreen(targetScreen);
+            speech.onScreen(screenId);
         }
     },
 
     /**
-     * Go to previous screen
+     * Move focus to a new screen's heading and announce it, so keyboard
+     * and screen reader users know the screen changed
      */
-    goBack() {
-        const current = this.state.currentScreen;
-        let prevScreen = this.flow[current]?.prev;
-
-        // Special handling for q5 - may need to skip q4b if dysregulation was 0
-        if (current === 'screen-q5' && this.state.responses.dysregulation_count === 0) {
-            prevScreen = 'screen-q4';
+    announceScreen(screen) {
+        const heading = screen.querySelector('h1, h2');
+        const item = questions.fromScreen(screen.id);
+        let message = heading ? heading.textContent.trim() : '';
+
+        if (item) {
+            const steps = questions.getSteps(this.state.respondent, this.state.checkinType);
+            message = i18n.t('common.question', { number: steps.indexOf(item.step || item.id) + 1, total: steps.length });
         }
 
-        if (prevScreen) {
-            this.showScreen(prevScreen);
+        if (heading) {
+            heading.setAttribute('tabindex', '-1');
+            heading.focus({ preventScroll: true });
         }
+        document.getElementById('screen-announcer').textContent = message;
     },
 
     /**
-     * Go to next screen
+     * Go to previous screen
      */
-    goNext() {
-        const current = this.state.currentScreen;
-        let nextScreen = this.flow[current]?.next;
-
-        // Special handling for q4 - skip q4b if dysregulation was 0
-        if (current === 'screen-q4' && this.state.responses.dysregulation_count === 0) {
-            nextScreen = 'screen-q5';
-            this.state.responses.used_coping_strategy = 'n/a';
+    goBack() {
+        // The incident details go back to the count question
+        if (this.state.currentScreen === incidents.screenId) {
+            this.showScreen(questions.screenId(questions.get(questions.incidentLog.after)));
+            return;
         }
 
-        if (nextScreen) {
-            this.showScreen(nextScreen);
+        const current = questions.fromScreen(this.state.currentScreen);
+        if (!current) return;
+
+        // Walk back past any questions that were skipped
+        const items = questions.itemsFor(this.state.respondent, this.state.checkinType);
+        const index = items.indexOf(current);
+        const prev = items
+            .slice(0, index)
+            .reverse()
+            .find(item => !questions.isSkipped(item, this.state.responses));
+
+        if (prev && incidents.follows(prev, this.state.responses)) {
+            incidents.show();
+            return;
         }
+        this.showScreen(prev ? questions.screenId(prev) : 'screen-welcome');
     },
 
     /**
-     * Handle rating selection (emoji/number scales)
+     * Go to next screen
      */
-    selectRating(field, value) {
-        this.state.responses[field] = value;
-        
-        // Visual feedback
-        const screen = document.getElementById(this.state.currentScreen);
-        screen.querySelectorAll('.rating-btn').forEach(btn => {
-            btn.classList.remove('selected');
-            if (parseInt(btn.dataset.value) === value) {
-                btn.classList.add('selected');
+    goNext() {
+        // The incident details carry on from the count question
+        const onIncidents = this.state.currentScreen === incidents.screenId;
+        const current = onIncidents
+            ? questions.get(questions.incidentLog.after)
+            : questions.fromScreen(this.state.currentScreen);
+        if (!current) return;
+
+        if (!onIncidents && incidents.follows(current, this.state.responses)) {
+            incidents.show();
+            return;
+        }
+
+        // Find the next question whose skip rule doesn't match,
+        // recording the skip value for any that do
+        const responses = this.state.responses;
+        const items = questions.itemsFor(this.state.respondent, this.state.checkinType);
+        const index = items.indexOf(current);
+        let next = null;
+
+        for (const item of items.slice(index + 1)) {
+            if (questions.isSkipped(item, responses)) {
+                responses[item.id] = item.skipValue !== undefined ? item.skipValue : null;
+                continue;
             }
-        });
+            // An earlier answer changed - clear the stale skip value
+            if (item.skipValue !== undefined && responses[item.id] === item.skipValue) {
+                responses[item.id] = '';
+            }
+            next = item;
+            break;
+        }
 
-        // Auto-advance after brief delay
-        setTimeout(() => this.goNext(), 300);
+        if (next) {
+            this.showScreen(questions.screenId(next));
+        } else {
+            this.submit();
+        }
     },
 
     /**
-     * Handle choice selection
+     * Handle option selection (ratings, choices and number pickers)
      */
-    selectChoice(field, value) {
+    selectOption(field, value) {
         this.state.responses[field] = value;
         
         // Visual feedback
-        const screen = document.getElementById(this.state.currentScreen);
-        screen.querySelectorAll('.choice-btn').forEach(btn => {
-            btn.classList.remove('selected');
-        });
-        event.currentTarget.classList.add('selected');
+        this.markSelected(document.getElementById(this.state.currentScreen), value);
 
         // Auto-advance after brief delay
         setTimeout(() => this.goNext(), 300);
     },
 
     /**
-     * Handle number picker selection
+     * Handle text response submission, finishing any recording first
      */
-    selectNumber(field, value) {
-        this.state.responses[field] = value;
-        
-        // Visual feedback
-        const screen = document.getElementById(this.state.currentScreen);
-        screen.querySelectorAll('.number-btn').forEach(btn => {
-            btn.classList.remove('selected');
-        });
-        event.currentTarget.classList.add('selected');
+    async submitText() {
+        const item = questions.fromScreen(this.state.currentScreen);
+        if (!item) return;
 
-        // Auto-advance after brief delay
-        setTimeout(() => this.goNext(), 300);
-    },
+        await attachments.stopRecording();
 
-    /**
-     * Handle free response submission
-     */
-    submitFreeResponse() {
-        const textarea = document.getElementById('free-response');
-        this.state.responses.free_response = textarea.value.trim();
+        const textarea = document.getElementById(`input-${item.id}`);
+        this.state.responses[item.id] = textarea.value.trim();
         
-        // Submit the check-in
-        this.submit();
+        this.goNext();
     },
 
     /**
      * Update character count display
      */
     updateCharCount() {
-        const textarea = document.getElementById('free-response');
-        const countEl = document.getElementById('char-current');
-        if (textarea && countEl) {
-            countEl.textContent = textarea.value.length;
-        }
+        questions.allItems().filter(item => item.type === 'text').forEach(item => {
+            const textarea = document.getElementById(`input-${item.id}`);
+            const countEl = document.getElementById(`char-${item.id}`);
+            if (textarea && countEl) {
+                countEl.textContent = textarea.value.length;
+            }
+        });
     },
 
     /**
@@ -193,27 +527,64 @@ const app = {
         const endTime = Date.now();
         const completionTime = Math.round((endTime - this.state.startTime) / 1000);
 
-        // Create entry object
-        const entry = {
+        const existing = this.state.editingId
+            ? (await storage.getLocalEntries()).find(e => e.id === this.state.editingId)
+            : null;
+        const now = new Date().toISOString();
+
+        // Only the incidents still counted, without untouched forms
+        const logged = questions.cleanIncidents(this.state.incidents, this.state.responses);
+
+        // Create entry object, or the next revision of the one being edited
+        const entry = existing ? {
+            ...existing,
+            responses: { ...this.state.responses },
+            incidents: logged,
+            attachments: attachments.describe(this.state.attachments),
+            revision: (existing.revision || 1) + 1,
+            modified_at: now,
+            metadata: {
+                ...existing.metadata,
+                completion_time_seconds: completionTime,
+                device: this.getDeviceType(),
+                timezone: dates.timezone()
+            },
+            synced: false
+        } : {
             id: this.generateId(),
+            profile_id: profiles.currentId,
+            respondent: this.state.respondent,
+            checkin_type: this.state.checkinType,
             date: this.getDateString(),
-            timestamp: new Date().toISOString(),
+            timestamp: now,
+            revision: 1,
+            modified_at: now,
             responses: { ...this.state.responses },
+            incidents: logged,
+            attachments: attachments.describe(this.state.attachments),
             metadata: {
                 completion_time_seconds: completionTime,
-                device: this.getDeviceType()
+                device: this.getDeviceType(),
+                timezone: dates.timezone()
             },
             synced: false
         };
 
-        // Save entry
+        // Save entry, with the blobs of its recordings and drawings
+        await attachments.store(entry, this.state.attachments);
         const result = await storage.save(entry);
 
+        // No reminder needed for a day that's done
+        reminders.refresh();
+
         // Show completion screen
         this.showDoneSummary(entry, result);
+        safety.renderDone(entry);
+        await goals.renderDone(entry);
         this.showScreen('screen-done');
 
         // Clear saved progress
+        this.state.editingId = null;
         this.clearProgress();
     },
 
@@ -225,69 +596,69 @@ const app = {
         if (!summaryEl) return;
 
         const r = entry.responses;
-        
-        // Format overall day
-        const dayLabels = ['', 'Really tough 😫', 'Difficult 😕', 'Okay 😐', 'Good 🙂', 'Great 😄'];
-        
-        // Format social
-        const socialLabels = {
-            'yes_several': '✨ Several good moments',
-            'yes_one': '👍 At least one',
-            'not_really': '🤷 Not really, but okay',
-            'no_wished': '😔 Wished I had'
-        };
+        const respondent = questions.respondentOf(entry);
+
+        let html = questions.itemsOf(entry)
+            .filter(item => r[item.id] !== null && r[item.id] !== undefined && r[item.id] !== '')
+            .filter(item => !questions.isSkipped(item, r))
+            .map(item => `<p><strong>${questions.localize(item).summaryLabel}:</strong> ${this.escapeHtml(questions.formatSummary(item, r[item.id]))}</p>`)
+            .join('');
 
-        let html = `
-            <p><strong>Overall:</strong> ${dayLabels[r.overall_day] || r.overall_day}</p>
-            <p><strong>Focus:</strong> ${r.academic_focus}/5</p>
-            <p><strong>Social:</strong> ${socialLabels[r.social_interactions] || r.social_interactions}</p>
-            <p><strong>Tough moments:</strong> ${r.dysregulation_count}</p>
-        `;
-
-        if (r.dysregulation_count > 0 && r.used_coping_strategy !== 'n/a') {
-            const copingLabels = {
-                'yes_helped': '💪 Used a strategy that helped',
-                'yes_not_much': '🤔 Tried but didn\'t help much',
-                'no': '❌ Didn\'t use a strategy'
-            };
-            html += `<p><strong>Coping:</strong> ${copingLabels[r.used_coping_strategy] || r.used_coping_strategy}</p>`;
+        if (entry.incidents && entry.incidents.length > 0) {
+            html += `<p><strong>${i18n.t('done.details')}:</strong> ${i18n.t('done.times', { count: entry.incidents.length })}</p>`;
         }
 
-        if (r.free_response) {
-            html += `<p><strong>Note:</strong> "${r.free_response}"</p>`;
+        if (this.state.attachments.length > 0) {
+            html += `<p><strong>${i18n.t('done.attachments')}:</strong></p>
+                <div class="attachment-list">${attachments.listHtml(this.state.attachments)}</div>`;
         }
 
         html += `<p style="margin-top: 1rem; color: var(--text-muted); font-size: 0.85rem;">
-            Completed in ${entry.metadata.completion_time_seconds}s
-            ${saveResult.synced ? '• Synced ✓' : '• Saved locally'}
+            ${i18n.t('done.completed', { seconds: entry.metadata.completion_time_seconds })}
+            • ${i18n.t(saveResult.synced ? 'done.synced' : 'done.savedLocally')}
         </p>`;
 
         summaryEl.innerHTML = html;
+
+        document.querySelectorAll('.done-message').forEach(el => {
+            el.hidden = el.dataset.respondent !== respondent;
+        });
+
+        // Adult mode locked again on the way here, so observers start over from settings
+        const againBtn = document.getElementById('done-again');
+        if (againBtn) {
+            againBtn.hidden = respondent === 'observer';
+            againBtn.textContent = i18n.t(storage.config.allowMultiplePerDay ? 'done.another' : 'done.change');
+        }
     },
 
     /**
      * Reset for a new check-in
      */
     reset() {
-        this.state.responses = {
-            overall_day: null,
-            academic_focus: null,
-            social_interactions: null,
-            dysregulation_count: null,
-            used_coping_strategy: null,
-            free_response: ''
-        };
+        this.state.responses = questions.emptyResponses();
+        this.state.incidents = [];
+        this.state.attachments = [];
         this.state.startTime = null;
+        this.state.editingId = null;
+        this.state.respondent = 'self';
+        this.state.checkinType = questions.defaultCheckinType;
+        this.state.pickedType = null;
 
         // Clear all selections
         document.querySelectorAll('.selected').forEach(el => {
             el.classList.remove('selected');
         });
 
-        // Clear textarea
-        const textarea = document.getElementById('free-response');
-        if (textarea) textarea.value = '';
+        // Clear text inputs
+        questions.allItems().filter(item => item.type === 'text').forEach(item => {
+            const textarea = document.getElementById(`input-${item.id}`);
+            if (textarea) textarea.value = '';
+            attachments.closePad(item.id);
+            attachments.renderList(item.id);
+        });
         this.updateCharCount();
+        attachments.forget();
 
         // Go to welcome
         this.showScreen('screen-welcome');
@@ -298,78 +669,106 @@ const app = {
      */
     restoreSelections(screenId) {
         const screen = document.getElementById(screenId);
-        if (!screen) return;
-
-        const fieldMap = {
-            'screen-q1': 'overall_day',
-            'screen-q2': 'academic_focus',
-            'screen-q3': 'social_interactions',
-            'screen-q4': 'dysregulation_count',
-            'screen-q4b': 'used_coping_strategy'
-        };
+        const item = questions.fromScreen(screenId);
+        if (!screen || !item) return;
 
-        const field = fieldMap[screenId];
-        if (!field) return;
+        const value = this.state.responses[item.id];
 
-        const value = this.state.responses[field];
-        if (value === null || value === undefined) return;
-
-        // For rating buttons (by data-value)
-        screen.querySelectorAll('.rating-btn').forEach(btn => {
-            btn.classList.toggle('selected', parseInt(btn.dataset.value) === value);
-        });
+        // For option buttons (by data-value)
+        this.markSelected(screen, value);
 
-        // For number buttons
-        screen.querySelectorAll('.number-btn').forEach(btn => {
-            const btnValue = btn.textContent.includes('+') ? 5 : parseInt(btn.textContent);
-            btn.classList.toggle('selected', btnValue === value);
-        });
-
-        // For choice buttons (need to match by onclick value)
-        if (screenId === 'screen-q3' || screenId === 'screen-q4b') {
-            screen.querySelectorAll('.choice-btn').forEach(btn => {
-                const onclick = btn.getAttribute('onclick');
-                btn.classList.toggle('selected', onclick && onclick.includes(`'${value}'`));
-            });
+        // Recordings and drawings
+        if (item.attachments) {
+            attachments.renderList(item.id);
         }
+        if (value === null || value === undefined) return;
 
-        // For free response
-        if (screenId === 'screen-q5') {
-            const textarea = document.getElementById('free-response');
-            if (textarea && this.state.responses.free_response) {
-                textarea.value = this.state.responses.free_response;
+        // For text responses
+        if (item.type === 'text') {
+            const textarea = document.getElementById(`input-${item.id}`);
+            if (textarea && value) {
+                textarea.value = value;
                 this.updateCharCount();
             }
         }
     },
 
     /**
-     * Save progress to localStorage (in case of accidental close)
+     * Helper: show which answer is picked, and make it the group's tab
+     * stop (the first answer when none is)
+     */
+    markSelected(screen, value) {
+        const buttons = [...screen.querySelectorAll('[data-value]')];
+        const selected = buttons.find(btn => btn.dataset.value === String(value));
+        buttons.forEach(btn => {
+            btn.classList.toggle('selected', btn === selected);
+            btn.setAttribute('aria-checked', btn === selected);
+            btn.setAttribute('tabindex', btn === (selected || buttons[0]) ? '0' : '-1');
+        });
+    },
+
+    /**
+     * Save progress to localStorage (in case of accidental close), per profile
      */
     saveProgress() {
+        const responses = { ...this.state.responses };
+
+        // Free-text answers would sit unencrypted here, so skip them when the vault is on
+        // (recordings and drawings are never kept here - blobs don't fit in localStorage)
+        if (vault.enabled()) {
+            questions.itemsFor(this.state.respondent, this.state.checkinType).filter(item => item.type === 'text').forEach(item => {
+                responses[item.id] = '';
+            });
+        }
+
         const progress = {
             currentScreen: this.state.currentScreen,
             startTime: this.state.startTime,
-            responses: this.state.responses
+            editingId: this.state.editingId,
+            respondent: this.state.respondent,
+            checkinType: this.state.checkinType,
+            responses,
+            incidents: this.state.incidents
         };
-        localStorage.setItem('carmel_checkin_progress', JSON.stringify(progress));
+        localStorage.setItem(profiles.progressKey(), JSON.stringify(progress));
     },
 
     /**
      * Load saved progress
      */
     loadProgress() {
-        const saved = localStorage.getItem('carmel_checkin_progress');
+        const saved = localStorage.getItem(profiles.progressKey());
         if (saved) {
             try {
                 const progress = JSON.parse(saved);
                 // Only restore if started within last hour
                 if (progress.startTime && (Date.now() - progress.startTime) < 3600000) {
-                    this.state = { ...this.state, ...progress };
-                    if (progress.currentScreen && progress.currentScreen !== 'screen-welcome') {
+                    // Observer check-ins need adult mode, which never survives a restart
+                    if (progress.respondent === 'observer') {
+                        this.clearProgress();
+                        return;
+                    }
+                    const checkinType = questions.checkinType(progress.checkinType)
+                        ? progress.checkinType
+                        : questions.defaultCheckinType;
+                    this.state = {
+                        ...this.state,
+                        ...progress,
+                        respondent: 'self',
+                        checkinType,
+                        responses: { ...questions.emptyResponses('self', checkinType), ...progress.responses },
+                        incidents: Array.isArray(progress.incidents) ? progress.incidents : []
+                    };
+                    // Never resume into adult mode's screens
+                    if (progress.currentScreen && progress.currentScreen !== 'screen-welcome' &&
+                        !this.adultScreens.includes(progress.currentScreen)) {
                         // Offer to resume
-                        if (confirm('You have an unfinished check-in. Would you like to continue?')) {
-                            this.showScreen(progress.currentScreen);
+                        if (confirm(i18n.t('checkin.resume'))) {
+                            if (progress.currentScreen === incidents.screenId) {
+                                incidents.show();
+                            } else {
+                                this.showScreen(progress.currentScreen);
+                            }
                         } else {
                             this.clearProgress();
                         }
@@ -387,7 +786,7 @@ const app = {
      * Clear saved progress
      */
     clearProgress() {
-        localStorage.removeItem('carmel_checkin_progress');
+        localStorage.removeItem(profiles.progressKey());
     },
 
     /**
@@ -398,10 +797,19 @@ const app = {
     },
 
     /**
-     * Helper: Get date string (YYYY-MM-DD)
+     * Helper: Get today's local date string (YYYY-MM-DD)
      */
     getDateString() {
-        return new Date().toISOString().split('T')[0];
+        return dates.today();
+    },
+
+    /**
+     * Helper: Escape text for insertion into HTML
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
     },
 
     /**
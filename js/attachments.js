@@ -0,0 +1,589 @@
+/**
+ * Attachments Module for Carmel Daily Check-In
+ * A short voice recording (MediaRecorder) or a quick finger drawing (a
+ * canvas) in place of typing, on text questions marked `attachments: true`.
+ * During a check-in they're held, with their blobs, in
+ * app.state.attachments. Once saved, each one is a record in the db
+ * attachment store (its blob sealed by the vault when encryption is on)
+ * and the entry lists them as { id, question, kind, type, created_at, url }.
+ * Syncing uploads each one to a Google Drive folder before its entry, so
+ * the entry's row carries the file links (url).
+ */
+
+const attachments = {
+    // Recordings stop by themselves after this long
+    maxSeconds: 60,
+
+    // About 240 KB a minute - plenty for speech
+    audioBitsPerSecond: 32000,
+
+    // Drawings are saved at this size (the canvas is scaled to fit the screen)
+    drawingWidth: 600,
+    drawingHeight: 400,
+    penWidth: 6,
+    penColors: ['#2d3748', '#4a78b5', '#5b8a72', '#d4a373', '#c97070'],
+
+    kinds: {
+        voice: { emoji: '🎤', label: 'attachments.voice', type: 'audio/webm' },
+        drawing: { emoji: '✏️', label: 'attachments.drawing', type: 'image/png' }
+    },
+
+    // The recording in progress: { itemId, recorder, started, timer, done }
+    recording: null,
+
+    // The drawing pad in use: { itemId, color, drawn }
+    pen: null,
+
+    // Object URLs for players and thumbnails, by attachment id
+    urls: new Map(),
+
+    /**
+     * Whether this browser can record voice notes (drawing works everywhere)
+     */
+    canRecord() {
+        return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia) && 'MediaRecorder' in window;
+    },
+
+    /**
+     * Record/draw buttons, the drawing pad and the attachment list for a
+     * question that takes attachments ('' for the others)
+     */
+    renderControls(item) {
+        if (!item.attachments) return '';
+
+        const colors = this.penColors.map((color, i) => `
+            <button class="pen-color" style="background: ${color}" aria-pressed="${i === 0}"
+                aria-label="${i18n.t('attachments.color', { number: i + 1 })}"
+                onclick="attachments.setColor('${item.id}', ${i})"></button>`).join('');
+
+        return `
+            <div class="attachment-controls">
+                <button class="btn-secondary" id="record-${item.id}" aria-pressed="false"
+                    onclick="attachments.toggleRecording('${item.id}')" ${this.canRecord() ? '' : 'hidden'}>
+                    ${i18n.t('attachments.record')}
+                </button>
+                <button class="btn-secondary" onclick="attachments.openPad('${item.id}')">${i18n.t('attachments.draw')}</button>
+            </div>
+            <div class="drawing-pad" id="pad-${item.id}" hidden>
+                <canvas id="canvas-${item.id}" class="drawing-canvas" width="${this.drawingWidth}" height="${this.drawingHeight}"
+                    role="img" aria-label="${i18n.t('attachments.canvas')}"></canvas>
+                <div class="pen-colors">${colors}</div>
+                <div class="drawing-actions">
+                    <button class="btn-secondary" onclick="attachments.clearPad('${item.id}')">${i18n.t('attachments.clear')}</button>
+                    <button class="btn-secondary" onclick="attachments.closePad('${item.id}')">${i18n.t('attachments.cancel')}</button>
+                    <button class="btn-primary" onclick="attachments.saveDrawing('${item.id}')">${i18n.t('attachments.useDrawing')}</button>
+                </div>
+            </div>
+            <p class="attachment-message" id="attachment-message-${item.id}" role="status"></p>
+            <div class="attachment-list" id="attachments-${item.id}"></div>`;
+    },
+
+    /**
+     * Start recording a voice note for a question, or stop the one in progress
+     */
+    async toggleRecording(itemId) {
+        if (this.recording) {
+            await this.stopRecording();
+            return;
+        }
+
+        this.showMessage(itemId, '');
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        } catch (error) {
+            console.warn('Microphone unavailable:', error);
+            this.showMessage(itemId, i18n.t('attachments.noMic'));
+            return;
+        }
+
+        const recorder = new MediaRecorder(stream, { audioBitsPerSecond: this.audioBitsPerSecond });
+        const chunks = [];
+        recorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) chunks.push(event.data);
+        };
+
+        const recording = { itemId, recorder, started: Date.now(), timer: null, done: null };
+        recording.done = new Promise(resolve => {
+            recorder.onstop = () => {
+                stream.getTracks().forEach(track => track.stop());
+                clearInterval(recording.timer);
+                this.recording = null;
+                this.updateRecordButton(itemId);
+
+                const blob = new Blob(chunks, { type: recorder.mimeType || this.kinds.voice.type });
+                if (blob.size > 0) {
+                    this.add(itemId, 'voice', blob);
+                }
+                resolve();
+            };
+        });
+
+        this.recording = recording;
+        recorder.start();
+        recording.timer = setInterval(() => this.updateRecordButton(itemId), 1000);
+        this.updateRecordButton(itemId);
+    },
+
+    /**
+     * Stop the recording in progress (if any), resolving once it's been added
+     */
+    async stopRecording() {
+        if (!this.recording) return;
+
+        const { recorder, done } = this.recording;
+        if (recorder.state !== 'inactive') {
+            recorder.stop();
+        }
+        await done;
+    },
+
+    /**
+     * Open the drawing pad for a question with a blank page
+     */
+    openPad(itemId) {
+        const pad = document.getElementById(`pad-${itemId}`);
+        const canvas = document.getElementById(`canvas-${itemId}`);
+        if (!pad || !canvas || !canvas.getContext('2d')) return;
+
+        if (!canvas.dataset.ready) {
+            this.listen(canvas);
+            canvas.dataset.ready = 'true';
+        }
+        this.pen = { itemId, color: this.penColors[0], drawn: false };
+        this.setColor(itemId, 0);
+        this.clearPad(itemId);
+        pad.hidden = false;
+    },
+
+    /**
+     * Pick the pen color
+     */
+    setColor(itemId, index) {
+        if (!this.pen) return;
+
+        this.pen.color = this.penColors[index];
+        document.querySelectorAll(`#pad-${itemId} .pen-color`).forEach((button, i) => {
+            button.setAttribute('aria-pressed', i === index);
+        });
+    },
+
+    /**
+     * Wipe the drawing pad back to a white page
+     */
+    clearPad(itemId) {
+        const canvas = document.getElementById(`canvas-${itemId}`);
+        const context = canvas && canvas.getContext('2d');
+        if (!context) return;
+
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        if (this.pen) this.pen.drawn = false;
+    },
+
+    /**
+     * Put the drawing pad away without keeping the drawing
+     */
+    closePad(itemId) {
+        const pad = document.getElementById(`pad-${itemId}`);
+        if (pad) pad.hidden = true;
+        this.pen = null;
+    },
+
+    /**
+     * Keep the drawing (as a PNG) and put the pad away
+     */
+    async saveDrawing(itemId) {
+        const canvas = document.getElementById(`canvas-${itemId}`);
+        if (!canvas || !this.pen || !this.pen.drawn) {
+            this.closePad(itemId);
+            return;
+        }
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, this.kinds.drawing.type));
+        if (blob) {
+            this.add(itemId, 'drawing', blob);
+        }
+        this.closePad(itemId);
+    },
+
+    /**
+     * Add a recording or drawing to the check-in in progress
+     */
+    add(itemId, kind, blob) {
+        app.state.attachments.push({
+            id: this.generateId(),
+            question: itemId,
+            kind,
+            type: blob.type || this.kinds[kind].type,
+            created_at: new Date().toISOString(),
+            blob
+        });
+        this.renderList(itemId);
+    },
+
+    /**
+     * Take a recording or drawing back out of the check-in in progress
+     */
+    remove(id) {
+        const attachment = app.state.attachments.find(a => a.id === id);
+        if (!attachment) return;
+
+        app.state.attachments = app.state.attachments.filter(a => a !== attachment);
+        this.revoke(id);
+        this.renderList(attachment.question);
+    },
+
+    /**
+     * Show the check-in's attachments for a question under its controls
+     */
+    renderList(itemId) {
+        const listEl = document.getElementById(`attachments-${itemId}`);
+        if (!listEl) return;
+
+        listEl.innerHTML = this.listHtml(app.state.attachments.filter(a => a.question === itemId), true);
+    },
+
+    /**
+     * Players and thumbnails for a list of attachments - a Drive link for
+     * one whose blob isn't on this device - with remove buttons if asked
+     */
+    listHtml(list, removable = false) {
+        return list.map(attachment => {
+            const name = this.label(attachment);
+            const url = attachment.blob ? this.urlFor(attachment) : null;
+            let preview;
+            if (url && attachment.kind === 'voice') {
+                preview = `<audio controls src="${url}" aria-label="${name}"></audio>`;
+            } else if (url) {
+                preview = `<img class="attachment-thumb" src="${url}" alt="${name}">`;
+            } else if (attachment.url) {
+                preview = `<a href="${app.escapeHtml(attachment.url)}" target="_blank" rel="noopener">${this.kinds[attachment.kind].emoji} ${name}</a>`;
+            } else {
+                preview = `<span class="attachment-missing">${this.kinds[attachment.kind].emoji} ${name}</span>`;
+            }
+
+            const removeButton = removable ? `
+                <button class="attachment-remove" data-id="${app.escapeHtml(attachment.id)}" onclick="attachments.remove(this.dataset.id)"
+                    aria-label="${i18n.t('attachments.remove', { name })}">✕</button>` : '';
+            return `<div class="attachment-item">${preview}${removeButton}</div>`;
+        }).join('');
+    },
+
+    /**
+     * What an attachment is, in words ("Voice note", "Drawing")
+     */
+    label(attachment) {
+        return i18n.t(this.kinds[attachment.kind].label);
+    },
+
+    /**
+     * The list stored on the entry: everything but the blobs
+     */
+    describe(list) {
+        return list.map(({ id, question, kind, type, created_at, url }) => {
+            const meta = { id, question, kind, type, created_at };
+            if (url) meta.url = url;
+            return meta;
+        });
+    },
+
+    /**
+     * Store the blobs of an entry's attachments, removing any it no longer has
+     */
+    async store(entry, list) {
+        const stored = await db.attachmentsFor(entry.id);
+        const known = new Set(stored.map(record => record.id));
+        const kept = new Set(list.map(attachment => attachment.id));
+
+        const records = [];
+        for (const attachment of list) {
+            if (attachment.blob && !known.has(attachment.id)) {
+                records.push(await this.toRecord(attachment, entry));
+            }
+        }
+        const removed = stored.filter(record => !kept.has(record.id)).map(record => record.id);
+
+        if (records.length > 0) await db.putAttachments(records);
+        if (removed.length > 0) await db.deleteAttachments(removed);
+    },
+
+    /**
+     * An entry's attachments with their blobs (null when not on this
+     * device, or encrypted and locked)
+     */
+    async load(entry) {
+        if (!entry.attachments || entry.attachments.length === 0) return [];
+
+        const records = await db.attachmentsFor(entry.id);
+        const list = [];
+        for (const meta of entry.attachments) {
+            const record = records.find(r => r.id === meta.id);
+            list.push({ ...meta, blob: record ? await this.blobOf(record) : null });
+        }
+        return list;
+    },
+
+    /**
+     * Upload the attachments of entries about to be synced that aren't in
+     * Drive yet, saving each link on its entry (locally too). Throws if an
+     * upload fails, so the entries wait for the next sync.
+     */
+    async upload(entries, profile) {
+        for (const entry of entries) {
+            const waiting = (entry.attachments || []).filter(attachment => !attachment.url);
+            if (waiting.length === 0) continue;
+
+            const records = await db.attachmentsFor(entry.id);
+            for (const attachment of waiting) {
+                const record = records.find(r => r.id === attachment.id);
+                // Not on this device (e.g. restored from Sheets) - nothing to upload
+                if (!record) continue;
+
+                const blob = await this.blobOf(record);
+                if (!blob) {
+                    throw new Error('Attachments are encrypted - unlock them under Encryption first');
+                }
+
+                const result = await storage.request({
+                    action: 'attachment',
+                    sheet: profile.sheetName,
+                    entryId: entry.id,
+                    date: entry.date,
+                    id: attachment.id,
+                    kind: attachment.kind,
+                    mimeType: attachment.type,
+                    data: vault.toBase64(new Uint8Array(await blob.arrayBuffer()))
+                }, storage.sheetsUrlFor(profile));
+                attachment.url = result.url;
+            }
+            await this.saveLinks(entry);
+        }
+    },
+
+    /**
+     * The attachments of exported entries, with their data as base64
+     */
+    async exportData(entries) {
+        const list = [];
+        for (const entry of entries) {
+            for (const { blob, ...meta } of await this.load(entry)) {
+                if (!blob) continue;
+                list.push({ ...meta, entry_id: entry.id, data: vault.toBase64(new Uint8Array(await blob.arrayBuffer())) });
+            }
+        }
+        return list;
+    },
+
+    /**
+     * An imported entry's attachments under new ids, with blobs from a
+     * backup's attachment list (`data`, matched by the entry's id in the
+     * file). Ones with neither data nor a link are dropped.
+     */
+    fromBackup(entry, sourceId, data) {
+        return (entry.attachments || [])
+            .map(meta => {
+                const saved = data.find(item => item.entry_id === sourceId && item.id === meta.id);
+                const blob = saved ? new Blob([vault.fromBase64(saved.data)], { type: meta.type }) : null;
+                return { ...meta, id: this.generateId(), blob };
+            })
+            .filter(attachment => attachment.blob || attachment.url);
+    },
+
+    /**
+     * Whether a list of attachments (from an import) has the right shape
+     */
+    isValidList(list) {
+        return Array.isArray(list) && list.every(attachment =>
+            attachment && typeof attachment.id === 'string' && this.kinds.hasOwnProperty(attachment.kind) &&
+            (attachment.url === undefined || /^https:\/\//.test(attachment.url)));
+    },
+
+    /**
+     * Turn encryption of the stored blobs on or off (with the vault unlocked)
+     */
+    async reseal(encrypt) {
+        const records = [];
+        for (const record of await db.allAttachments()) {
+            if (!!record.sealed === encrypt) continue;
+
+            const blob = await this.blobOf(record);
+            if (!blob) {
+                throw new Error(`Could not decrypt attachment ${record.id}`);
+            }
+            records.push(await this.toRecord({ ...record, blob }, { id: record.entry_id, profile_id: record.profile_id }, encrypt));
+        }
+        if (records.length > 0) await db.putAttachments(records);
+    },
+
+    /**
+     * Release the players' and thumbnails' object URLs
+     */
+    forget() {
+        [...this.urls.keys()].forEach(id => this.revoke(id));
+    },
+
+    /**
+     * Helper: show (or clear) a message under a question's controls
+     */
+    showMessage(itemId, message) {
+        const messageEl = document.getElementById(`attachment-message-${itemId}`);
+        if (messageEl) messageEl.textContent = message;
+    },
+
+    /**
+     * Helper: show the seconds left on the record button while recording
+     */
+    updateRecordButton(itemId) {
+        const button = document.getElementById(`record-${itemId}`);
+        const recording = this.recording;
+        const left = recording ? this.maxSeconds - Math.floor((Date.now() - recording.started) / 1000) : 0;
+
+        if (recording && left <= 0) {
+            this.stopRecording();
+            return;
+        }
+        if (!button) return;
+
+        button.textContent = recording ? i18n.t('attachments.stop', { seconds: left }) : i18n.t('attachments.record');
+        button.setAttribute('aria-pressed', !!recording);
+        button.classList.toggle('recording', !!recording);
+    },
+
+    /**
+     * Helper: draw with a finger, pen or mouse on the pad
+     */
+    listen(canvas) {
+        const context = canvas.getContext('2d');
+        let last = null;
+
+        // Pointer position in canvas pixels
+        const point = (event) => {
+            const rect = canvas.getBoundingClientRect();
+            return {
+                x: (event.clientX - rect.left) * canvas.width / rect.width,
+                y: (event.clientY - rect.top) * canvas.height / rect.height
+            };
+        };
+
+        canvas.addEventListener('pointerdown', (event) => {
+            if (!this.pen) return;
+            canvas.setPointerCapture(event.pointerId);
+            last = point(event);
+            // A tap leaves a dot
+            this.stroke(context, last, last);
+        });
+        canvas.addEventListener('pointermove', (event) => {
+            if (!last || !this.pen) return;
+            const next = point(event);
+            this.stroke(context, last, next);
+            last = next;
+        });
+        ['pointerup', 'pointercancel'].forEach(type => canvas.addEventListener(type, () => {
+            last = null;
+        }));
+    },
+
+    /**
+     * Helper: one line segment in the pen color
+     */
+    stroke(context, from, to) {
+        context.strokeStyle = this.pen.color;
+        context.lineWidth = this.penWidth;
+        context.lineCap = 'round';
+        context.lineJoin = 'round';
+        context.beginPath();
+        context.moveTo(from.x, from.y);
+        context.lineTo(to.x, to.y);
+        context.stroke();
+        this.pen.drawn = true;
+    },
+
+    /**
+     * Helper: keep an uploaded entry's Drive links on its stored copy,
+     * re-read first - the entry may have been edited (a newer revision)
+     * or removed while its files were uploading
+     */
+    async saveLinks(entry) {
+        const stored = await db.get(entry.id);
+        if (!stored) return;
+
+        const current = vault.reveal(stored);
+        if (current.locked) {
+            // Sealed while locked: only the revision we uploaded can be written back whole
+            if (stored.revision === entry.revision) await storage.saveLocal(entry);
+            return;
+        }
+
+        const links = new Map(entry.attachments.filter(a => a.url).map(a => [a.id, a.url]));
+        await storage.saveLocal({
+            ...current,
+            attachments: (current.attachments || []).map(attachment =>
+                !attachment.url && links.has(attachment.id) ? { ...attachment, url: links.get(attachment.id) } : attachment)
+        });
+    },
+
+    /**
+     * Helper: the stored form of an attachment - its blob, or the blob
+     * sealed by the vault
+     */
+    async toRecord(attachment, entry, encrypt = vault.enabled()) {
+        const record = {
+            id: attachment.id,
+            entry_id: entry.id,
+            profile_id: entry.profile_id,
+            question: attachment.question,
+            kind: attachment.kind,
+            type: attachment.type,
+            created_at: attachment.created_at
+        };
+        if (encrypt) {
+            record.sealed = await vault.sealBytes(new Uint8Array(await attachment.blob.arrayBuffer()));
+        } else {
+            record.blob = attachment.blob;
+        }
+        return record;
+    },
+
+    /**
+     * Helper: a stored record's blob (null if it's sealed and the vault is locked)
+     */
+    async blobOf(record) {
+        if (!record.sealed) return record.blob || null;
+        if (vault.isLocked()) return null;
+
+        try {
+            return new Blob([await vault.openBytes(record.sealed)], { type: record.type });
+        } catch (error) {
+            console.error('Could not decrypt attachment:', record.id, error);
+            return null;
+        }
+    },
+
+    /**
+     * Helper: object URL for an attachment's blob, made once
+     */
+    urlFor(attachment) {
+        if (!this.urls.has(attachment.id)) {
+            this.urls.set(attachment.id, URL.createObjectURL(attachment.blob));
+        }
+        return this.urls.get(attachment.id);
+    },
+
+    /**
+     * Helper: release one object URL
+     */
+    revoke(id) {
+        if (this.urls.has(id)) {
+            URL.revokeObjectURL(this.urls.get(id));
+            this.urls.delete(id);
+        }
+    },
+
+    /**
+     * Helper: unique attachment id
+     */
+    generateId() {
+        return 'attachment_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+};
@@ -0,0 +1,231 @@
+/**
+ * School Calendar Module for Carmel Daily Check-In
+ * Knows which days are expected check-in days (school weekdays that
+ * aren't holidays or breaks) and which of them were missed
+ */
+
+const schoolCalendar = {
+    storageKey: 'carmel_checkin_calendar',
+
+    // weekdays: 0 (Sunday) to 6 (Saturday)
+    // daysOff: { name, start, end } - a single holiday has start === end
+    config: {
+        weekdays: [1, 2, 3, 4, 5],
+        daysOff: []
+    },
+
+    dayNames: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+
+    /**
+     * Load the calendar and fill in the settings UI
+     */
+    init() {
+        const saved = localStorage.getItem(this.storageKey);
+        if (saved) {
+            try {
+                this.config = { ...this.config, ...JSON.parse(saved) };
+            } catch (e) {
+                console.warn('Ignoring unreadable school calendar');
+            }
+        }
+        this.renderSettings();
+    },
+
+    /**
+     * Persist the calendar and let the backend know about it
+     */
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.config));
+        this.renderSettings();
+        storage.sendCalendar();
+        reminders.refresh();
+    },
+
+    /**
+     * Whether a date is an expected check-in day
+     */
+    isSchoolDay(date) {
+        if (!this.config.weekdays.includes(dates.weekday(date))) return false;
+        return !this.config.daysOff.some(off => date >= off.start && date <= off.end);
+    },
+
+    /**
+     * Expected check-in days between two dates (inclusive)
+     */
+    expectedDays(start, end) {
+        return dates.range(start, end).filter(date => this.isSchoolDay(date));
+    },
+
+    /**
+     * Expected days with no entry, between start and end inclusive.
+     * Days before the first entry ever and today (not over yet) never count.
+     */
+    missedDays(entries, start, end) {
+        if (entries.length === 0) return [];
+
+        const checkedIn = new Set(entries.map(e => e.date));
+        const first = entries.reduce((min, e) => e.date < min ? e.date : min, entries[0].date);
+        const yesterday = dates.addDays(dates.today(), -1);
+        const from = start > first ? start : first;
+        const to = end < yesterday ? end : yesterday;
+
+        if (from > to) return [];
+        return this.expectedDays(from, to).filter(date => !checkedIn.has(date));
+    },
+
+    /**
+     * Toggle a weekday from the settings checkboxes
+     */
+    toggleWeekday(day, checked) {
+        const weekdays = this.config.weekdays.filter(d => d !== day);
+        if (checked) weekdays.push(day);
+        this.config.weekdays = weekdays.sort();
+        this.save();
+    },
+
+    /**
+     * Add a holiday or break from the settings form
+     */
+    addDayOff() {
+        const nameInput = document.getElementById('dayoff-name');
+        const startInput = document.getElementById('dayoff-start');
+        const endInput = document.getElementById('dayoff-end');
+
+        const start = startInput.value;
+        const end = endInput.value || start;
+        if (!start || end < start) {
+            storage.showStatus('calendar-status', 'Pick a start date (and an end date on or after it)', 'error');
+            return;
+        }
+
+        this.config.daysOff.push({ name: nameInput.value.trim() || 'Day off', start, end });
+        this.sortDaysOff();
+        nameInput.value = '';
+        startInput.value = '';
+        endInput.value = '';
+        this.save();
+        storage.showStatus('calendar-status', 'Added', 'success');
+    },
+
+    /**
+     * Remove a holiday or break
+     */
+    removeDayOff(index) {
+        this.config.daysOff.splice(index, 1);
+        this.save();
+    },
+
+    /**
+     * Import all-day events from an .ics file as days off
+     */
+    async importIcs(input) {
+        const file = input.files && input.files[0];
+        if (!file) return;
+
+        try {
+            const events = this.parseIcs(await file.text());
+            const known = new Set(this.config.daysOff.map(off => `${off.start}|${off.end}|${off.name}`));
+            const added = events.filter(event => !known.has(`${event.start}|${event.end}|${event.name}`));
+
+            this.config.daysOff.push(...added);
+            this.sortDaysOff();
+            this.save();
+            storage.showStatus('calendar-status',
+                `Imported ${added.length} days off. Remove any events that aren't school closures.`, 'success');
+        } catch (error) {
+            storage.showStatus('calendar-status', `Import failed: ${error.message}`, 'error');
+        }
+
+        input.value = '';
+    },
+
+    /**
+     * Parse all-day VEVENTs from iCalendar text into { name, start, end }.
+     * Timed events (e.g. a 7pm concert) aren't days off and are skipped.
+     */
+    parseIcs(text) {
+        // Unfold continuation lines (RFC 5545 3.1)
+        const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const events = [];
+        let event = null;
+
+        lines.forEach(line => {
+            if (line === 'BEGIN:VEVENT') {
+                event = {};
+            } else if (line === 'END:VEVENT') {
+                if (event && event.start) {
+                    events.push({
+                        name: event.name || 'Day off',
+                        start: event.start,
+                        // DTEND is exclusive for all-day events
+                        end: event.end ? dates.addDays(event.end, -1) : event.start
+                    });
+                }
+                event = null;
+            } else if (event) {
+                const match = line.match(/^([A-Z-]+)(;[^:]*)?:(.*)$/);
+                if (!match) return;
+                const [, name, , value] = match;
+
+                if (name === 'SUMMARY') {
+                    event.name = value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ');
+                } else if (name === 'DTSTART' || name === 'DTEND') {
+                    const date = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+                    if (!date) {
+                        // Has a time part - not an all-day event
+                        event.start = null;
+                        event.timed = true;
+                        return;
+                    }
+                    if (!event.timed) {
+                        event[name === 'DTSTART' ? 'start' : 'end'] = `${date[1]}-${date[2]}-${date[3]}`;
+                    }
+                }
+            }
+        });
+
+        if (events.length === 0 && !text.includes('BEGIN:VCALENDAR')) {
+            throw new Error('Not an iCalendar (.ics) file');
+        }
+        return events.filter(e => e.end >= e.start);
+    },
+
+    /**
+     * Keep days off in date order
+     */
+    sortDaysOff() {
+        this.config.daysOff.sort((a, b) => a.start.localeCompare(b.start));
+    },
+
+    /**
+     * Draw the weekday checkboxes and the days-off list
+     */
+    renderSettings() {
+        const weekdaysEl = document.getElementById('calendar-weekdays');
+        if (weekdaysEl) {
+            // Monday first
+            weekdaysEl.innerHTML = [1, 2, 3, 4, 5, 6, 0].map(day => `
+                <label class="weekday-option">
+                    <input type="checkbox" ${this.config.weekdays.includes(day) ? 'checked' : ''}
+                        onchange="schoolCalendar.toggleWeekday(${day}, this.checked)">
+                    ${this.dayNames[day]}
+                </label>`).join('');
+        }
+
+        const listEl = document.getElementById('calendar-daysoff');
+        if (listEl) {
+            listEl.innerHTML = this.config.daysOff.length === 0
+                ? '<li class="dayoff-empty">No holidays or breaks yet</li>'
+                : this.config.daysOff.map((off, i) => `
+                    <li>
+                        <span>${app.escapeHtml(off.name)}: ${off.start}${off.end !== off.start ? ` – ${off.end}` : ''}</span>
+                        <button class="btn-link" onclick="schoolCalendar.removeDayOff(${i})" aria-label="Remove ${app.escapeHtml(off.name)}">✕</button>
+                    </li>`).join('');
+        }
+    }
+};
+
+// Initialize calendar when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    schoolCalendar.init();
+});
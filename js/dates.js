@@ -0,0 +1,74 @@
+/**
+ * Date Helpers for Carmel Daily Check-In
+ * All check-in dates are YYYY-MM-DD strings in the device's local timezone
+ */
+
+const dates = {
+    /**
+     * Local YYYY-MM-DD for a Date (defaults to now)
+     */
+    toDateString(date = new Date()) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
+    /**
+     * Today's local date string
+     */
+    today() {
+        return this.toDateString(new Date());
+    },
+
+    /**
+     * Parse YYYY-MM-DD as local midnight
+     */
+    parse(dateString) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    },
+
+    /**
+     * Date string n days after (or before, if negative) the given one
+     */
+    addDays(dateString, n) {
+        const date = this.parse(dateString);
+        date.setDate(date.getDate() + n);
+        return this.toDateString(date);
+    },
+
+    /**
+     * Every date string from start to end inclusive
+     */
+    range(start, end) {
+        const days = [];
+        for (let day = start; day <= end; day = this.addDays(day, 1)) {
+            days.push(day);
+        }
+        return days;
+    },
+
+    /**
+     * Day of week, 0 (Sunday) to 6 (Saturday)
+     */
+    weekday(dateString) {
+        return this.parse(dateString).getDay();
+    },
+
+    /**
+     * The Monday of the week a date falls in
+     */
+    weekStart(dateString) {
+        return this.addDays(dateString, -((this.weekday(dateString) + 6) % 7));
+    },
+
+    /**
+     * The device's IANA timezone, e.g. America/Chicago
+     */
+    timezone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+        } catch (e) {
+            return '';
+        }
+    }
+};
@@ -0,0 +1,312 @@
+/**
+ * Database Module for Carmel Daily Check-In
+ * IndexedDB entry store with versioned schema migrations.
+ *
+ * Records are stored as storage hands them over (sealed by the vault when
+ * encryption is on), keyed by id, with indexes on profile, and on date and
+ * sync state within a profile. Voice notes and drawings live in their own
+ * store, indexed by entry and profile (see attachments.js).
+ */
+
+const db = {
+    name: 'carmel-checkin',
+    version: 3,
+    entryStore: 'entries',
+    attachmentStore: 'attachments',
+
+    // Where entries lived before IndexedDB (imported once by migration 1)
+    legacyKey: 'carmel_checkin_entries',
+
+    /**
+     * Schema migrations by version. Each upgrades the previous version's
+     * schema inside the versionchange transaction, so a failed upgrade
+     * leaves the database as it was.
+     */
+    migrations: {
+        1(database, transaction) {
+            const store = database.createObjectStore('entries', { keyPath: 'id' });
+            store.createIndex('date', 'date');
+            // Booleans aren't valid index keys, so the synced flag is mirrored as 0/1
+            store.createIndex('synced', 'syncedFlag');
+
+            // Import the old localStorage array; it's removed once the upgrade commits
+            const legacy = db.readLegacy();
+            legacy.forEach(record => transaction.objectStore('entries').put(db.toRow(record)));
+            db.importedLegacy = legacy.length > 0;
+        },
+
+        2(database, transaction) {
+            // Profiles: every lookup is now within one profile
+            const store = transaction.objectStore('entries');
+            store.createIndex('profile', 'profile_id');
+            store.createIndex('profile_date', ['profile_id', 'date']);
+            store.createIndex('profile_synced', ['profile_id', 'syncedFlag']);
+            store.deleteIndex('date');
+            store.deleteIndex('synced');
+
+            // Entries from before profiles belong to the first profile (profiles.defaultId)
+            store.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                if (!cursor.value.profile_id) {
+                    cursor.update({ ...cursor.value, profile_id: 'default' });
+                }
+                cursor.continue();
+            };
+        },
+
+        3(database) {
+            // Attachments: blobs kept out of the entry records
+            const store = database.createObjectStore('attachments', { keyPath: 'id' });
+            store.createIndex('entry', 'entry_id');
+            store.createIndex('profile', 'profile_id');
+        }
+    },
+
+    // Set during migration 1 when there were localStorage entries to import
+    importedLegacy: false,
+
+    // Shared open request
+    opening: null,
+
+    /**
+     * Open (and if needed upgrade) the database
+     */
+    open() {
+        if (!this.opening) {
+            this.opening = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.name, this.version);
+
+                request.onupgradeneeded = (event) => {
+                    for (let v = event.oldVersion + 1; v <= event.newVersion; v++) {
+                        this.migrations[v](request.result, request.transaction);
+                    }
+                };
+
+                request.onsuccess = () => {
+                    const database = request.result;
+                    if (this.importedLegacy) {
+                        localStorage.removeItem(this.legacyKey);
+                        this.importedLegacy = false;
+                    }
+                    // Let a newer version of the app in another tab upgrade
+                    database.onversionchange = () => {
+                        database.close();
+                        this.opening = null;
+                    };
+                    resolve(database);
+                };
+
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => console.warn('Database upgrade is waiting for other tabs to close');
+            });
+
+            // Allow a retry after a failed open
+            this.opening.catch(() => {
+                this.opening = null;
+            });
+        }
+        return this.opening;
+    },
+
+    /**
+     * Every record of a profile (or, with no profile, of all of them), in id order
+     */
+    async all(profileId) {
+        return this.read(store => profileId === undefined ? store.getAll() : store.index('profile').getAll(profileId));
+    },
+
+    /**
+     * One record by id (undefined if missing)
+     */
+    async get(id) {
+        return this.read(store => store.get(id));
+    },
+
+    /**
+     * A profile's records for one date
+     */
+    async byDate(profileId, date) {
+        return this.read(store => store.index('profile_date').getAll([profileId, date]));
+    },
+
+    /**
+     * A profile's records not yet synced
+     */
+    async unsynced(profileId) {
+        return this.read(store => store.index('profile_synced').getAll([profileId, 0]));
+    },
+
+    /**
+     * Number of records in a profile
+     */
+    async count(profileId) {
+        const database = await this.open();
+        const store = database.transaction(this.entryStore).objectStore(this.entryStore);
+        return this.complete(store.index('profile').count(profileId));
+    },
+
+    /**
+     * Insert or replace records
+     */
+    async put(records) {
+        await this.write(store => {
+            records.forEach(record => store.put(this.toRow(record)));
+        });
+    },
+
+    /**
+     * Change records in place; `change` gets each stored record (by id)
+     * and returns true if it modified it
+     */
+    async update(ids, change) {
+        await this.write(store => {
+            ids.forEach(id => {
+                const request = store.get(id);
+                request.onsuccess = () => {
+                    const record = request.result && this.fromRow(request.result);
+                    if (record && change(record)) {
+                        store.put(this.toRow(record));
+                    }
+                };
+            });
+        });
+    },
+
+    /**
+     * Remove every record of a profile, with its attachments
+     */
+    async clear(profileId) {
+        for (const storeName of [this.entryStore, this.attachmentStore]) {
+            await this.write(store => {
+                const request = store.index('profile').openKeyCursor(IDBKeyRange.only(profileId));
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (cursor) {
+                        store.delete(cursor.primaryKey);
+                        cursor.continue();
+                    }
+                };
+            }, storeName);
+        }
+    },
+
+    /**
+     * The attachment records of one entry
+     */
+    async attachmentsFor(entryId) {
+        return this.read(store => store.index('entry').getAll(entryId), this.attachmentStore);
+    },
+
+    /**
+     * Every attachment record of a profile (or, with no profile, of all of them)
+     */
+    async allAttachments(profileId) {
+        return this.read(store => profileId === undefined ? store.getAll() : store.index('profile').getAll(profileId),
+            this.attachmentStore);
+    },
+
+    /**
+     * Insert or replace attachment records
+     */
+    async putAttachments(records) {
+        await this.write(store => {
+            records.forEach(record => store.put(record));
+        }, this.attachmentStore);
+    },
+
+    /**
+     * Remove attachment records by id
+     */
+    async deleteAttachments(ids) {
+        await this.write(store => {
+            ids.forEach(id => store.delete(id));
+        }, this.attachmentStore);
+    },
+
+    /**
+     * Delete the whole database (the adult PIN reset); the next open
+     * creates it afresh
+     */
+    async destroy() {
+        if (this.opening) {
+            try {
+                (await this.opening).close();
+            } catch (error) {
+                // It never opened - nothing to close
+            }
+            this.opening = null;
+        }
+        await new Promise((resolve, reject) => {
+            const request = indexedDB.deleteDatabase(this.name);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => console.warn('Database delete is waiting for other tabs to close');
+        });
+    },
+
+    /**
+     * Helper: run a read request on a store (default: entries) and
+     * resolve with its records
+     */
+    async read(makeRequest, storeName = this.entryStore) {
+        const database = await this.open();
+        const store = database.transaction(storeName).objectStore(storeName);
+        const result = await this.complete(makeRequest(store));
+        return Array.isArray(result) ? result.map(row => this.fromRow(row)) : result && this.fromRow(result);
+    },
+
+    /**
+     * Helper: run writes on a store (default: entries) in one
+     * transaction, resolving once it commits
+     */
+    async write(work, storeName = this.entryStore) {
+        const database = await this.open();
+        const transaction = database.transaction(storeName, 'readwrite');
+        work(transaction.objectStore(storeName));
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    },
+
+    /**
+     * Helper: promise for an IDBRequest
+     */
+    complete(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Helper: record as stored (adds the indexable synced flag)
+     */
+    toRow(record) {
+        return { ...record, syncedFlag: record.synced ? 1 : 0 };
+    },
+
+    /**
+     * Helper: stored row back to a record
+     */
+    fromRow(row) {
+        const record = { ...row };
+        delete record.syncedFlag;
+        return record;
+    },
+
+    /**
+     * Helper: entries saved by versions before IndexedDB
+     */
+    readLegacy() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.legacyKey));
+            return Array.isArray(stored) ? stored.filter(record => record && record.id) : [];
+        } catch (e) {
+            console.warn('Ignoring unreadable localStorage entries');
+            return [];
+        }
+    }
+};
@@ -0,0 +1,386 @@
+/**
+ * Goals Module for Carmel Daily Check-In
+ * Goals an adult sets for a student against their check-in answers
+ * ("overall day at least 4 on 3 days a week") or for checking in on
+ * school days in a row, with progress and the current streak shown after
+ * each check-in. Definitions and progress (the weeks a goal was met, the
+ * best streak) are kept per profile and included in JSON exports.
+ */
+
+const goals = {
+    storageKey: 'carmel_checkin_goals',
+
+    // Streak lengths (school days in a row) that get a quiet well done
+    streakMilestones: [3, 5, 10, 20, 30, 50, 100],
+
+    // How an answer goal compares the answer with its value (labels for
+    // settings; the student sees goals.gte etc. from i18n.js)
+    comparisons: {
+        gte: { label: 'at least', test: (answer, value) => answer >= value },
+        lte: { label: 'at most', test: (answer, value) => answer <= value },
+        eq: { label: 'is', test: (answer, value) => answer === value }
+    },
+
+    // By profile id: { list, achieved, bestStreak, streak }
+    //   list       - goals: { id, type: 'answer' | 'streak', name, days,
+    //                field, comparison, value } (answer goals only use
+    //                the last three; days is per week for them, in a row
+    //                for streak goals)
+    //   achieved   - goal id -> periods it was met in (the Monday of the
+    //                week, or the first day of the streak)
+    //   bestStreak - longest streak so far
+    //   streak     - { start, milestone }: the last milestone celebrated
+    data: {},
+
+    /**
+     * Load goals and fill in the settings form
+     */
+    init() {
+        try {
+            this.data = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (e) {
+            console.warn('Ignoring unreadable goals');
+        }
+        this.renderSettings();
+    },
+
+    /**
+     * A profile's goals and progress (the selected profile by default)
+     */
+    forProfile(profileId = profiles.currentId) {
+        if (!this.data[profileId]) {
+            this.data[profileId] = { list: [], achieved: {}, bestStreak: 0, streak: null };
+        }
+        return this.data[profileId];
+    },
+
+    /**
+     * Questions a goal can be set against (those with options to pick)
+     */
+    goalItems() {
+        return questions.items.filter(item => item.options && item.type !== 'text');
+    },
+
+    /**
+     * Add a goal from the settings form
+     */
+    add() {
+        if (!adult.require()) return;
+
+        const type = document.getElementById('goal-type').value;
+        const days = parseInt(document.getElementById('goal-days').value, 10);
+        const maxDays = type === 'answer' ? 7 : 100;
+        if (!(days >= 1 && days <= maxDays)) {
+            storage.showStatus('goal-status', `Pick between 1 and ${maxDays} days`, 'error');
+            return;
+        }
+
+        const goal = {
+            id: 'goal_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            type,
+            name: document.getElementById('goal-name').value.trim(),
+            days
+        };
+        if (type === 'answer') {
+            const item = questions.get(document.getElementById('goal-field').value);
+            goal.field = item.id;
+            goal.comparison = document.getElementById('goal-comparison').value;
+            goal.value = questions.parseValue(item, document.getElementById('goal-value').value);
+        }
+
+        this.forProfile().list.push(goal);
+        this.persist();
+        document.getElementById('goal-name').value = '';
+        this.renderSettings();
+        storage.showStatus('goal-status', `Added: ${i18n.using('en', () => this.describe(goal))}`, 'success');
+    },
+
+    /**
+     * Remove a goal (and its progress)
+     */
+    remove(id) {
+        if (!adult.require()) return;
+
+        const profileGoals = this.forProfile();
+        profileGoals.list = profileGoals.list.filter(goal => goal.id !== id);
+        delete profileGoals.achieved[id];
+        this.persist();
+        this.renderSettings();
+    },
+
+    /**
+     * Forget a removed profile's goals
+     */
+    removeProfile(profileId) {
+        delete this.data[profileId];
+        this.persist();
+    },
+
+    /**
+     * What the student sees for a goal: its name, else a description in
+     * the student's language
+     */
+    describe(goal) {
+        if (goal.name) return goal.name;
+        if (goal.type === 'streak') return i18n.t('goals.streakGoal', { count: goal.days });
+
+        const item = questions.get(goal.field) && questions.localize(questions.get(goal.field));
+        if (!item) return i18n.t('goals.unknown');
+        const option = questions.findOption(item, goal.value);
+        const value = item.type === 'choice' && option
+            ? `"${option.summary || option.display || option.label}"`
+            : goal.value;
+        return i18n.t('goals.answerGoal', {
+            question: item.summaryLabel,
+            comparison: i18n.t(`goals.${goal.comparison}`),
+            value,
+            times: i18n.t('goals.perWeek', { count: goal.days })
+        });
+    },
+
+    /**
+     * Current streak: school days in a row with a check-in, counting back
+     * from today (or from yesterday while today has no check-in yet).
+     * Days off never break a streak. Returns { length, start }.
+     */
+    streak(entries, today = dates.today()) {
+        const checkedIn = new Set(entries.map(entry => entry.date));
+        if (checkedIn.size === 0) return { length: 0, start: null };
+
+        const first = [...checkedIn].sort()[0];
+        let length = 0;
+        let start = null;
+        let day = checkedIn.has(today) ? today : dates.addDays(today, -1);
+
+        for (; day >= first; day = dates.addDays(day, -1)) {
+            if (!schoolCalendar.isSchoolDay(day)) continue;
+            if (!checkedIn.has(day)) break;
+            length++;
+            start = day;
+        }
+        return { length, start };
+    },
+
+    /**
+     * Progress toward one goal: { count, target, met, period }
+     */
+    progress(goal, entries, streak, today = dates.today()) {
+        if (goal.type === 'streak') {
+            return { count: streak.length, target: goal.days, met: streak.length >= goal.days, period: streak.start };
+        }
+
+        const item = questions.get(goal.field);
+        const comparison = this.comparisons[goal.comparison];
+        if (!item || !comparison) return { count: 0, target: goal.days, met: false, period: null };
+
+        const weekStart = dates.weekStart(today);
+        const days = new Set(entries
+            .filter(entry => entry.date >= weekStart && entry.date <= today && entry.responses)
+            .filter(entry => {
+                const answer = entry.responses[goal.field];
+                // Skipped and unanswered questions never count
+                const answered = answer !== null && answer !== undefined && answer !== '' && answer !== item.skipValue;
+                return answered && comparison.test(answer, goal.value);
+            })
+            .map(entry => entry.date));
+
+        return { count: days.size, target: goal.days, met: days.size >= goal.days, period: weekStart };
+    },
+
+    /**
+     * Work out progress after a check-in, recording newly met goals and
+     * streak milestones. Returns { streak, results, milestone } where
+     * results are { goal, progress, newlyMet }.
+     */
+    async evaluate() {
+        const entries = (await storage.getLocalEntries()).filter(entry => questions.isEndOfDay(entry));
+        const profileGoals = this.forProfile();
+        const streak = this.streak(entries);
+        // Answers can't be read from entries still sealed by the vault
+        const canRead = !vault.isLocked();
+
+        const results = profileGoals.list
+            .filter(goal => goal.type === 'streak' || canRead)
+            .map(goal => {
+                const progress = this.progress(goal, entries, streak);
+                const achieved = profileGoals.achieved[goal.id] || [];
+                const newlyMet = progress.met && !achieved.includes(progress.period);
+                if (newlyMet) {
+                    profileGoals.achieved[goal.id] = [...achieved, progress.period];
+                }
+                return { goal, progress, newlyMet };
+            });
+
+        // The biggest milestone this streak has reached, if not yet celebrated
+        const reached = this.streakMilestones.filter(m => m <= streak.length).pop() || 0;
+        const celebrated = profileGoals.streak && profileGoals.streak.start === streak.start
+            ? profileGoals.streak.milestone
+            : 0;
+        const milestone = reached > celebrated ? reached : 0;
+        if (milestone) {
+            profileGoals.streak = { start: streak.start, milestone };
+        }
+        profileGoals.bestStreak = Math.max(profileGoals.bestStreak || 0, streak.length);
+
+        this.persist();
+        return { streak, results, milestone };
+    },
+
+    /**
+     * Show goal progress, the streak and any celebration on the done
+     * screen (the student's own end-of-day check-ins only)
+     */
+    async renderDone(entry) {
+        const goalsEl = document.getElementById('done-goals');
+        if (!goalsEl) return;
+
+        goalsEl.hidden = true;
+        if (!questions.isEndOfDay(entry)) return;
+
+        const { streak, results, milestone } = await this.evaluate();
+
+        const celebrations = results.filter(r => r.newlyMet).map(r =>
+            `<p class="goal-celebration">🌱 ${app.escapeHtml(i18n.t('goals.reached', { goal: this.describe(r.goal) }))}</p>`);
+        // A streak goal just reached already says it
+        if (milestone && !results.some(r => r.newlyMet && r.goal.type === 'streak' && r.goal.days === milestone)) {
+            celebrations.push(`<p class="goal-celebration">🌱 ${i18n.t('goals.milestone', { count: milestone })}</p>`);
+        }
+
+        const goalRows = results.map(({ goal, progress }) => {
+            const shown = Math.min(progress.count, progress.target);
+            const text = i18n.t(goal.type === 'streak' ? 'goals.streakProgress' : 'goals.weekProgress',
+                { shown, count: progress.target });
+            return `
+                <li class="${progress.met ? 'met' : ''}">
+                    <span class="goal-name">${app.escapeHtml(this.describe(goal))}</span>
+                    <span class="goal-bar" role="progressbar" aria-valuemin="0" aria-valuemax="${progress.target}" aria-valuenow="${shown}">
+                        <span style="width: ${Math.round(shown / progress.target * 100)}%"></span>
+                    </span>
+                    <span class="goal-count">${progress.met ? '✓ ' : ''}${text}</span>
+                </li>`;
+        }).join('');
+
+        goalsEl.innerHTML = `
+            <div role="status">${celebrations.join('')}</div>
+            ${streak.length > 0 ? `<p class="goal-streak">📅 ${i18n.t('goals.streak', { count: streak.length })}</p>` : ''}
+            ${goalRows ? `<ul class="goal-list">${goalRows}</ul>` : ''}`;
+        goalsEl.hidden = false;
+    },
+
+    /**
+     * The selected profile's goals and progress, for JSON exports
+     */
+    exportData() {
+        return this.forProfile();
+    },
+
+    /**
+     * Add goals from an export that the selected profile doesn't have yet,
+     * with their progress. Returns how many were added.
+     */
+    importData(imported) {
+        const added = this.newIn(imported);
+        if (added.length === 0) return 0;
+
+        const profileGoals = this.forProfile();
+        added.forEach(goal => {
+            profileGoals.list.push(goal);
+            const achieved = imported.achieved && imported.achieved[goal.id];
+            if (Array.isArray(achieved)) profileGoals.achieved[goal.id] = achieved;
+        });
+        profileGoals.bestStreak = Math.max(profileGoals.bestStreak || 0, Number(imported.bestStreak) || 0);
+
+        this.persist();
+        this.renderSettings();
+        return added.length;
+    },
+
+    /**
+     * Goals in an export that the selected profile doesn't have yet
+     */
+    newIn(imported) {
+        if (!imported || !Array.isArray(imported.list)) return [];
+        const list = this.forProfile().list;
+        return imported.list.filter(goal => this.isValid(goal) && !list.some(existing => existing.id === goal.id));
+    },
+
+    /**
+     * Helper: check an imported goal definition
+     */
+    isValid(goal) {
+        if (!goal || typeof goal.id !== 'string' || !Number.isInteger(goal.days) || goal.days < 1) return false;
+        if (goal.type === 'streak') return true;
+        const item = this.goalItems().find(i => i.id === goal.field);
+        return goal.type === 'answer' && !!item && !!this.comparisons[goal.comparison] && !!questions.findOption(item, goal.value);
+    },
+
+    /**
+     * Draw the goal list and the add-goal form for the selected profile
+     */
+    renderSettings() {
+        const listEl = document.getElementById('goal-list');
+        if (listEl) {
+            const list = this.forProfile().list;
+            listEl.innerHTML = list.length === 0
+                ? '<li class="dayoff-empty">No goals yet</li>'
+                : list.map(goal => `
+                    <li>
+                        <span>${app.escapeHtml(i18n.using('en', () => this.describe(goal)))}</span>
+                        <button class="btn-link" onclick="goals.remove('${goal.id}')" aria-label="Remove goal">✕</button>
+                    </li>`).join('');
+        }
+        this.renderForm();
+    },
+
+    /**
+     * Show the add-goal fields that fit the chosen type and question
+     */
+    renderForm() {
+        const typeEl = document.getElementById('goal-type');
+        if (!typeEl) return;
+
+        const isAnswer = typeEl.value === 'answer';
+        document.getElementById('goal-answer-fields').hidden = !isAnswer;
+        document.getElementById('goal-days-label').textContent = isAnswer
+            ? 'Days each week (Monday to Sunday):'
+            : 'School days in a row:';
+        document.getElementById('goal-days').max = isAnswer ? 7 : 100;
+
+        const fieldEl = document.getElementById('goal-field');
+        const selected = fieldEl.value;
+        fieldEl.innerHTML = this.goalItems().map(item =>
+            `<option value="${item.id}">${item.summaryLabel}</option>`).join('');
+        if (selected) fieldEl.value = selected;
+
+        // Choices have no order, so only "is" applies to them
+        const item = questions.get(fieldEl.value);
+        const comparisonEl = document.getElementById('goal-comparison');
+        const comparison = comparisonEl.value;
+        comparisonEl.innerHTML = Object.entries(this.comparisons)
+            .filter(([key]) => item.type !== 'choice' || key === 'eq')
+            .map(([key, c]) => `<option value="${key}">${c.label}</option>`).join('');
+        if ([...comparisonEl.options].some(option => option.value === comparison)) comparisonEl.value = comparison;
+
+        const valueEl = document.getElementById('goal-value');
+        const value = valueEl.value;
+        valueEl.innerHTML = item.options.filter(option => !option.hidden).map(option => {
+            const text = item.type === 'choice' || String(option.label) === String(option.value)
+                ? option.label
+                : `${option.value} (${option.label})`;
+            return `<option value="${option.value}">${app.escapeHtml(text)}</option>`;
+        }).join('');
+        if ([...valueEl.options].some(option => option.value === value)) valueEl.value = value;
+    },
+
+    /**
+     * Helper: persist every profile's goals
+     */
+    persist() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+    }
+};
+
+// Initialize goals when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    goals.init();
+});
@@ -0,0 +1,582 @@
+/**
+ * Language Module for Carmel Daily Check-In
+ * Locale catalog and language switching. Two languages are chosen
+ * separately:
+ *   language     - what the student sees (welcome, questions, done and
+ *                  trends screens, read-aloud), picked on the welcome screen
+ *   dataLanguage - the CSV export headers and values and the Google
+ *                  Sheets headers and labels, set by an adult in Settings
+ * Stored answers are always the language-neutral codes (yes_several, 3...).
+ * English question text lives with the definitions in questions.js; the
+ * other languages' translations of it are in `questions` below, keyed by
+ * question (or incident field) id, and questions.localize applies them.
+ * Settings and the meeting report are in English.
+ */
+
+const i18n = {
+    storageKey: 'carmel_checkin_language',
+    fallback: 'en',
+
+    language: 'en',
+    dataLanguage: 'en',
+
+    /*
+     * Each locale has its own name, the UI strings and (apart from
+     * English) question translations: { prompt, hint, placeholder,
+     * submitLabel, header, summaryLabel, label, options: { value: { label,
+     * display, summary } } }, which also name the check-in types by their
+     * ids ({ label }). Missing strings fall back to English.
+     * Strings with { one, other } are picked by the `count` parameter.
+     * Incident option labels mustn't contain commas or semicolons.
+     */
+    locales: {
+        en: {
+            name: 'English',
+            strings: {
+                'app.title': 'Daily Check-In',
+                'welcome.who': 'Who\'s checking in?',
+                'welcome.language': 'Language',
+                'welcome.type': 'Which check-in?',
+                'welcome.subtitle': 'Just a few quick questions about your day',
+                'welcome.time': 'Takes about 1 minute',
+                'welcome.start': 'Let\'s Go',
+                'common.trends': '📈 See My Trends',
+                'common.back': '← Back',
+                'common.backLabel': 'Go back',
+                'common.next': 'Next',
+                'common.readAloud': 'Read to me',
+                'common.question': 'Question {number} of {total}',
+                'speech.choices': 'You can pick: {answers}.',
+                'checkin.already': 'You already did today\'s check-in ({type}). Would you like to change your answers?',
+                'checkin.alreadyObserver': 'There is already an observer check-in for today. Would you like to change it?',
+                'checkin.resume': 'You have an unfinished check-in. Would you like to continue?',
+                'attachments.record': '🎤 Record instead',
+                'attachments.stop': '⏹ Stop ({seconds}s left)',
+                'attachments.draw': '✏️ Draw instead',
+                'attachments.canvas': 'Drawing space',
+                'attachments.useDrawing': 'Use this drawing',
+                'attachments.clear': 'Start over',
+                'attachments.cancel': 'Cancel',
+                'attachments.color': 'Pen color {number}',
+                'attachments.voice': 'Voice note',
+                'attachments.drawing': 'Drawing',
+                'attachments.remove': 'Remove {name}',
+                'attachments.noMic': 'The microphone isn\'t available. You can draw or type instead.',
+                'incidents.skip': 'Skip',
+                'incidents.one': 'That time',
+                'incidents.numbered': 'Time {number}',
+                'done.title': 'All done!',
+                'done.thanks': 'Thanks for checking in today, {name}.',
+                'done.observer': 'Observer check-in saved for {name}.',
+                'done.details': 'Details logged',
+                'done.attachments': 'Attached',
+                'done.times': { one: '1 time', other: '{count} times' },
+                'done.completed': 'Completed in {seconds}s',
+                'done.synced': 'Synced ✓',
+                'done.savedLocally': 'Saved locally',
+                'done.another': 'Do Another Check-In',
+                'done.change': 'Change Today\'s Answers',
+                'goals.reached': 'You reached your goal: {goal}',
+                'goals.milestone': '{count} school days in a row. Nice and steady.',
+                'goals.streak': { one: '1 school day in a row', other: '{count} school days in a row' },
+                'goals.streakGoal': 'Check in {count} school days in a row',
+                'goals.answerGoal': '{question} {comparison} {value}, {times}',
+                'goals.gte': 'at least',
+                'goals.lte': 'at most',
+                'goals.eq': 'is',
+                'goals.perWeek': { one: 'once a week', other: 'on {count} days a week' },
+                'goals.streakProgress': '{shown} of {count} days in a row',
+                'goals.weekProgress': { one: '{shown} of {count} day this week', other: '{shown} of {count} days this week' },
+                'goals.unknown': 'Unknown goal',
+                'trends.title': 'My Trends',
+                'trends.days': '{count} days',
+                'trends.locked': 'Check-ins are encrypted on this device. An adult can see them from Settings.',
+                'trends.empty': 'No check-ins in the last {count} days yet.',
+                'trends.checkInDays': { one: '1 check-in day in the last {range} days', other: '{count} check-in days in the last {range} days' },
+                'trends.missedDays': { one: '1 missed school day', other: '{count} missed school days' },
+                'trends.ratings': 'Overall day & focus',
+                'trends.observer': 'Student and observer',
+                'trends.dysregulation': 'Tough moments per day',
+                'trends.social': 'Positive moments with other kids',
+                'trends.coping': 'Calming strategies',
+                'trends.overallDay': 'Overall day',
+                'trends.focus': 'Focus',
+                'trends.focusStudent': 'Focus (student)',
+                'trends.focusObserver': 'Focus (observer)',
+                'trends.noCoping': 'No tough moments needed a strategy in this range.',
+                'trends.copingRate': '<strong>{rate}%</strong> of days with tough moments, a strategy helped',
+                'trends.noObserver': 'No observer check-ins in this range. An adult can add one from Settings.',
+                'trends.day': 'Day',
+                'trends.focusCompare': 'Focus<br>student / observer',
+                'trends.momentsCompare': 'Tough moments<br>student / observer',
+                'trends.overTime': '{series} over time',
+                'trends.and': ' and ',
+                'export.date': 'Date',
+                'export.time': 'Time',
+                'export.respondent': 'Respondent',
+                'export.checkinType': 'Check-In Type',
+                'export.incidents': 'Incidents',
+                'export.synced': 'Synced',
+                'export.yes': 'Yes',
+                'export.no': 'No',
+                'export.self': 'Student',
+                'export.observer': 'Observer',
+                'safety.message': 'Thank you for telling us how you feel. It sounds like something really hard is going on, and you don\'t have to handle it alone.',
+                'safety.resource': 'Talk to a grown-up you trust today. You can also call or text 988 any time, day or night.',
+                'reminders.title': 'Time for your daily check-in',
+                'reminders.body': 'Just a few quick questions about your day.'
+            }
+        },
+        es: {
+            name: 'Español',
+            strings: {
+                'app.title': 'Registro diario',
+                'welcome.who': '¿Quién va a responder?',
+                'welcome.language': 'Idioma',
+                'welcome.type': '¿Qué registro?',
+                'welcome.subtitle': 'Solo unas preguntas rápidas sobre tu día',
+                'welcome.time': 'Toma como 1 minuto',
+                'welcome.start': '¡Vamos!',
+                'common.trends': '📈 Ver mis tendencias',
+                'common.back': '← Atrás',
+                'common.backLabel': 'Regresar',
+                'common.next': 'Siguiente',
+                'common.readAloud': 'Léemelo',
+                'common.question': 'Pregunta {number} de {total}',
+                'speech.choices': 'Puedes elegir: {answers}.',
+                'checkin.already': 'Ya hiciste el registro de hoy ({type}). ¿Quieres cambiar tus respuestas?',
+                'checkin.alreadyObserver': 'Ya hay un registro de observador para hoy. ¿Quiere cambiarlo?',
+                'checkin.resume': 'Tienes un registro sin terminar. ¿Quieres continuar?',
+                'attachments.record': '🎤 Grabar en vez de escribir',
+                'attachments.stop': '⏹ Parar (quedan {seconds} s)',
+                'attachments.draw': '✏️ Dibujar en vez de escribir',
+                'attachments.canvas': 'Espacio para dibujar',
+                'attachments.useDrawing': 'Usar este dibujo',
+                'attachments.clear': 'Empezar de nuevo',
+                'attachments.cancel': 'Cancelar',
+                'attachments.color': 'Color {number}',
+                'attachments.voice': 'Nota de voz',
+                'attachments.drawing': 'Dibujo',
+                'attachments.remove': 'Quitar {name}',
+                'attachments.noMic': 'El micrófono no está disponible. Puedes dibujar o escribir.',
+                'incidents.skip': 'Saltar',
+                'incidents.one': 'Esa vez',
+                'incidents.numbered': 'Vez {number}',
+                'done.title': '¡Listo!',
+                'done.thanks': 'Gracias por responder hoy, {name}.',
+                'done.observer': 'Registro de observador guardado para {name}.',
+                'done.details': 'Detalles anotados',
+                'done.attachments': 'Adjuntos',
+                'done.times': { one: '1 vez', other: '{count} veces' },
+                'done.completed': 'Terminado en {seconds} s',
+                'done.synced': 'Sincronizado ✓',
+                'done.savedLocally': 'Guardado en este dispositivo',
+                'done.another': 'Hacer otro registro',
+                'done.change': 'Cambiar las respuestas de hoy',
+                'goals.reached': 'Lograste tu meta: {goal}',
+                'goals.milestone': '{count} días de escuela seguidos. ¡Muy constante!',
+                'goals.streak': { one: '1 día de escuela seguido', other: '{count} días de escuela seguidos' },
+                'goals.streakGoal': 'Responder {count} días de escuela seguidos',
+                'goals.answerGoal': '{question} {comparison} {value}, {times}',
+                'goals.gte': 'al menos',
+                'goals.lte': 'como máximo',
+                'goals.eq': 'es',
+                'goals.perWeek': { one: 'una vez por semana', other: '{count} días por semana' },
+                'goals.streakProgress': '{shown} de {count} días seguidos',
+                'goals.weekProgress': { one: '{shown} de {count} día esta semana', other: '{shown} de {count} días esta semana' },
+                'goals.unknown': 'Meta desconocida',
+                'trends.title': 'Mis tendencias',
+                'trends.days': '{count} días',
+                'trends.locked': 'Los registros están cifrados en este dispositivo. Un adulto puede verlos desde Configuración.',
+                'trends.empty': 'Todavía no hay registros en los últimos {count} días.',
+                'trends.checkInDays': { one: '1 día con registro en los últimos {range} días', other: '{count} días con registro en los últimos {range} días' },
+                'trends.missedDays': { one: '1 día de escuela sin registro', other: '{count} días de escuela sin registro' },
+                'trends.ratings': 'Día en general y concentración',
+                'trends.observer': 'Estudiante y observador',
+                'trends.dysregulation': 'Momentos difíciles por día',
+                'trends.social': 'Momentos buenos con otros niños',
+                'trends.coping': 'Estrategias para calmarse',
+                'trends.overallDay': 'Día en general',
+                'trends.focus': 'Concentración',
+                'trends.focusStudent': 'Concentración (estudiante)',
+                'trends.focusObserver': 'Concentración (observador)',
+                'trends.noCoping': 'Ningún momento difícil necesitó una estrategia en este período.',
+                'trends.copingRate': 'En el <strong>{rate}%</strong> de los días con momentos difíciles, una estrategia ayudó',
+                'trends.noObserver': 'No hay registros de observador en este período. Un adulto puede agregar uno desde Configuración.',
+                'trends.day': 'Día',
+                'trends.focusCompare': 'Concentración<br>estudiante / observador',
+                'trends.momentsCompare': 'Momentos difíciles<br>estudiante / observador',
+                'trends.overTime': '{series} a lo largo del tiempo',
+                'trends.and': ' y ',
+                'export.date': 'Fecha',
+                'export.time': 'Hora',
+                'export.respondent': 'Quién responde',
+                'export.checkinType': 'Tipo de registro',
+                'export.incidents': 'Incidentes',
+                'export.synced': 'Sincronizado',
+                'export.yes': 'Sí',
+                'export.no': 'No',
+                'export.self': 'Estudiante',
+                'export.observer': 'Observador',
+                'safety.message': 'Gracias por contarnos cómo te sientes. Parece que está pasando algo muy difícil, y no tienes que enfrentarlo sin ayuda.',
+                'safety.resource': 'Habla hoy con un adulto de confianza. También puedes llamar o mandar un mensaje de texto al 988 (hay ayuda en español) a cualquier hora, de día o de noche.',
+                'reminders.title': 'Es hora de tu registro diario',
+                'reminders.body': 'Solo unas preguntas rápidas sobre tu día.'
+            },
+            questions: {
+                overall_day: {
+                    prompt: '¿Cómo te fue hoy en la escuela?',
+                    header: 'Día en general (1-5)',
+                    summaryLabel: 'En general',
+                    options: {
+                        1: { label: 'Muy difícil' },
+                        2: { label: 'Difícil' },
+                        3: { label: 'Más o menos' },
+                        4: { label: 'Bien' },
+                        5: { label: 'Genial' }
+                    }
+                },
+                academic_focus: {
+                    prompt: '¿Pudiste concentrarte y hacer tu trabajo hoy?',
+                    header: 'Concentración (1-5)',
+                    summaryLabel: 'Concentración',
+                    options: {
+                        1: { label: 'Casi nunca' },
+                        2: { label: 'A veces' },
+                        3: { label: 'La mitad del tiempo' },
+                        4: { label: 'Casi todo el tiempo' },
+                        5: { label: 'Casi siempre' }
+                    }
+                },
+                social_interactions: {
+                    prompt: '¿Tuviste algún momento bueno con otros niños hoy?',
+                    header: 'Interacciones sociales',
+                    summaryLabel: 'Social',
+                    options: {
+                        yes_several: { label: 'Sí, varios momentos buenos', summary: 'Varios momentos buenos' },
+                        yes_one: { label: 'Sí, al menos uno', summary: 'Al menos uno' },
+                        not_really: { label: 'No mucho, pero está bien' },
+                        no_wished: { label: 'No, y me hubiera gustado', summary: 'Me hubiera gustado' }
+                    }
+                },
+                dysregulation_count: {
+                    prompt: '¿Cuántas veces sentiste hoy que podías perder el control?',
+                    header: 'Conteo de desregulación',
+                    summaryLabel: 'Momentos difíciles'
+                },
+                used_coping_strategy: {
+                    prompt: '¿Usaste alguna estrategia para calmarte?',
+                    header: 'Estrategia para calmarse',
+                    summaryLabel: 'Estrategia',
+                    options: {
+                        yes_helped: { label: 'Sí, y me ayudó', display: 'Sí, y ayudó', summary: 'Usé una estrategia que ayudó' },
+                        yes_not_much: { label: 'Sí, pero no ayudó mucho', display: 'Sí, pero no mucho', summary: 'La intenté, pero no ayudó mucho' },
+                        no: { label: 'No', summary: 'No usé una estrategia' }
+                    }
+                },
+                free_response: {
+                    prompt: '¿Qué es algo que quieres recordar de hoy?',
+                    hint: 'Algo que salió bien, un reto, algo chistoso... (opcional)',
+                    placeholder: 'Escribe aquí...',
+                    submitLabel: 'Terminar',
+                    header: 'Notas',
+                    summaryLabel: 'Nota'
+                },
+                sleep_quality: {
+                    prompt: '¿Cómo dormiste anoche?',
+                    header: 'Sueño (1-5)',
+                    summaryLabel: 'Sueño',
+                    options: {
+                        1: { label: 'Muy mal' },
+                        2: { label: 'No muy bien' },
+                        3: { label: 'Más o menos' },
+                        4: { label: 'Bastante bien' },
+                        5: { label: 'Muy bien' }
+                    }
+                },
+                breakfast: {
+                    prompt: '¿Desayunaste esta mañana?',
+                    header: 'Desayuno',
+                    summaryLabel: 'Desayuno',
+                    options: {
+                        yes: { label: 'Sí', summary: 'Desayuné' },
+                        a_little: { label: 'Solo un poco', summary: 'Desayuné un poco' },
+                        no: { label: 'No', summary: 'No desayuné' }
+                    }
+                },
+                morning_mood: {
+                    prompt: '¿Cómo te sientes al empezar el día?',
+                    header: 'Ánimo en la mañana (1-5)',
+                    summaryLabel: 'Ánimo',
+                    options: {
+                        1: { label: 'Muy bajo' },
+                        2: { label: 'Decaído' },
+                        3: { label: 'Más o menos' },
+                        4: { label: 'Bien' },
+                        5: { label: 'Genial' }
+                    }
+                },
+                morning_worries: {
+                    prompt: '¿Hay algo que te preocupe de hoy?',
+                    hint: 'Un examen, un amigo, algo en casa... (opcional)',
+                    placeholder: 'Escribe aquí...',
+                    submitLabel: 'Terminar',
+                    header: 'Preocupaciones',
+                    summaryLabel: 'Preocupaciones'
+                },
+                morning: {
+                    label: 'Mañana'
+                },
+                afternoon: {
+                    label: 'Fin del día'
+                },
+                observed_focus: {
+                    prompt: '¿Qué tan bien pudo concentrarse el estudiante en su trabajo hoy?',
+                    header: 'Concentración observada (1-5)',
+                    summaryLabel: 'Concentración',
+                    options: {
+                        1: { label: 'Casi nunca' },
+                        2: { label: 'A veces' },
+                        3: { label: 'La mitad del tiempo' },
+                        4: { label: 'Casi todo el tiempo' },
+                        5: { label: 'Casi siempre' }
+                    }
+                },
+                observed_incidents: {
+                    prompt: '¿Cuántos episodios de desregulación vio hoy?',
+                    header: 'Episodios observados',
+                    summaryLabel: 'Episodios'
+                },
+                observed_helped: {
+                    prompt: '¿Qué fue lo que más ayudó?',
+                    header: 'Qué ayudó',
+                    summaryLabel: 'Qué ayudó',
+                    options: {
+                        own_strategy: { label: 'Su propia estrategia para calmarse' },
+                        break: { label: 'Un descanso o un espacio tranquilo' },
+                        movement: { label: 'Movimiento' },
+                        adult_support: { label: 'Hablar con un adulto' },
+                        sensory: { label: 'Una herramienta sensorial' },
+                        nothing: { label: 'Nada pareció ayudar' }
+                    }
+                },
+                incident_log: {
+                    prompt: 'Cuéntame un poco de cada vez',
+                    hint: 'Toca lo que corresponda - o salta esta parte'
+                },
+                time: {
+                    label: '¿Cuándo fue?',
+                    header: 'Momento del día',
+                    options: {
+                        before_school: { label: 'Antes de la escuela' },
+                        morning_class: { label: 'Clase de la mañana' },
+                        recess_lunch: { label: 'Recreo o almuerzo' },
+                        afternoon_class: { label: 'Clase de la tarde' },
+                        between_classes: { label: 'Entre clases' },
+                        after_school: { label: 'Después de la escuela' }
+                    }
+                },
+                trigger: {
+                    label: '¿Qué lo provocó?',
+                    header: 'Detonante',
+                    options: {
+                        noise: { label: 'Ruido o mucha gente' },
+                        schoolwork: { label: 'Trabajo difícil' },
+                        peer: { label: 'Otro niño' },
+                        change: { label: 'Un cambio de planes' },
+                        corrected: { label: 'Me dijeron que no' },
+                        body: { label: 'Cansancio o hambre' },
+                        unsure: { label: 'No sé' }
+                    }
+                },
+                strategy: {
+                    label: '¿Qué intentaste?',
+                    header: 'Estrategia usada',
+                    options: {
+                        breathing: { label: 'Respirar' },
+                        break_card: { label: 'Tarjeta de descanso' },
+                        fidget: { label: 'Juguete para las manos' },
+                        movement: { label: 'Moverme' },
+                        adult: { label: 'Hablar con un adulto' },
+                        none: { label: 'Nada' }
+                    }
+                },
+                helped: {
+                    label: '¿Te ayudó?',
+                    header: 'Ayudó',
+                    options: {
+                        yes: { label: 'Sí' },
+                        a_little: { label: 'Un poco' },
+                        no: { label: 'No' }
+                    }
+                }
+            }
+        }
+    },
+
+    /**
+     * Load the saved languages (the first time, the browser's language if
+     * there's a catalog for it) and show the page in the student's
+     * language
+     */
+    init() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (e) {
+            console.warn('Ignoring unreadable language settings');
+        }
+
+        const browser = (navigator.language || '').slice(0, 2);
+        this.language = this.known(saved && saved.language) || this.known(browser) || this.fallback;
+        this.dataLanguage = this.known(saved && saved.dataLanguage) || this.fallback;
+
+        this.apply();
+        this.renderSettings();
+    },
+
+    /**
+     * Codes of the languages in the catalog
+     */
+    languages() {
+        return Object.keys(this.locales);
+    },
+
+    /**
+     * A UI string in the student's language, falling back to English.
+     * `{name}` placeholders are filled from params.
+     */
+    t(key, params = {}) {
+        const lookup = language => (this.locales[language] && this.locales[language].strings[key]);
+        let text = lookup(this.language);
+        if (text === undefined) text = lookup(this.fallback);
+        if (text === undefined) return key;
+
+        if (typeof text === 'object') {
+            text = params.count === 1 ? text.one : text.other;
+        }
+        return text.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? params[name] : match);
+    },
+
+    /**
+     * Translations of a question or incident field (null for English or
+     * when there are none)
+     */
+    questionText(id, language) {
+        const locale = this.locales[language];
+        return (locale && locale.questions && locale.questions[id]) || null;
+    },
+
+    /**
+     * Run fn with the UI strings in another language (e.g. the English
+     * meeting report built from the trends charts)
+     */
+    using(language, fn) {
+        const current = this.language;
+        this.language = language;
+        try {
+            return fn();
+        } finally {
+            this.language = current;
+        }
+    },
+
+    /**
+     * A UI string in every language (for reading back an export made
+     * in any of them)
+     */
+    variants(key) {
+        return this.languages().map(language => this.using(language, () => this.t(key)));
+    },
+
+    /**
+     * Switch the student's language from the welcome screen picker,
+     * redrawing the screens without a reload
+     */
+    setLanguage(language) {
+        if (!this.known(language) || language === this.language) return;
+        this.language = language;
+        this.persist();
+        this.apply();
+        app.applyLanguage();
+        // Scheduled reminders carry their text
+        reminders.refresh();
+    },
+
+    /**
+     * Change the exports' and Sheets' language from settings
+     */
+    setDataLanguage(language) {
+        if (!adult.require()) return;
+        if (!this.known(language)) return;
+
+        this.dataLanguage = language;
+        this.persist();
+        storage.showStatus('language-status', `CSV exports and Google Sheets now use ${this.locales[language].name}`, 'success');
+    },
+
+    /**
+     * Fill in the page's fixed text ([data-i18n], and [data-i18n-label]
+     * for aria-labels) and the language picker
+     */
+    apply() {
+        document.documentElement.lang = this.language;
+        document.title = this.t('app.title');
+
+        document.querySelectorAll('[data-i18n]').forEach(el => {
+            const text = this.t(el.dataset.i18n);
+            if (text.includes('{name}')) {
+                // Keep the student's name in its .profile-name span (filled in by profiles.render)
+                const nameEl = el.querySelector('.profile-name');
+                const name = `<span class="profile-name">${app.escapeHtml(nameEl ? nameEl.textContent : '')}</span>`;
+                el.innerHTML = app.escapeHtml(text).replace('{name}', name);
+            } else {
+                el.textContent = text;
+            }
+        });
+        document.querySelectorAll('[data-i18n-label]').forEach(el => {
+            el.setAttribute('aria-label', this.t(el.dataset.i18nLabel));
+        });
+
+        const pickerEl = document.getElementById('language-picker');
+        if (pickerEl) {
+            pickerEl.innerHTML = this.languages().map(code => `
+                <button class="profile-chip" lang="${code}" onclick="i18n.setLanguage('${code}')"
+                    aria-pressed="${code === this.language}">${this.locales[code].name}</button>`).join('');
+        }
+    },
+
+    /**
+     * Fill in the exports language setting
+     */
+    renderSettings() {
+        const select = document.getElementById('data-language');
+        if (!select) return;
+
+        select.innerHTML = this.languages().map(code =>
+            `<option value="${code}">${this.locales[code].name}</option>`).join('');
+        select.value = this.dataLanguage;
+    },
+
+    /**
+     * Helper: the code if it's in the catalog, else null
+     */
+    known(language) {
+        return this.locales.hasOwnProperty(language) ? language : null;
+    },
+
+    /**
+     * Helper: save both languages
+     */
+    persist() {
+        localStorage.setItem(this.storageKey, JSON.stringify({
+            language: this.language,
+            dataLanguage: this.dataLanguage
+        }));
+    }
+};
+
+// Initialize languages when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    i18n.init();
+});
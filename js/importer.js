@@ -0,0 +1,518 @@
+/**
+ * Importer Module for Carmel Daily Check-In
+ * Brings JSON and CSV exports back in: validates every row, matches it
+ * to the selected profile's entries by id (or by date when the file has
+ * no ids), and previews new, duplicate and conflicting entries before
+ * writing anything. Imported entries join the selected profile.
+ */
+
+const importer = {
+    // Checked file waiting for the adult to confirm
+    pending: null,
+
+    /**
+     * Read and check the chosen file, then show the preview
+     */
+    async choose(input) {
+        const file = input.files && input.files[0];
+        input.value = '';
+        if (!file) return;
+
+        if (!adult.require() || !storage.requireUnlocked()) return;
+
+        this.cancel();
+        storage.showStatus('import-status', 'Checking file...', '');
+
+        try {
+            const text = (await file.text()).replace(/^\uFEFF/, '');
+            const { rows, goals: goalData, attachments: attachmentData } = /^\s*[[{]/.test(text)
+                ? await this.fromJson(text)
+                : { rows: this.fromCsv(text) };
+            await this.preview(rows, file.name, goalData, attachmentData);
+        } catch (error) {
+            storage.showStatus('import-status', `Import failed: ${error.message}`, 'error');
+        }
+    },
+
+    /**
+     * Check rows from any source (a file, Google Sheets) and show the
+     * preview, along with any goals the export carries. The recordings and
+     * drawings in a JSON backup come in with their entries.
+     */
+    async preview(rows, sourceName, goalData = null, attachmentData = []) {
+        if (rows.length === 0) {
+            throw new Error(`${sourceName} has no entries`);
+        }
+
+        const results = this.classify(rows.map(row => this.normalize(row)), await storage.getLocalEntries());
+        this.pending = {
+            sourceName, results, goals: goalData, newGoals: goals.newIn(goalData).length, attachments: attachmentData
+        };
+        storage.showStatus('import-status', '', '');
+        this.renderPreview();
+    },
+
+    /**
+     * Entries (and goals and attachments) from a JSON export, decrypting
+     * an encrypted backup with the passphrase typed in settings. Exports
+     * from before goals are a bare list of entries.
+     */
+    async fromJson(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Not a valid JSON file');
+        }
+
+        if (parsed && parsed.encrypted) {
+            const passphraseInput = document.getElementById('import-passphrase');
+            parsed = await vault.decryptBackup(parsed, passphraseInput.value);
+            passphraseInput.value = '';
+        }
+
+        if (Array.isArray(parsed)) {
+            return { rows: parsed, goals: null, attachments: [] };
+        }
+        if (!parsed || !Array.isArray(parsed.entries)) {
+            throw new Error('Not a check-in export (expected a list of entries)');
+        }
+        return {
+            rows: parsed.entries,
+            goals: parsed.goals || null,
+            attachments: Array.isArray(parsed.attachments) ? parsed.attachments : []
+        };
+    },
+
+    /**
+     * Entries from a CSV export, in any language. The CSV has no ids, so
+     * these rows are matched to stored entries by date.
+     */
+    fromCsv(text) {
+        const [headers, ...rows] = this.parseCsv(text).filter(row => row.some(cell => cell !== ''));
+        if (!headers || !i18n.variants('export.date').some(header => headers.includes(header))) {
+            throw new Error('Not a check-in export (no Date column)');
+        }
+
+        // The fixed columns are found by their 'export.*' string, whichever language they're in
+        const column = key => headers.findIndex(header => i18n.variants(`export.${key}`).includes(header));
+        const isText = (value, key) => i18n.variants(`export.${key}`).includes(value);
+        return rows.map(row => {
+            const cell = header => headers.includes(header) ? row[headers.indexOf(header)] : undefined;
+            const fixed = key => column(key) === -1 ? undefined : row[column(key)];
+            const responses = {};
+            const invalid = [];
+
+            // Exports from before observer check-ins have no Respondent column,
+            // and ones from before check-in types no Check-In Type column
+            const respondent = isText(fixed('respondent'), 'observer') ? 'observer' : 'self';
+            const checkinType = this.checkinTypeFor(fixed('checkinType'));
+            if (checkinType === undefined) {
+                invalid.push(`Check-In Type: "${fixed('checkinType')}"`);
+            }
+
+            questions.itemsFor(respondent, checkinType).forEach(item => {
+                const header = this.headerFor(item, headers);
+                if (!header) return;
+                const value = questions.parseExport(item, cell(header));
+                if (value === undefined) {
+                    invalid.push(`${header}: "${cell(header)}"`);
+                } else {
+                    responses[item.id] = value;
+                }
+            });
+
+            // Exports from before the incident log have no Incidents column
+            let incidents;
+            if (respondent === 'self' && column('incidents') !== -1) {
+                incidents = questions.parseIncidents(fixed('incidents'));
+                if (incidents === undefined) {
+                    invalid.push(`Incidents: "${fixed('incidents')}"`);
+                }
+            }
+
+            return {
+                date: fixed('date'),
+                timestamp: fixed('time') || undefined,
+                respondent,
+                checkin_type: checkinType,
+                responses,
+                incidents,
+                synced: isText(fixed('synced'), 'yes'),
+                // Reported by normalize
+                invalid
+            };
+        });
+    },
+
+    /**
+     * Check one row against the entry format.
+     * Returns { entry, errors } - entry is null when it can't be used.
+     */
+    normalize(row) {
+        const errors = [...((row && row.invalid) || [])];
+
+        if (!row || typeof row !== 'object') {
+            return { entry: null, errors: ['Not an entry'] };
+        }
+        // Round-tripping catches impossible dates like 2026-02-30
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(row.date || '') || dates.toDateString(dates.parse(row.date)) !== row.date) {
+            errors.push(`Bad date "${row.date || ''}"`);
+        }
+        if (!row.responses || typeof row.responses !== 'object') {
+            errors.push('No answers');
+        }
+        if (row.id !== undefined && typeof row.id !== 'string') {
+            errors.push('Bad entry id');
+        }
+        if (row.timestamp !== undefined && isNaN(Date.parse(row.timestamp))) {
+            errors.push(`Bad time "${row.timestamp}"`);
+        }
+        if (row.respondent !== undefined && !questions.respondents.includes(row.respondent)) {
+            errors.push(`Bad respondent "${row.respondent}"`);
+        }
+        if (row.checkin_type !== undefined && !questions.checkinType(row.checkin_type)) {
+            errors.push(`Bad check-in type "${row.checkin_type}"`);
+        }
+        if (row.incidents !== undefined && !questions.isValidIncidents(row.incidents)) {
+            errors.push('Bad incident details');
+        }
+        if (row.attachments !== undefined && !attachments.isValidList(row.attachments)) {
+            errors.push('Bad attachments');
+        }
+
+        const respondent = questions.respondentOf(row);
+        const checkinType = questions.checkinTypeOf(row);
+        if (errors.length === 0) {
+            questions.itemsFor(respondent, checkinType).forEach(item => {
+                const value = row.responses[item.id];
+                if (!questions.isValidValue(item, value)) {
+                    errors.push(`${item.header}: "${value}"`);
+                }
+            });
+        }
+
+        if (errors.length > 0) {
+            return { entry: null, errors, date: row.date };
+        }
+
+        const attachmentItem = questions.itemsFor(respondent, checkinType).find(item => item.attachments);
+        const attachmentQuestion = attachmentItem ? attachmentItem.id : undefined;
+
+        return {
+            entry: {
+                // Rows from the sheet written before entries had ids come with ''
+                id: row.id || undefined,
+                respondent,
+                checkin_type: checkinType,
+                date: row.date,
+                timestamp: row.timestamp,
+                revision: Number.isInteger(row.revision) && row.revision > 0 ? row.revision : 1,
+                modified_at: row.modified_at,
+                responses: { ...questions.emptyResponses(respondent, checkinType), ...row.responses },
+                // Left out when the source doesn't say, so the stored ones are kept
+                incidents: row.incidents && row.incidents.map(incident => ({ ...questions.emptyIncident(), ...incident })),
+                // Links read back from the sheet don't say which question they belong to
+                attachments: row.attachments && row.attachments.map(attachment => ({ question: attachmentQuestion, ...attachment })),
+                metadata: row.metadata && typeof row.metadata === 'object' ? row.metadata : {},
+                synced: row.synced === true
+            },
+            errors
+        };
+    },
+
+    /**
+     * Sort checked rows into new, duplicate, conflict and invalid, each
+     * paired with the stored entry it matches
+     */
+    classify(checked, local) {
+        const byId = new Map(local.map(entry => [entry.id, entry]));
+        // Dates only match entries from the same respondent and check-in type
+        const dateKey = entry => `${questions.respondentOf(entry)}|${questions.checkinTypeOf(entry)}|${entry.date}`;
+        const byDate = new Map();
+        local.forEach(entry => {
+            if (!byDate.has(dateKey(entry))) byDate.set(dateKey(entry), []);
+            byDate.get(dateKey(entry)).push(entry);
+        });
+
+        const seen = new Set();
+
+        return checked.map(({ entry, errors, date }) => {
+            if (!entry) {
+                return { status: 'invalid', errors, date };
+            }
+
+            // The same entry twice in one file
+            const key = entry.id || `${dateKey(entry)}|${entry.timestamp || ''}`;
+            if (seen.has(key)) {
+                return { status: 'duplicate', entry, match: null };
+            }
+            seen.add(key);
+
+            let match = entry.id ? byId.get(entry.id) : null;
+            if (!match && !entry.id) {
+                // Same date: prefer the entry saved at the same time, else the
+                // latest (with several check-ins a day, only the same time counts)
+                const sameDate = byDate.get(dateKey(entry)) || [];
+                match = sameDate.find(e => entry.timestamp && e.timestamp === entry.timestamp)
+                    || (storage.config.allowMultiplePerDay ? null : sameDate[sameDate.length - 1])
+                    || null;
+            }
+
+            if (!match) return { status: 'new', entry, match: null };
+            if (this.sameAnswers(entry, match.responses, entry.responses) && this.sameIncidents(match, entry)) {
+                return { status: 'duplicate', entry, match };
+            }
+            return { status: 'conflict', entry, match };
+        });
+    },
+
+    /**
+     * Show counts, the conflicts and any invalid rows, with Import/Cancel
+     */
+    renderPreview() {
+        const previewEl = document.getElementById('import-preview');
+        if (!previewEl || !this.pending) return;
+
+        const { sourceName, results, newGoals } = this.pending;
+        const count = status => results.filter(r => r.status === status).length;
+        const conflicts = results.filter(r => r.status === 'conflict');
+        const invalid = results.filter(r => r.status === 'invalid');
+
+        const conflictList = conflicts.map(r => `
+            <li>
+                <strong>${r.entry.date}${this.describeType(r.entry)}</strong>
+                ${this.differences(r.match, r.entry).map(d => `
+                    <span class="import-diff">${app.escapeHtml(d.label)}: ${app.escapeHtml(d.here)} → ${app.escapeHtml(d.file)}</span>`).join('')}
+            </li>`).join('');
+
+        const invalidList = invalid.map(r => `
+            <li><strong>${app.escapeHtml(r.date || '?')}</strong> ${app.escapeHtml(r.errors.join(', '))}</li>`).join('');
+
+        previewEl.innerHTML = `
+            <p><strong>${app.escapeHtml(sourceName)}</strong></p>
+            <p>${count('new')} new · ${count('duplicate')} already here · ${conflicts.length} different · ${invalid.length} invalid${newGoals ? ` · ${newGoals} new ${newGoals === 1 ? 'goal' : 'goals'}` : ''}</p>
+            ${conflicts.length ? `
+                <p class="settings-hint">These dates already have different answers (here → import):</p>
+                <ul class="dayoff-list import-list">${conflictList}</ul>
+                <label for="import-resolution">For entries with different answers:</label>
+                <select id="import-resolution" class="text-input">
+                    <option value="newer">Keep whichever was changed last</option>
+                    <option value="local">Keep the answers on this device</option>
+                    <option value="file">Use the imported answers</option>
+                </select>` : ''}
+            ${invalid.length ? `
+                <p class="settings-hint">Invalid rows are skipped:</p>
+                <ul class="dayoff-list import-list">${invalidList}</ul>` : ''}
+            <button class="btn-primary" onclick="importer.apply()" ${count('new') + conflicts.length + newGoals === 0 ? 'disabled' : ''}>Import</button>
+            <button class="btn-secondary" onclick="importer.cancel()">Cancel</button>`;
+        previewEl.hidden = false;
+    },
+
+    /**
+     * Write the previewed changes
+     */
+    async apply() {
+        if (!this.pending || !adult.require()) return;
+
+        const resolutionEl = document.getElementById('import-resolution');
+        const resolution = resolutionEl ? resolutionEl.value : 'newer';
+        const now = new Date().toISOString();
+        const writes = [];
+        // The attachments (with blobs) of written entries that take the file's list
+        const attached = [];
+        const fromFile = (entry, written) => {
+            const list = attachments.fromBackup(entry, entry.id, this.pending.attachments);
+            attached.push({ entry: written, list });
+            return attachments.describe(list);
+        };
+
+        for (const { status, entry, match } of this.pending.results) {
+            if (status === 'new') {
+                // An id already used by another profile (e.g. a sibling's
+                // export) is copied in under a new id rather than moved
+                const taken = entry.id && await db.get(entry.id);
+                const written = {
+                    ...entry,
+                    id: entry.id && !taken ? entry.id : app.generateId(),
+                    profile_id: profiles.currentId,
+                    timestamp: entry.timestamp || now,
+                    modified_at: entry.modified_at || entry.timestamp || now
+                };
+                if (entry.attachments) written.attachments = fromFile(entry, written);
+                writes.push(written);
+            } else if (status === 'conflict' && this.useFile(resolution, match, entry)) {
+                // A new revision of the stored entry, so the sheet picks up the change
+                const written = {
+                    ...match,
+                    responses: entry.responses,
+                    incidents: entry.incidents || match.incidents,
+                    revision: Math.max(match.revision || 1, entry.revision) + 1,
+                    modified_at: now,
+                    synced: false
+                };
+                if (entry.attachments) written.attachments = fromFile(entry, written);
+                writes.push(written);
+            }
+        }
+
+        try {
+            for (const { entry, list } of attached) {
+                await attachments.store(entry, list);
+            }
+            await storage.saveLocalMany(writes);
+            const goalsAdded = goals.importData(this.pending.goals);
+            this.cancel();
+            storage.showStatus('import-status',
+                `Imported ${writes.length} entries${goalsAdded ? ` and ${goalsAdded} ${goalsAdded === 1 ? 'goal' : 'goals'}` : ''}`, 'success');
+            storage.syncPending();
+            reminders.refresh();
+        } catch (error) {
+            storage.showStatus('import-status', `Import failed: ${error.message}`, 'error');
+        }
+    },
+
+    /**
+     * Drop the preview without writing anything
+     */
+    cancel() {
+        this.pending = null;
+        const previewEl = document.getElementById('import-preview');
+        if (previewEl) {
+            previewEl.innerHTML = '';
+            previewEl.hidden = true;
+        }
+    },
+
+    /**
+     * Whether a conflict should take the file's answers
+     */
+    useFile(resolution, local, imported) {
+        if (resolution === 'file') return true;
+        if (resolution === 'local') return false;
+        const changed = entry => Date.parse(entry.modified_at || entry.timestamp) || 0;
+        return changed(imported) > changed(local);
+    },
+
+    /**
+     * Answers that differ between a stored and an imported entry
+     */
+    differences(local, imported) {
+        const changes = questions.itemsOf(imported)
+            .filter(item => !this.sameValue(local.responses[item.id], imported.responses[item.id]))
+            .map(item => ({
+                label: item.summaryLabel,
+                here: String(questions.formatExport(item, local.responses[item.id], 'en') || '–'),
+                file: String(questions.formatExport(item, imported.responses[item.id], 'en') || '–')
+            }));
+
+        if (!this.sameIncidents(local, imported)) {
+            changes.push({
+                label: 'Incidents',
+                here: questions.formatIncidents(local.incidents, 'en') || '–',
+                file: questions.formatIncidents(imported.incidents, 'en') || '–'
+            });
+        }
+        return changes;
+    },
+
+    /**
+     * Helper: a question's column header in a CSV export, whichever
+     * language it was exported in (null if it has no column)
+     */
+    headerFor(item, headers) {
+        return i18n.languages()
+            .map(language => questions.localize(item, language).header)
+            .find(header => headers.includes(header)) || null;
+    },
+
+    /**
+     * Helper: the check-in type named in a CSV export's Check-In Type
+     * cell, in any language (the default when blank or missing,
+     * undefined when it isn't one)
+     */
+    checkinTypeFor(text) {
+        const label = String(text === null || text === undefined ? '' : text).trim();
+        if (label === '') return questions.defaultCheckinType;
+        const type = questions.checkinTypes.find(t =>
+            i18n.languages().some(language => questions.localize(t, language).label === label));
+        return type ? type.id : undefined;
+    },
+
+    /**
+     * Helper: what sets a conflicting entry apart from the end-of-day
+     * check-in on its date, e.g. " (observer)"
+     */
+    describeType(entry) {
+        if (questions.respondentOf(entry) === 'observer') return ' (observer)';
+        const type = questions.checkinTypeOf(entry);
+        return type === questions.defaultCheckinType ? '' : ` (${questions.checkinType(type).label.toLowerCase()})`;
+    },
+
+    /**
+     * Helper: same answer to every question the entry's respondent is asked
+     */
+    sameAnswers(entry, a, b) {
+        return questions.itemsOf(entry).every(item => this.sameValue(a[item.id], b[item.id]));
+    },
+
+    /**
+     * Helper: same incident details (always true when the import has none
+     * to offer, e.g. an older export)
+     */
+    sameIncidents(local, imported) {
+        if (!imported.incidents) return true;
+        return questions.formatIncidents(local.incidents) === questions.formatIncidents(imported.incidents);
+    },
+
+    /**
+     * Helper: compare answers, treating every kind of empty as the same
+     */
+    sameValue(a, b) {
+        const empty = v => v === null || v === undefined || v === '';
+        return (empty(a) && empty(b)) || a === b;
+    },
+
+    /**
+     * Helper: split CSV text (as written by storage.csvCell) into rows of cells
+     */
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    }
+};
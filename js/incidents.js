@@ -0,0 +1,112 @@
+/**
+ * Incidents Module for Carmel Daily Check-In
+ * The optional drill-down after the dysregulation count: one quick form
+ * per incident (when, what set it off, the strategy used and whether it
+ * helped), kept in app.state.incidents until the check-in is saved.
+ * The fields come from questions.incidentLog.
+ */
+
+const incidents = {
+    screenId: 'screen-incidents',
+
+    /**
+     * Add the drill-down screen (its forms are drawn by show)
+     */
+    init() {
+        const doneScreen = document.getElementById('screen-done');
+        if (!doneScreen) return;
+
+        const log = questions.localize(questions.incidentLog);
+        doneScreen.insertAdjacentHTML('beforebegin', `
+            <section id="${this.screenId}" class="screen">
+                <div class="screen-content">
+                    <div class="progress-dots" aria-hidden="true"></div>
+                    <button class="btn-back" onclick="app.goBack()" aria-label="${i18n.t('common.backLabel')}">
+                        ${i18n.t('common.back')}
+                    </button>
+                    <h2 class="question">${log.prompt}</h2>
+                    <button class="btn-read-aloud" onclick="speech.readScreen(app.state.currentScreen)">
+                        <span aria-hidden="true">🔊</span> ${i18n.t('common.readAloud')}
+                    </button>
+                    <p class="hint">${log.hint}</p>
+                    <div id="incident-forms" class="incident-forms"></div>
+                    <button class="btn-primary" onclick="app.goNext()">${i18n.t('common.next')}</button>
+                    <button class="btn-secondary" onclick="incidents.skip()">${i18n.t('incidents.skip')}</button>
+                </div>
+            </section>
+        `);
+    },
+
+    /**
+     * Whether the drill-down comes after this question: only after the
+     * count question, and only when something was counted
+     */
+    follows(item, responses) {
+        return item.id === questions.incidentLog.after && questions.incidentCount(responses) > 0;
+    },
+
+    /**
+     * Show one form per counted incident with anything already picked
+     */
+    show() {
+        const list = app.state.incidents;
+        const count = questions.incidentCount(app.state.responses);
+        while (list.length < count) {
+            list.push(questions.emptyIncident());
+        }
+
+        const formsEl = document.getElementById('incident-forms');
+        formsEl.innerHTML = list.slice(0, count).map((incident, index) => `
+            <fieldset class="incident-form">
+                <legend>${count > 1 ? i18n.t('incidents.numbered', { number: index + 1 }) : i18n.t('incidents.one')}</legend>
+                ${questions.localize(questions.incidentLog).fields.map(field => `
+                    <p class="incident-label">${field.label}</p>
+                    <div class="incident-options">${field.options.map(option => `
+                        <button class="incident-chip" data-index="${index}" data-field="${field.id}" data-option="${option.value}"
+                            aria-pressed="${incident[field.id] === option.value}">
+                            <span aria-hidden="true">${option.emoji}</span> ${option.label}
+                        </button>`).join('')}
+                    </div>`).join('')}
+            </fieldset>`).join('');
+
+        formsEl.querySelectorAll('.incident-chip').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.pick(Number(btn.dataset.index), btn.dataset.field, btn.dataset.option);
+            });
+        });
+
+        // Part of the count question's step
+        const countScreen = document.getElementById(questions.screenId(questions.get(questions.incidentLog.after)));
+        document.querySelector(`#${this.screenId} .progress-dots`).innerHTML =
+            countScreen.querySelector('.progress-dots').innerHTML;
+
+        app.showScreen(this.screenId);
+    },
+
+    /**
+     * Pick an answer for one incident (picking it again clears it)
+     */
+    pick(index, fieldId, value) {
+        const incident = app.state.incidents[index];
+        incident[fieldId] = incident[fieldId] === value ? null : value;
+
+        document.querySelectorAll(`.incident-chip[data-index="${index}"][data-field="${fieldId}"]`).forEach(btn => {
+            btn.setAttribute('aria-pressed', btn.dataset.option === incident[fieldId]);
+        });
+
+        app.saveProgress();
+    },
+
+    /**
+     * Leave out the details and carry on with the check-in
+     */
+    skip() {
+        app.state.incidents = [];
+        app.goNext();
+    }
+};
+
+// Initialize incidents when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    incidents.init();
+});
@@ -0,0 +1,322 @@
+/**
+ * Insights Module for Carmel Daily Check-In
+ * Plain-language patterns in the student's end-of-day check-ins, for the
+ * adults in Settings: harder days of the week, answers that tend to go
+ * together, whether calming strategies help more or less than before,
+ * and runs of tough days. A finding needs a minimum number of check-ins
+ * behind it, so a handful of entries never turns into a claim. The Apps
+ * Script writes the same findings to the Sheets summary (see
+ * summaryInsights there), so keep the two in step.
+ */
+
+const insights = {
+    // Fewest check-ins a finding can rest on
+    minimums: {
+        weekday: 4,     // on the weekday being compared...
+        otherDays: 8,   // ...and on the other days together
+        pairs: 10,      // with both answers, for a link between two questions
+        coping: 5       // with a strategy answer, in each period compared
+    },
+
+    // A link between two answers: |r| from `correlation`, strong from `strongCorrelation`
+    correlation: 0.3,
+    strongCorrelation: 0.5,
+
+    // Coping "helped" rates are compared over the last `copingPeriod`
+    // days and the same stretch before, and reported as changed when
+    // they differ by at least `copingChange`
+    copingPeriod: 30,
+    copingChange: 0.15,
+
+    // An overall day rated this or lower is a tough day, and this many
+    // tough check-ins in a row is a run worth mentioning
+    toughRating: 2,
+    toughRun: 3,
+
+    /*
+     * The answers compared, as numbers:
+     *   name       - in sentences
+     *   more, less - what a higher or lower value reads as
+     *   better     - 'higher' or 'lower'
+     *   weekday    - smallest difference between a weekday's average and
+     *                the other days' worth reporting (no weekday check
+     *                when missing)
+     *   scores     - choices only: a number per option
+     */
+    measures: [
+        {
+            id: 'overall_day',
+            name: 'overall day',
+            more: 'a better overall day',
+            less: 'a harder overall day',
+            better: 'higher',
+            weekday: 0.75
+        },
+        {
+            id: 'academic_focus',
+            name: 'focus',
+            more: 'better focus',
+            less: 'weaker focus',
+            better: 'higher',
+            weekday: 0.75
+        },
+        {
+            id: 'social_interactions',
+            name: 'positive moments with other kids',
+            more: 'more positive moments with other kids',
+            less: 'fewer positive moments with other kids',
+            better: 'higher',
+            scores: { yes_several: 3, yes_one: 2, not_really: 1, no_wished: 0 }
+        },
+        {
+            id: 'dysregulation_count',
+            name: 'tough moments',
+            more: 'more tough moments',
+            less: 'fewer tough moments',
+            better: 'lower',
+            weekday: 1
+        }
+    ],
+
+    dayNames: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+
+    /**
+     * Show the selected profile's findings in settings
+     */
+    async render() {
+        const listEl = document.getElementById('insights-list');
+        if (!listEl || !adult.require() || !storage.requireUnlocked()) return;
+
+        const entries = (await storage.getLocalEntries()).filter(entry => questions.isEndOfDay(entry));
+        listEl.innerHTML = this.analyze(entries, dates.today()).map(finding => `
+            <li${finding.found ? '' : ' class="insight-quiet"'}>
+                <strong>${finding.topic}:</strong> ${app.escapeHtml(finding.text)}
+            </li>`).join('');
+    },
+
+    /**
+     * Findings for a list of end-of-day entries, as { topic, text, found }
+     * - found is false for "nothing stands out" and "not enough yet"
+     */
+    analyze(entries, today) {
+        return [
+            ...this.weekdayFindings(entries),
+            ...this.linkFindings(entries),
+            this.copingFinding(entries, today),
+            this.toughRunFinding(entries)
+        ];
+    },
+
+    /**
+     * Weekdays whose average stands out from the other days, per measure
+     * (the one that stands out most)
+     */
+    weekdayFindings(entries) {
+        const topic = 'Day of the week';
+        const findings = [];
+        let enough = false;
+
+        this.measures.filter(measure => measure.weekday).forEach(measure => {
+            const scored = entries
+                .map(entry => ({ day: dates.weekday(entry.date), value: this.score(measure, entry) }))
+                .filter(item => item.value !== null);
+
+            let best = null;
+            for (let day = 0; day < 7; day++) {
+                const on = scored.filter(item => item.day === day).map(item => item.value);
+                const off = scored.filter(item => item.day !== day).map(item => item.value);
+                if (on.length < this.minimums.weekday || off.length < this.minimums.otherDays) continue;
+                enough = true;
+
+                const difference = this.average(on) - this.average(off);
+                if (Math.abs(difference) >= measure.weekday && (!best || Math.abs(difference) > Math.abs(best.difference))) {
+                    best = { day, difference, on, off };
+                }
+            }
+            if (!best) return;
+
+            const worse = (best.difference < 0) === (measure.better === 'higher');
+            const days = `${this.dayNames[best.day]}s`;
+            findings.push({
+                topic,
+                found: true,
+                text: `${days} look ${worse ? 'harder' : 'easier'}: ${measure.name} averages ` +
+                    `${this.format(this.average(best.on))} on ${days} against ${this.format(this.average(best.off))} ` +
+                    `on other days (${best.on.length} ${days}, ${best.off.length} other days).`
+            });
+        });
+
+        if (findings.length > 0) return findings;
+        return [{
+            topic,
+            found: false,
+            text: enough
+                ? 'No day of the week stands out.'
+                : `Not enough check-ins yet (a weekday needs ${this.minimums.weekday}, with ${this.minimums.otherDays} on other days).`
+        }];
+    },
+
+    /**
+     * Pairs of answers that tend to go together (Pearson correlation)
+     */
+    linkFindings(entries) {
+        const topic = 'Answers that go together';
+        const findings = [];
+        let checked = 0;
+
+        this.measures.forEach((a, i) => {
+            this.measures.slice(i + 1).forEach(b => {
+                const pairs = entries
+                    .map(entry => [this.score(a, entry), this.score(b, entry)])
+                    .filter(([x, y]) => x !== null && y !== null);
+                if (pairs.length < this.minimums.pairs) return;
+
+                checked = Math.max(checked, pairs.length);
+                const r = this.correlate(pairs);
+                if (r === null || Math.abs(r) < this.correlation) return;
+
+                const strength = Math.abs(r) >= this.strongCorrelation ? 'strong' : 'some';
+                findings.push({
+                    topic,
+                    found: true,
+                    text: `Days with ${a.more} tend to have ${r > 0 ? b.more : b.less} ` +
+                        `(${strength} link, r = ${r.toFixed(2)} over ${pairs.length} days).`
+                });
+            });
+        });
+
+        if (findings.length > 0) return findings;
+        return [{
+            topic,
+            found: false,
+            text: checked > 0
+                ? `No clear links between the answers (over ${checked} days).`
+                : `Not enough check-ins yet (needs ${this.minimums.pairs} days with both answers).`
+        }];
+    },
+
+    /**
+     * How often a strategy helped in the last period against the one before
+     */
+    copingFinding(entries, today) {
+        const topic = 'Calming strategies';
+        const item = questions.get('used_coping_strategy');
+        const start = dates.addDays(today, 1 - this.copingPeriod);
+        const before = dates.addDays(start, -this.copingPeriod);
+        const rate = (from, to) => {
+            const answered = entries
+                .filter(entry => entry.date >= from && entry.date < to)
+                .filter(entry => trends.isAnswered(item, entry.responses[item.id]));
+            const helped = answered.filter(entry => entry.responses[item.id] === 'yes_helped').length;
+            return { helped, count: answered.length, rate: answered.length ? helped / answered.length : 0 };
+        };
+        const recent = rate(start, dates.addDays(today, 1));
+        const earlier = rate(before, start);
+
+        if (recent.count < this.minimums.coping || earlier.count < this.minimums.coping) {
+            return {
+                topic,
+                found: false,
+                text: `Not enough strategy answers yet to compare the last ${this.copingPeriod} days with the ${this.copingPeriod} before ` +
+                    `(needs ${this.minimums.coping} in each; ${recent.count} and ${earlier.count} so far).`
+            };
+        }
+
+        const change = recent.rate - earlier.rate;
+        const percent = value => `${Math.round(value * 100)}%`;
+        const trend = Math.abs(change) < this.copingChange
+            ? 'about the same as'
+            : (change > 0 ? 'up from' : 'down from');
+        return {
+            topic,
+            found: Math.abs(change) >= this.copingChange,
+            text: `A strategy helped on ${percent(recent.rate)} of days with tough moments in the last ${this.copingPeriod} days ` +
+                `(${recent.helped} of ${recent.count}), ${trend} ${percent(earlier.rate)} in the ${this.copingPeriod} days before ` +
+                `(${earlier.helped} of ${earlier.count}).`
+        };
+    },
+
+    /**
+     * The longest run of tough check-ins in a row, and whether it's still going
+     */
+    toughRunFinding(entries) {
+        const topic = 'Tough days in a row';
+        // The day's last check-in stands for the day
+        const byDate = new Map();
+        storage.byTime([...entries]).forEach(entry => {
+            if (typeof entry.responses.overall_day === 'number') byDate.set(entry.date, entry);
+        });
+        const days = [...byDate.keys()].sort();
+
+        if (days.length < this.toughRun) {
+            return { topic, found: false, text: `Not enough check-ins yet (needs ${this.toughRun}).` };
+        }
+
+        let longest = null;
+        let run = null;
+        days.forEach(date => {
+            if (byDate.get(date).responses.overall_day <= this.toughRating) {
+                run = run ? { ...run, end: date, length: run.length + 1 } : { start: date, end: date, length: 1 };
+                if (!longest || run.length >= longest.length) longest = run;
+            } else {
+                run = null;
+            }
+        });
+
+        if (!longest || longest.length < this.toughRun) {
+            return { topic, found: false, text: `No run of ${this.toughRun} or more tough days in a row.` };
+        }
+
+        const dateRange = `${longest.start} to ${longest.end}`;
+        return {
+            topic,
+            found: true,
+            text: longest.end === days[days.length - 1]
+                ? `The last ${longest.length} check-ins (${dateRange}) all rated the overall day ${this.toughRating} or lower - it may be worth a conversation.`
+                : `The longest run was ${longest.length} check-ins in a row (${dateRange}) rating the overall day ${this.toughRating} or lower.`
+        };
+    },
+
+    /**
+     * Helper: an entry's answer to a measure as a number (null if unanswered)
+     */
+    score(measure, entry) {
+        const value = entry.responses[measure.id];
+        if (measure.scores) {
+            return measure.scores.hasOwnProperty(value) ? measure.scores[value] : null;
+        }
+        return typeof value === 'number' ? value : null;
+    },
+
+    /**
+     * Helper: Pearson correlation of [x, y] pairs (null when either
+     * side never varies)
+     */
+    correlate(pairs) {
+        const meanX = this.average(pairs.map(([x]) => x));
+        const meanY = this.average(pairs.map(([, y]) => y));
+        let covariance = 0;
+        let varianceX = 0;
+        let varianceY = 0;
+        pairs.forEach(([x, y]) => {
+            covariance += (x - meanX) * (y - meanY);
+            varianceX += (x - meanX) ** 2;
+            varianceY += (y - meanY) ** 2;
+        });
+        return varianceX && varianceY ? covariance / Math.sqrt(varianceX * varianceY) : null;
+    },
+
+    /**
+     * Helper: mean of a list of numbers
+     */
+    average(values) {
+        return values.reduce((a, b) => a + b, 0) / values.length;
+    },
+
+    /**
+     * Helper: a number to one decimal place
+     */
+    format(value) {
+        return value.toFixed(1);
+    }
+};
@@ -0,0 +1,303 @@
+/**
+ * Profiles Module for Carmel Daily Check-In
+ * Several students on one device: each profile has its own name, entries,
+ * unfinished check-in and Google Sheets destination (Apps Script URL
+ * and/or sheet tab). Every entry carries the profile_id it belongs to.
+ */
+
+const profiles = {
+    storageKey: 'carmel_checkin_profiles',
+
+    // The profile that adopts everything saved before profiles existed
+    // (db migration 2 tags old entries with this id)
+    defaultId: 'default',
+    defaultName: 'Carmel',
+
+    // Where the unfinished check-in lived before profiles
+    legacyProgressKey: 'carmel_checkin_progress',
+
+    // [{ id, name, sheetsUrl, sheetName }] - blank sheetsUrl/sheetName use
+    // the shared Apps Script URL and the backend's default tab
+    list: [],
+
+    // Tab of a new profile, so its rows (and summary) stay apart from
+    // the other students'; kept through renames so the rows stay together
+    sheetPrefix: 'Check-Ins - ',
+
+    // Added to a new profile's tab when its name would make it look like
+    // one of the backend's own tabs (e.g. a student called "Observer")
+    reservedSheetMarker: ' (student)',
+    currentId: 'default',
+
+    /**
+     * Load the profiles and show the picker
+     */
+    init() {
+        this.load();
+        this.render();
+    },
+
+    /**
+     * The selected profile
+     */
+    current() {
+        return this.get(this.currentId) || this.list[0];
+    },
+
+    /**
+     * A profile by id (undefined if missing)
+     */
+    get(id) {
+        return this.list.find(profile => profile.id === id);
+    },
+
+    /**
+     * Switch to another student from the welcome screen
+     */
+    select(id) {
+        if (!this.get(id) || id === this.currentId) return;
+
+        // Clear the last student's answers before switching
+        app.reset();
+
+        this.currentId = id;
+        this.persist();
+        this.render();
+
+        // Pick up this student's own unfinished check-in, if any
+        app.loadProgress();
+
+        storage.updateLocalCount();
+        importer.cancel();
+        goals.renderSettings();
+        speech.refresh();
+        reminders.refresh();
+    },
+
+    /**
+     * Add a student from the settings form
+     */
+    add() {
+        if (!adult.require()) return;
+
+        const input = document.getElementById('profile-name');
+        const name = input.value.trim();
+        if (!name) {
+            storage.showStatus('profile-status', 'Please enter a name', 'error');
+            return;
+        }
+        if (this.list.some(profile => profile.name.toLowerCase() === name.toLowerCase())) {
+            storage.showStatus('profile-status', `There is already a profile called ${name}`, 'error');
+            return;
+        }
+
+        this.list.push({
+            id: 'profile_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            name,
+            sheetsUrl: '',
+            sheetName: this.sheetNameFor(name)
+        });
+        this.persist();
+        input.value = '';
+        this.render();
+        storage.showStatus('profile-status', `Added ${name}`, 'success');
+    },
+
+    /**
+     * Rename a student
+     */
+    rename(id) {
+        const profile = this.get(id);
+        if (!profile || !adult.require()) return;
+
+        const name = (prompt('New name:', profile.name) || '').trim();
+        if (!name || name === profile.name) return;
+
+        profile.name = name;
+        this.persist();
+        this.render();
+        storage.showStatus('profile-status', `Renamed to ${name}`, 'success');
+    },
+
+    /**
+     * Save where a student's entries are sent
+     */
+    saveDestination(id) {
+        const profile = this.get(id);
+        if (!profile || !adult.require()) return;
+
+        const sheetName = document.getElementById(`profile-sheet-${id}`).value.trim();
+        if (this.isReservedSheet(sheetName)) {
+            storage.showStatus('profile-status', `"${sheetName}" is the name of one of the script's own tabs - choose another`, 'error');
+            return;
+        }
+
+        profile.sheetsUrl = document.getElementById(`profile-url-${id}`).value.trim();
+        profile.sheetName = sheetName;
+        this.persist();
+        storage.showStatus('profile-status', `Saved where ${profile.name}'s check-ins go`, 'success');
+        storage.syncPending();
+    },
+
+    /**
+     * Remove a student and their entries on this device
+     */
+    async remove(id) {
+        const profile = this.get(id);
+        if (!profile || !adult.require()) return;
+
+        if (this.list.length === 1) {
+            storage.showStatus('profile-status', 'The last profile can\'t be removed', 'error');
+            return;
+        }
+
+        const unsynced = (await db.unsynced(id)).length;
+        const warning = unsynced > 0
+            ? ` ${unsynced} of them haven't been synced to Google Sheets yet and will be lost.`
+            : ' Entries already in Google Sheets stay there.';
+        if (!confirm(`Remove ${profile.name} and their check-ins on this device?${warning}`)) return;
+
+        await db.clear(id);
+        localStorage.removeItem(this.progressKey(id));
+        goals.removeProfile(id);
+        speech.removeProfile(id);
+        this.list = this.list.filter(p => p.id !== id);
+        if (this.currentId === id) {
+            this.currentId = this.list[0].id;
+        }
+        this.persist();
+        this.render();
+        storage.updateLocalCount();
+        goals.renderSettings();
+        speech.refresh();
+        reminders.refresh();
+        storage.showStatus('profile-status', `Removed ${profile.name}`, 'success');
+    },
+
+    /**
+     * localStorage key for a profile's unfinished check-in
+     */
+    progressKey(id = this.currentId) {
+        return `${this.legacyProgressKey}_${id}`;
+    },
+
+    /**
+     * Show the current name, the welcome picker and the settings list
+     */
+    render() {
+        const profile = this.current();
+
+        document.querySelectorAll('.profile-name').forEach(el => {
+            el.textContent = profile.name;
+        });
+
+        // The picker only appears once there's someone to switch to
+        const pickerEl = document.getElementById('profile-picker');
+        if (pickerEl) {
+            pickerEl.hidden = this.list.length < 2;
+            pickerEl.innerHTML = this.list.map(p => `
+                <button class="profile-chip" onclick="profiles.select('${p.id}')"
+                    aria-pressed="${p.id === profile.id}">${app.escapeHtml(p.name)}</button>`).join('');
+        }
+
+        const listEl = document.getElementById('profile-list');
+        if (listEl) {
+            listEl.innerHTML = this.list.map(p => `
+                <li>
+                    <strong>${app.escapeHtml(p.name)}${p.id === profile.id ? ' (selected)' : ''}</strong>
+                    <input type="url" id="profile-url-${p.id}" class="text-input" placeholder="Apps Script URL (blank: the one above)">
+                    <input type="text" id="profile-sheet-${p.id}" class="text-input" placeholder="Sheet tab (blank: Check-In Data)">
+                    <div>
+                        <button class="btn-secondary" onclick="profiles.saveDestination('${p.id}')">Save</button>
+                        <button class="btn-secondary" onclick="profiles.rename('${p.id}')">Rename</button>
+                        <button class="btn-danger" onclick="profiles.remove('${p.id}')">Remove</button>
+                    </div>
+                </li>`).join('');
+
+            // Set as properties so names and URLs never need attribute escaping
+            this.list.forEach(p => {
+                const urlInput = document.getElementById(`profile-url-${p.id}`);
+                const sheetInput = document.getElementById(`profile-sheet-${p.id}`);
+                urlInput.value = p.sheetsUrl;
+                urlInput.setAttribute('aria-label', `Apps Script URL for ${p.name}`);
+                sheetInput.value = p.sheetName;
+                sheetInput.setAttribute('aria-label', `Sheet tab for ${p.name}`);
+            });
+        }
+    },
+
+    /**
+     * Helper: the default sheet tab for a new profile (Sheets caps tab
+     * names at 100 characters, and the backend adds suffixes like
+     * " - Observer" to them)
+     */
+    sheetNameFor(name) {
+        const sheetName = (this.sheetPrefix + name).slice(0, 80).trim();
+        return this.isReservedSheet(sheetName) ? sheetName + this.reservedSheetMarker : sheetName;
+    },
+
+    /**
+     * Helper: whether the backend keeps a tab name for itself - summary,
+     * observer, incidents and check-in type tabs (keep in step with
+     * dataSheetName in the Apps Script)
+     */
+    isReservedSheet(sheetName) {
+        const types = questions.checkinTypes
+            .filter(type => type.id !== questions.defaultCheckinType)
+            .map(type => type.label);
+        const exact = ['Summary', 'Observer Data', 'Incidents', ...types.map(label => `${label} Data`)];
+        const suffixes = ['Observer', 'Incidents', ...types].map(suffix => ` - ${suffix}`);
+        return exact.includes(sheetName) || sheetName.startsWith('Summary - ') ||
+            suffixes.some(suffix => sheetName.endsWith(suffix));
+    },
+
+    /**
+     * Helper: read the stored profiles, creating the default profile (and
+     * moving the old unfinished check-in to it) the first time
+     */
+    load() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (e) {
+            console.warn('Ignoring unreadable profiles');
+        }
+
+        if (stored && Array.isArray(stored.list) && stored.list.length > 0) {
+            this.list = stored.list;
+            this.currentId = this.get(stored.currentId) ? stored.currentId : this.list[0].id;
+
+            // Tabs given to new profiles before reserved names were avoided;
+            // the backend refused them, so nothing was written there
+            const refused = this.list.filter(profile => profile.sheetName &&
+                this.isReservedSheet(profile.sheetName) && !profile.sheetName.endsWith(this.reservedSheetMarker));
+            refused.forEach(profile => {
+                profile.sheetName += this.reservedSheetMarker;
+            });
+            if (refused.length > 0) this.persist();
+            return;
+        }
+
+        this.list = [{ id: this.defaultId, name: this.defaultName, sheetsUrl: '', sheetName: '' }];
+        this.currentId = this.defaultId;
+
+        const legacyProgress = localStorage.getItem(this.legacyProgressKey);
+        if (legacyProgress) {
+            localStorage.setItem(this.progressKey(this.defaultId), legacyProgress);
+            localStorage.removeItem(this.legacyProgressKey);
+        }
+        this.persist();
+    },
+
+    /**
+     * Helper: persist the profiles and the selection
+     */
+    persist() {
+        localStorage.setItem(this.storageKey, JSON.stringify({ list: this.list, currentId: this.currentId }));
+    }
+};
+
+// Initialize profiles when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    profiles.init();
+});
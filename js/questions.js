@@ -0,0 +1,687 @@
+/**
+ * Question Definitions for Carmel Daily Check-In
+ * Single source of truth for the question screens, flow, summary, exports
+ * and the Google Sheets columns. The student has a questionnaire for
+ * each check-in type (checkinTypes: end of day and morning), and an adult
+ * observer has one for their view of the same day.
+ * The text here is English; translations are in i18n.js and applied with
+ * localize.
+ */
+
+const questions = {
+    /*
+     * Questions in the order they are asked. Each definition has:
+     *   id           - response field name stored on the entry
+     *   type         - 'rating' | 'choice' | 'number' | 'text'
+     *   style        - rating only: 'emoji' or 'number'
+     *   prompt       - question text shown on screen
+     *   header       - column header for CSV export and Google Sheets
+     *   summaryLabel - label used on the done screen
+     *   options      - { value, emoji, label, display, summary, hidden }
+     *                  display: text for exports/Sheets (defaults to label)
+     *                  summary: text for the done screen (defaults to display)
+     *                  hidden: never rendered, only used for formatting
+     *   step         - id of the question whose progress dot this one shares
+     *   skipWhen     - { field: value } pairs; skipped when all of them match
+     *   skipValue    - value recorded when the question is skipped
+     *   attachments  - text only: also take a voice note or drawing (attachments.js)
+     * Ids must be unique across all the questionnaires.
+     */
+    items: [
+        {
+            id: 'overall_day',
+            type: 'rating',
+            style: 'emoji',
+            prompt: 'How was your day at school overall?',
+            header: 'Overall Day (1-5)',
+            summaryLabel: 'Overall',
+            options: [
+                { value: 1, emoji: '😫', label: 'Really tough' },
+                { value: 2, emoji: '😕', label: 'Difficult' },
+                { value: 3, emoji: '😐', label: 'Okay' },
+                { value: 4, emoji: '🙂', label: 'Good' },
+                { value: 5, emoji: '😄', label: 'Great' }
+            ]
+        },
+        {
+            id: 'academic_focus',
+            type: 'rating',
+            style: 'number',
+            prompt: 'Were you able to focus and do your work today?',
+            header: 'Academic Focus (1-5)',
+            summaryLabel: 'Focus',
+            options: [
+                { value: 1, label: 'Almost never' },
+                { value: 2, label: 'Sometimes' },
+                { value: 3, label: 'Half the time' },
+                { value: 4, label: 'Most of the time' },
+                { value: 5, label: 'Almost always' }
+            ]
+        },
+        {
+            id: 'social_interactions',
+            type: 'choice',
+            prompt: 'Did you have any positive moments with other kids today?',
+            header: 'Social Interactions',
+            summaryLabel: 'Social',
+            options: [
+                { value: 'yes_several', emoji: '✨', label: 'Yes, several good moments', summary: 'Several good moments' },
+                { value: 'yes_one', emoji: '👍', label: 'Yes, at least one', summary: 'At least one' },
+                { value: 'not_really', emoji: '🤷', label: 'Not really, but that\'s okay', display: 'Not really, but okay' },
+                { value: 'no_wished', emoji: '😔', label: 'No, and I wished I had', display: 'No, and wished I had', summary: 'Wished I had' }
+            ]
+        },
+        {
+            id: 'dysregulation_count',
+            type: 'number',
+            prompt: 'How many times did you feel like you might lose control today?',
+            header: 'Dysregulation Count',
+            summaryLabel: 'Tough moments',
+            options: [
+                { value: 0, label: '0' },
+                { value: 1, label: '1' },
+                { value: 2, label: '2' },
+                { value: 3, label: '3' },
+                { value: 4, label: '4' },
+                { value: 5, label: '5+' }
+            ]
+        },
+        {
+            id: 'used_coping_strategy',
+            type: 'choice',
+            step: 'dysregulation_count',
+            skipWhen: { dysregulation_count: 0 },
+            skipValue: 'n/a',
+            prompt: 'Did you use a strategy to calm down?',
+            header: 'Coping Strategy Used',
+            summaryLabel: 'Coping',
+            options: [
+                { value: 'yes_helped', emoji: '💪', label: 'Yes, and it helped', summary: 'Used a strategy that helped' },
+                { value: 'yes_not_much', emoji: '🤔', label: 'Yes, but it didn\'t help much', display: 'Yes, but not much', summary: 'Tried but didn\'t help much' },
+                { value: 'no', emoji: '❌', label: 'No', summary: 'Didn\'t use a strategy' },
+                { value: 'n/a', label: 'N/A', hidden: true }
+            ]
+        },
+        {
+            id: 'free_response',
+            type: 'text',
+            prompt: 'What\'s one thing you want to remember about today?',
+            hint: 'A win, a challenge, something funny... (optional)',
+            placeholder: 'Type here...',
+            maxLength: 200,
+            submitLabel: 'Finish',
+            header: 'Notes',
+            summaryLabel: 'Note',
+            attachments: true
+        }
+    ],
+
+    // Morning check-in: a baseline for the day ahead, same format as items
+    morningItems: [
+        {
+            id: 'sleep_quality',
+            type: 'rating',
+            style: 'emoji',
+            prompt: 'How did you sleep last night?',
+            header: 'Sleep (1-5)',
+            summaryLabel: 'Sleep',
+            options: [
+                { value: 1, emoji: '😫', label: 'Really badly' },
+                { value: 2, emoji: '😕', label: 'Not great' },
+                { value: 3, emoji: '😐', label: 'Okay' },
+                { value: 4, emoji: '🙂', label: 'Pretty well' },
+                { value: 5, emoji: '😴', label: 'Really well' }
+            ]
+        },
+        {
+            id: 'breakfast',
+            type: 'choice',
+            prompt: 'Did you have breakfast this morning?',
+            header: 'Breakfast',
+            summaryLabel: 'Breakfast',
+            options: [
+                { value: 'yes', emoji: '🍳', label: 'Yes', summary: 'Had breakfast' },
+                { value: 'a_little', emoji: '🍌', label: 'Just a little', summary: 'A little breakfast' },
+                { value: 'no', emoji: '❌', label: 'No', summary: 'No breakfast' }
+            ]
+        },
+        {
+            id: 'morning_mood',
+            type: 'rating',
+            style: 'emoji',
+            prompt: 'How are you feeling as the day starts?',
+            header: 'Morning Mood (1-5)',
+            summaryLabel: 'Mood',
+            options: [
+                { value: 1, emoji: '😫', label: 'Really low' },
+                { value: 2, emoji: '😕', label: 'Down' },
+                { value: 3, emoji: '😐', label: 'Okay' },
+                { value: 4, emoji: '🙂', label: 'Good' },
+                { value: 5, emoji: '😄', label: 'Great' }
+            ]
+        },
+        {
+            id: 'morning_worries',
+            type: 'text',
+            prompt: 'Is anything worrying you about today?',
+            hint: 'A test, a friend, something at home... (optional)',
+            placeholder: 'Type here...',
+            maxLength: 200,
+            submitLabel: 'Finish',
+            header: 'Worries',
+            summaryLabel: 'Worries'
+        }
+    ],
+
+    // Observer (teacher/parent) check-in, same format as items
+    observerItems: [
+        {
+            id: 'observed_focus',
+            type: 'rating',
+            style: 'number',
+            prompt: 'How well was the student able to focus on their work today?',
+            header: 'Observed Focus (1-5)',
+            summaryLabel: 'Focus',
+            options: [
+                { value: 1, label: 'Almost never' },
+                { value: 2, label: 'Sometimes' },
+                { value: 3, label: 'Half the time' },
+                { value: 4, label: 'Most of the time' },
+                { value: 5, label: 'Almost always' }
+            ]
+        },
+        {
+            id: 'observed_incidents',
+            type: 'number',
+            prompt: 'How many dysregulation incidents did you see today?',
+            header: 'Observed Incidents',
+            summaryLabel: 'Incidents',
+            options: [
+                { value: 0, label: '0' },
+                { value: 1, label: '1' },
+                { value: 2, label: '2' },
+                { value: 3, label: '3' },
+                { value: 4, label: '4' },
+                { value: 5, label: '5+' }
+            ]
+        },
+        {
+            id: 'observed_helped',
+            type: 'choice',
+            step: 'observed_incidents',
+            skipWhen: { observed_incidents: 0 },
+            skipValue: 'n/a',
+            prompt: 'What helped the most?',
+            header: 'What Helped',
+            summaryLabel: 'What helped',
+            options: [
+                { value: 'own_strategy', emoji: '💪', label: 'Their own calming strategy' },
+                { value: 'break', emoji: '🚪', label: 'A break or quiet space' },
+                { value: 'movement', emoji: '🏃', label: 'Movement' },
+                { value: 'adult_support', emoji: '🤝', label: 'Talking with an adult' },
+                { value: 'sensory', emoji: '🎧', label: 'A sensory tool' },
+                { value: 'nothing', emoji: '❌', label: 'Nothing seemed to help' },
+                { value: 'n/a', label: 'N/A', hidden: true }
+            ]
+        }
+    ],
+
+    /*
+     * Optional drill-down shown after the `after` question, with one form
+     * per incident counted there (5+ gives five). Entries store the
+     * answers as an `incidents` array of { field id: value }, and the
+     * Apps Script writes one row per incident to its Incidents tab.
+     * Edit the option lists to match the behavior plan; labels mustn't
+     * contain commas or semicolons (they separate incidents in the CSV).
+     */
+    incidentLog: {
+        id: 'incident_log', // Its key in the i18n.js translations
+        after: 'dysregulation_count',
+        prompt: 'Tell me a bit about each time',
+        hint: 'Tap what fits - or skip this part',
+        fields: [
+            {
+                id: 'time',
+                label: 'When was it?',
+                header: 'Time of Day',
+                options: [
+                    { value: 'before_school', emoji: '🌅', label: 'Before school' },
+                    { value: 'morning_class', emoji: '📚', label: 'Morning class' },
+                    { value: 'recess_lunch', emoji: '🍎', label: 'Recess or lunch' },
+                    { value: 'afternoon_class', emoji: '✏️', label: 'Afternoon class' },
+                    { value: 'between_classes', emoji: '🚶', label: 'Between classes' },
+                    { value: 'after_school', emoji: '🏠', label: 'After school' }
+                ]
+            },
+            {
+                id: 'trigger',
+                label: 'What set it off?',
+                header: 'Trigger',
+                options: [
+                    { value: 'noise', emoji: '🔊', label: 'Noise or crowds' },
+                    { value: 'schoolwork', emoji: '📝', label: 'Hard schoolwork' },
+                    { value: 'peer', emoji: '🧒', label: 'Another kid' },
+                    { value: 'change', emoji: '🔀', label: 'A change of plan' },
+                    { value: 'corrected', emoji: '✋', label: 'Being told no' },
+                    { value: 'body', emoji: '🥱', label: 'Tired or hungry' },
+                    { value: 'unsure', emoji: '❓', label: 'Not sure' }
+                ]
+            },
+            {
+                id: 'strategy',
+                label: 'What did you try?',
+                header: 'Strategy Used',
+                options: [
+                    { value: 'breathing', emoji: '🌬️', label: 'Breathing' },
+                    { value: 'break_card', emoji: '🎫', label: 'Break card' },
+                    { value: 'fidget', emoji: '🧸', label: 'Fidget' },
+                    { value: 'movement', emoji: '🏃', label: 'Moving around' },
+                    { value: 'adult', emoji: '🤝', label: 'Talking to an adult' },
+                    { value: 'none', emoji: '❌', label: 'Nothing' }
+                ]
+            },
+            {
+                id: 'helped',
+                label: 'Did it help?',
+                header: 'Helped',
+                options: [
+                    { value: 'yes', emoji: '💪', label: 'Yes' },
+                    { value: 'a_little', emoji: '🤏', label: 'A little' },
+                    { value: 'no', emoji: '👎', label: 'No' }
+                ]
+            }
+        ]
+    },
+
+    // Who can answer an entry (named in exports by the 'export.<id>' strings in i18n.js)
+    respondents: ['self', 'observer'],
+
+    /*
+     * The student's check-in types, each asking its own list of questions
+     * (`items` names the list above). The welcome screen suggests the
+     * type whose `from` time (HH:MM) passed most recently today, and the
+     * student can pick another. Entries record theirs as checkin_type;
+     * entries saved before there were types, and observer check-ins, are
+     * the default type. Ids are also their keys in the i18n.js translations.
+     */
+    checkinTypes: [
+        { id: 'morning', emoji: '🌅', label: 'Morning', from: '00:00', items: 'morningItems' },
+        { id: 'afternoon', emoji: '🌇', label: 'End of day', from: '11:00', items: 'items' }
+    ],
+    defaultCheckinType: 'afternoon',
+
+    /**
+     * A question (or incidentLog, or one of its fields) with its text in
+     * a language: translated text replaces the English, and anything not
+     * translated stays English
+     */
+    localize(item, language = i18n.language) {
+        const text = i18n.questionText(item.id, language);
+        if (!text) return item;
+
+        const localized = { ...item };
+        ['prompt', 'hint', 'placeholder', 'submitLabel', 'header', 'summaryLabel', 'label'].forEach(key => {
+            if (text[key] !== undefined) localized[key] = text[key];
+        });
+        if (item.options) {
+            localized.options = item.options.map(option => {
+                const optionText = text.options && text.options[option.value];
+                // A translated label doesn't keep the English display or summary
+                return optionText
+                    ? { ...option, label: optionText.label, display: optionText.display, summary: optionText.summary }
+                    : option;
+            });
+        }
+        if (item.fields) {
+            localized.fields = item.fields.map(field => this.localize(field, language));
+        }
+        return localized;
+    },
+
+    /**
+     * Questions for a respondent: 'self' (the student, with one list per
+     * check-in type) or 'observer'
+     */
+    itemsFor(respondent, checkinType = this.defaultCheckinType) {
+        if (respondent === 'observer') return this.observerItems;
+        return this[(this.checkinType(checkinType) || this.checkinType(this.defaultCheckinType)).items];
+    },
+
+    /**
+     * The questions an entry was asked
+     */
+    itemsOf(entry) {
+        return this.itemsFor(this.respondentOf(entry), this.checkinTypeOf(entry));
+    },
+
+    /**
+     * Every questionnaire's questions
+     */
+    allItems() {
+        return [...this.checkinTypes.flatMap(type => this[type.items]), ...this.observerItems];
+    },
+
+    /**
+     * Who answered an entry (entries saved before observer check-ins are
+     * the student's own)
+     */
+    respondentOf(entry) {
+        return entry.respondent === 'observer' ? 'observer' : 'self';
+    },
+
+    /**
+     * A check-in type by id (undefined if unknown)
+     */
+    checkinType(id) {
+        return this.checkinTypes.find(type => type.id === id);
+    },
+
+    /**
+     * An entry's check-in type id (the default for entries without one)
+     */
+    checkinTypeOf(entry) {
+        return this.checkinType(entry.checkin_type) ? entry.checkin_type : this.defaultCheckinType;
+    },
+
+    /**
+     * Whether an entry is the student's own end-of-day check-in - the one
+     * trends, goals, reminders and the report are about
+     */
+    isEndOfDay(entry) {
+        return this.respondentOf(entry) === 'self' && this.checkinTypeOf(entry) === this.defaultCheckinType;
+    },
+
+    /**
+     * The check-in type to suggest at a time of day (a Date)
+     */
+    checkinTypeAt(time = new Date()) {
+        const pad = n => String(n).padStart(2, '0');
+        const now = `${pad(time.getHours())}:${pad(time.getMinutes())}`;
+        const started = this.checkinTypes
+            .filter(type => type.from <= now)
+            .sort((a, b) => a.from.localeCompare(b.from))
+            .pop();
+        return started ? started.id : this.defaultCheckinType;
+    },
+
+    /**
+     * Get a question definition by id
+     */
+    get(id) {
+        return this.allItems().find(item => item.id === id) || null;
+    },
+
+    /**
+     * Get the screen element id for a question
+     */
+    screenId(item) {
+        return `screen-${item.id}`;
+    },
+
+    /**
+     * Get the question shown on a screen (null for non-question screens)
+     */
+    fromScreen(screenId) {
+        return this.allItems().find(item => this.screenId(item) === screenId) || null;
+    },
+
+    /**
+     * Blank responses object with one field per question
+     */
+    emptyResponses(respondent = 'self', checkinType = this.defaultCheckinType) {
+        const responses = {};
+        this.itemsFor(respondent, checkinType).forEach(item => {
+            responses[item.id] = item.type === 'text' ? '' : null;
+        });
+        return responses;
+    },
+
+    /**
+     * Check whether a question's skip rule matches the current responses
+     */
+    isSkipped(item, responses) {
+        if (!item.skipWhen) return false;
+        return Object.entries(item.skipWhen).every(([field, value]) => responses[field] === value);
+    },
+
+    /**
+     * Ordered list of progress steps (questions sharing a step share a dot)
+     */
+    getSteps(respondent = 'self', checkinType = this.defaultCheckinType) {
+        const steps = [];
+        this.itemsFor(respondent, checkinType).forEach(item => {
+            const step = item.step || item.id;
+            if (!steps.includes(step)) steps.push(step);
+        });
+        return steps;
+    },
+
+    /**
+     * Find the option matching a stored value
+     */
+    findOption(item, value) {
+        return (item.options || []).find(option => option.value === value) || null;
+    },
+
+    /**
+     * Convert a data-value attribute back to the option's typed value
+     */
+    parseValue(item, raw) {
+        const option = (item.options || []).find(o => String(o.value) === String(raw));
+        return option ? option.value : raw;
+    },
+
+    /**
+     * Format a stored value for CSV export and Google Sheets
+     */
+    formatExport(item, value, language = i18n.dataLanguage) {
+        if (value === null || value === undefined) return '';
+        if (item.type !== 'choice') return value;
+        const option = this.findOption(this.localize(item, language), value);
+        return option ? (option.display || option.label) : value;
+    },
+
+    /**
+     * Convert an exported cell (see formatExport) back to a stored value,
+     * whichever language it was exported in. Returns undefined if the
+     * text isn't a valid answer.
+     */
+    parseExport(item, text) {
+        const raw = String(text === null || text === undefined ? '' : text).trim();
+        if (raw === '') return item.type === 'text' ? '' : null;
+        if (item.type === 'text') return raw;
+
+        const option = (item.options || []).find(o => String(o.value) === raw) ||
+            (item.type === 'choice' ? this.findLabel(item, raw, o => o.display || o.label) : null);
+        return option ? option.value : undefined;
+    },
+
+    /**
+     * Check a stored value against its question (empty answers are valid)
+     */
+    isValidValue(item, value) {
+        if (value === null || value === undefined || value === '') return true;
+        if (item.type === 'text') return typeof value === 'string';
+        return !!this.findOption(item, value);
+    },
+
+    /**
+     * Number of incident forms for these responses (the count answered
+     * to incidentLog.after, 0 before it's answered)
+     */
+    incidentCount(responses) {
+        const count = responses[this.incidentLog.after];
+        return typeof count === 'number' ? count : 0;
+    },
+
+    /**
+     * Blank answers for one incident
+     */
+    emptyIncident() {
+        const incident = {};
+        this.incidentLog.fields.forEach(field => {
+            incident[field.id] = null;
+        });
+        return incident;
+    },
+
+    /**
+     * Incidents to store with these responses: no more than were counted,
+     * leaving out forms with nothing picked
+     */
+    cleanIncidents(incidents, responses) {
+        return (incidents || [])
+            .slice(0, this.incidentCount(responses))
+            .map(incident => ({ ...this.emptyIncident(), ...incident }))
+            .filter(incident => this.incidentLog.fields.some(field => incident[field.id] !== null));
+    },
+
+    /**
+     * Check a stored incidents list against the incident fields
+     */
+    isValidIncidents(incidents) {
+        if (!Array.isArray(incidents)) return false;
+        return incidents.every(incident => incident && typeof incident === 'object' &&
+            this.incidentLog.fields.every(field => {
+                const value = incident[field.id];
+                return value === null || value === undefined || !!this.findOption(field, value);
+            }));
+    },
+
+    /**
+     * Format incidents for CSV export: "; " between incidents, ", "
+     * between their fields and "-" for anything not picked
+     */
+    formatIncidents(incidents, language = i18n.dataLanguage) {
+        const fields = this.localize(this.incidentLog, language).fields;
+        return (incidents || []).map(incident => fields.map(field => {
+            const option = this.findOption(field, incident[field.id]);
+            return option ? option.label : '-';
+        }).join(', ')).join('; ');
+    },
+
+    /**
+     * Convert exported incidents (see formatIncidents, in any language)
+     * back to a list. Returns undefined if the text isn't valid.
+     */
+    parseIncidents(text) {
+        const raw = String(text === null || text === undefined ? '' : text).trim();
+        if (raw === '') return [];
+
+        const fields = this.incidentLog.fields;
+        const incidents = raw.split(';').map(part => {
+            const cells = part.split(',').map(cell => cell.trim());
+            if (cells.length !== fields.length) return null;
+
+            const incident = {};
+            const valid = fields.every((field, i) => {
+                if (cells[i] === '-') {
+                    incident[field.id] = null;
+                    return true;
+                }
+                const option = this.findLabel(field, cells[i], o => o.label);
+                if (option) incident[field.id] = option.value;
+                return !!option;
+            });
+            return valid ? incident : null;
+        });
+        return incidents.includes(null) ? undefined : incidents;
+    },
+
+    /**
+     * Format a stored value for the done-screen summary
+     */
+    formatSummary(item, value) {
+        item = this.localize(item);
+        const option = this.findOption(item, value);
+        switch (item.type) {
+            case 'rating':
+                if (item.style === 'emoji' && option) return `${option.label} ${option.emoji}`;
+                return `${value}/${item.options.length}`;
+            case 'choice':
+                if (!option) return value;
+                return `${option.emoji ? option.emoji + ' ' : ''}${option.summary || option.display || option.label}`;
+            case 'number':
+                return option ? option.label : value;
+            default:
+                return `"${value}"`;
+        }
+    },
+
+    /**
+     * Column description sent to the Apps Script backend with each entry,
+     * so the sheet's headers and display labels follow these definitions
+     * (in the data language). Aliases are the other languages' headers
+     * and labels, so the backend can rename the columns and still read
+     * rows written before the language changed.
+     */
+    getSheetSchema(respondent = 'self', checkinType = this.defaultCheckinType) {
+        return this.itemsFor(respondent, checkinType).map(item => this.sheetColumn(item, item.type));
+    },
+
+    /**
+     * Schemas of the check-in types other than the default, by id: the
+     * backend writes each type to its own tab
+     */
+    getCheckinTypeSchemas() {
+        const schemas = {};
+        this.checkinTypes
+            .filter(type => type.id !== this.defaultCheckinType)
+            .forEach(type => {
+                schemas[type.id] = this.getSheetSchema('self', type.id);
+            });
+        return schemas;
+    },
+
+    /**
+     * Column description of the incident fields for the backend's
+     * Incidents tab (same format as getSheetSchema)
+     */
+    getIncidentSchema() {
+        return this.incidentLog.fields.map(field => this.sheetColumn(field, 'choice'));
+    },
+
+    /**
+     * Helper: one column of getSheetSchema:
+     * { id, header, type, aliases, labels, labelAliases, attachments }
+     */
+    sheetColumn(item, type) {
+        const localized = this.localize(item, i18n.dataLanguage);
+        const others = i18n.languages()
+            .filter(language => language !== i18n.dataLanguage)
+            .map(language => this.localize(item, language));
+        const column = {
+            id: item.id,
+            header: localized.header,
+            type,
+            aliases: [...new Set(others.map(other => other.header))].filter(header => header !== localized.header)
+        };
+        if (item.attachments) {
+            column.attachments = true;
+        }
+
+        if (type === 'choice') {
+            column.labels = {};
+            column.labelAliases = {};
+            localized.options.forEach((option, i) => {
+                const label = option.display || option.label;
+                column.labels[option.value] = label;
+                column.labelAliases[option.value] = [...new Set(others.map(other => other.options[i].display || other.options[i].label))]
+                    .filter(alias => alias !== label);
+            });
+        }
+        return column;
+    },
+
+    /**
+     * Helper: the option whose text (from textOf) is `text` in any
+     * language, or null
+     */
+    findLabel(item, text, textOf) {
+        for (const language of i18n.languages()) {
+            const option = this.localize(item, language).options.find(o => textOf(o) === text);
+            if (option) return option;
+        }
+        return null;
+    }
+};
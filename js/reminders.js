@@ -0,0 +1,305 @@
+/**
+ * Reminders Module for Carmel Daily Check-In
+ * Daily check-in reminders on school days, shown by the service worker.
+ *
+ * Delivery, best first:
+ *   1. Notification Triggers - each day's reminder is scheduled ahead of time
+ *   2. Periodic Background Sync - the service worker wakes up and checks
+ *   3. A timer while the app is open
+ * A reminder only goes out for a date with no end-of-day entry; saving
+ * one cancels that day's scheduled reminder.
+ */
+
+const reminders = {
+    storageKey: 'carmel_checkin_reminders',
+
+    // Shared with sw.js (REMINDER_CACHE, REMINDER_STATE_URL, REMINDER_TAG)
+    stateCache: 'carmel-reminders',
+    stateUrl: 'reminder-state.json',
+    periodicTag: 'checkin-reminder',
+
+    // How many days ahead to schedule triggered notifications
+    scheduleDays: 14,
+
+    config: {
+        enabled: false,
+        time: '15:30'
+    },
+
+    // In-app timer for today's reminder
+    timer: null,
+
+    /**
+     * Load settings, fill in the settings UI and schedule reminders
+     */
+    init() {
+        const saved = localStorage.getItem(this.storageKey);
+        if (saved) {
+            try {
+                this.config = { ...this.config, ...JSON.parse(saved) };
+            } catch (e) {
+                console.warn('Ignoring unreadable reminder settings');
+            }
+        }
+
+        const enabledInput = document.getElementById('reminder-enabled');
+        const timeInput = document.getElementById('reminder-time');
+        if (enabledInput) enabledInput.checked = this.config.enabled;
+        if (timeInput) timeInput.value = this.config.time;
+
+        this.refresh();
+    },
+
+    /**
+     * Turn reminders on or off from the settings checkbox
+     */
+    async toggle(enabled) {
+        if (enabled) {
+            if (!('Notification' in window)) {
+                storage.showStatus('reminder-status', 'This browser can\'t show notifications', 'error');
+                document.getElementById('reminder-enabled').checked = false;
+                return;
+            }
+            const permission = await Notification.requestPermission();
+            if (permission !== 'granted') {
+                storage.showStatus('reminder-status', 'Notifications are blocked - allow them in the browser settings', 'error');
+                document.getElementById('reminder-enabled').checked = false;
+                return;
+            }
+        }
+
+        this.config.enabled = enabled;
+        this.save();
+    },
+
+    /**
+     * Change the reminder time (HH:MM)
+     */
+    setTime(time) {
+        if (!/^\d{2}:\d{2}$/.test(time)) return;
+        this.config.time = time;
+        this.save();
+    },
+
+    /**
+     * Persist settings and reschedule
+     */
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.config));
+        this.refresh();
+    },
+
+    /**
+     * Re-plan every reminder from the current settings, calendar and
+     * entries. Called on startup, after settings change and after a save.
+     */
+    async refresh() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const registration = await this.getRegistration();
+        await this.writeState();
+
+        if (registration) {
+            await this.cancelScheduled(registration);
+        }
+
+        if (!this.config.enabled) {
+            storage.showStatus('reminder-status', '', '');
+            return;
+        }
+        if (!('Notification' in window) || Notification.permission !== 'granted') {
+            storage.showStatus('reminder-status', 'Notifications are blocked - allow them in the browser settings', 'error');
+            return;
+        }
+
+        const methods = [];
+
+        if (registration && this.supportsTriggers()) {
+            await this.scheduleTriggers(registration);
+            methods.push('scheduled');
+        } else if (registration && await this.registerPeriodicSync(registration)) {
+            methods.push('background checks');
+        }
+
+        // Always cover today while the app is open
+        await this.scheduleInApp(registration);
+        methods.push('while the app is open');
+
+        storage.showStatus('reminder-status', `Reminders on at ${this.config.time} (${methods.join(', ')})`, 'success');
+    },
+
+    /**
+     * Upcoming reminder times: school days without an entry, from today on
+     */
+    async upcoming(days) {
+        const checkedIn = await this.checkedInDates();
+        const today = dates.today();
+        const now = Date.now();
+
+        return dates.range(today, dates.addDays(today, days - 1))
+            .filter(date => schoolCalendar.isSchoolDay(date) && !checkedIn.has(date))
+            .map(date => ({ date, at: this.reminderTime(date) }))
+            .filter(reminder => reminder.at > now);
+    },
+
+    /**
+     * Epoch ms of the reminder on a given local date
+     */
+    reminderTime(date) {
+        const [hours, minutes] = this.config.time.split(':').map(Number);
+        const at = dates.parse(date);
+        at.setHours(hours, minutes, 0, 0);
+        return at.getTime();
+    },
+
+    /**
+     * Whether the Notification Triggers API is available
+     */
+    supportsTriggers() {
+        return 'showTrigger' in Notification.prototype && typeof TimestampTrigger !== 'undefined';
+    },
+
+    /**
+     * Schedule a triggered notification for each upcoming school day
+     */
+    async scheduleTriggers(registration) {
+        for (const reminder of await this.upcoming(this.scheduleDays)) {
+            await registration.showNotification(this.title(), {
+                ...this.options(reminder.date),
+                showTrigger: new TimestampTrigger(reminder.at)
+            });
+        }
+    },
+
+    /**
+     * Remove scheduled (not yet shown) reminders, plus today's if it's done
+     */
+    async cancelScheduled(registration) {
+        if (!registration.getNotifications) return;
+        const checkedIn = await this.checkedInDates();
+        const options = this.supportsTriggers() ? { includeTriggered: true } : {};
+
+        try {
+            const notifications = await registration.getNotifications(options);
+            notifications
+                .filter(n => n.tag && n.tag.startsWith('reminder-'))
+                .filter(n => n.showTrigger || checkedIn.has(n.tag.replace('reminder-', '')))
+                .forEach(n => n.close());
+        } catch (error) {
+            console.warn('Could not clear scheduled reminders:', error);
+        }
+    },
+
+    /**
+     * Ask the browser to wake the service worker periodically.
+     * Only works for installed apps where the browser allows it.
+     */
+    async registerPeriodicSync(registration) {
+        if (!registration.periodicSync) return false;
+        try {
+            await registration.periodicSync.register(this.periodicTag, { minInterval: 60 * 60 * 1000 });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Fire today's reminder from a timer if the app is still open then
+     */
+    async scheduleInApp(registration) {
+        const today = (await this.upcoming(1))[0];
+        if (!today) return;
+
+        // A refresh that overlapped this one may have set a timer already
+        clearTimeout(this.timer);
+        this.timer = setTimeout(async () => {
+            // Re-check in case a check-in happened in the meantime (by every
+            // profile, the same test as the scheduled and service worker reminders)
+            if ((await this.checkedInDates()).has(today.date)) return;
+            if (registration) {
+                registration.showNotification(this.title(), this.options(today.date));
+            } else {
+                new Notification(this.title(), this.options(today.date));
+            }
+        }, today.at - Date.now());
+    },
+
+    /**
+     * Save what the service worker needs to decide on its own: the reminder
+     * time, upcoming school days and the days already checked in
+     */
+    async writeState() {
+        if (!('caches' in window)) return;
+
+        const today = dates.today();
+        const state = {
+            enabled: this.config.enabled,
+            time: this.config.time,
+            title: this.title(),
+            body: this.options(today).body,
+            schoolDays: dates.range(today, dates.addDays(today, this.scheduleDays - 1))
+                .filter(date => schoolCalendar.isSchoolDay(date)),
+            checkedIn: [...await this.checkedInDates()].filter(date => date >= today)
+        };
+
+        try {
+            const cache = await caches.open(this.stateCache);
+            await cache.put(this.stateUrl, new Response(JSON.stringify(state), {
+                headers: { 'Content-Type': 'application/json' }
+            }));
+        } catch (error) {
+            console.warn('Could not save reminder state:', error);
+        }
+    },
+
+    /**
+     * Helper: dates on which every profile on the device has checked in
+     * (only end-of-day check-ins count, not morning or observer ones)
+     */
+    async checkedInDates() {
+        const records = (await storage.readStore()).filter(e => questions.isEndOfDay(e));
+        const byProfile = profiles.list.map(profile =>
+            new Set(records.filter(e => e.profile_id === profile.id).map(e => e.date)));
+        return new Set(records.map(e => e.date).filter(date => byProfile.every(set => set.has(date))));
+    },
+
+    /**
+     * Helper: the active service worker registration, if any
+     */
+    async getRegistration() {
+        if (!('serviceWorker' in navigator)) return null;
+        try {
+            return await navigator.serviceWorker.getRegistration();
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Helper: notification title (in the student's language)
+     */
+    title() {
+        return i18n.t('reminders.title');
+    },
+
+    /**
+     * Helper: notification options for a date (one tag per date, so the
+     * different delivery paths replace rather than repeat each other)
+     */
+    options(date) {
+        return {
+            body: i18n.t('reminders.body'),
+            tag: `reminder-${date}`,
+            icon: 'icon-192.png',
+            badge: 'icon-192.png',
+            data: { date }
+        };
+    }
+};
+
+// Initialize reminders when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    reminders.init();
+});
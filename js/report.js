@@ -0,0 +1,236 @@
+/**
+ * Report Module for Carmel Daily Check-In
+ * Printable report of the selected student's check-ins over a date range,
+ * for IEP and parent-teacher meetings. Built offline from the local
+ * entries with the trends charts; printing (or saving as PDF) is left
+ * to the browser, styled by the print rules in styles.css. Like the rest
+ * of settings it's in English, whatever language the student uses.
+ */
+
+const report = {
+    /**
+     * Start the settings form on this month
+     */
+    init() {
+        this.setPreset('month');
+    },
+
+    /**
+     * Fill the date range with a preset: 'week', 'last-week', 'month' or
+     * 'last-month' (the current week and month run to today)
+     */
+    setPreset(preset) {
+        const startInput = document.getElementById('report-start');
+        const endInput = document.getElementById('report-end');
+        if (!startInput || !endInput) return;
+
+        const today = dates.today();
+        const monthStart = date => date.slice(0, 8) + '01';
+        let start = monthStart(today);
+        let end = today;
+
+        switch (preset) {
+            case 'week':
+                start = dates.weekStart(today);
+                break;
+            case 'last-week':
+                start = dates.addDays(dates.weekStart(today), -7);
+                end = dates.addDays(start, 6);
+                break;
+            case 'last-month':
+                end = dates.addDays(monthStart(today), -1);
+                start = monthStart(end);
+                break;
+        }
+
+        startInput.value = start;
+        endInput.value = end;
+    },
+
+    /**
+     * Build the report for the range in settings and show it
+     */
+    async open() {
+        if (!adult.require() || !storage.requireUnlocked()) return;
+
+        const start = document.getElementById('report-start').value;
+        const end = document.getElementById('report-end').value;
+        if (!start || !end || end < start) {
+            storage.showStatus('report-status', 'Pick a start date and an end date on or after it', 'error');
+            return;
+        }
+
+        const includeNotes = document.getElementById('report-notes').checked;
+        const stored = await storage.getLocalEntries();
+        document.getElementById('report-content').innerHTML =
+            i18n.using('en', () => this.render(stored, start, end, includeNotes));
+        storage.showStatus('report-status', '', '');
+        app.showScreen('screen-report');
+    },
+
+    /**
+     * Leave the report, removing it (it can hold notes) from the page
+     */
+    close() {
+        document.getElementById('report-content').innerHTML = '';
+        app.showScreen('screen-settings');
+    },
+
+    /**
+     * Print the report (the browser can save it as a PDF)
+     */
+    print() {
+        window.print();
+    },
+
+    /**
+     * The report's HTML for a date range of the stored entries
+     */
+    render(stored, start, end, includeNotes) {
+        const days = dates.range(start, end);
+        const inRange = e => e.date >= start && e.date <= end;
+        const allEntries = stored.filter(e => questions.isEndOfDay(e));
+        const entries = allEntries.filter(inRange);
+        const observed = stored.filter(e => questions.respondentOf(e) === 'observer' && inRange(e));
+        const byDate = trends.groupByDate(entries);
+        const missed = schoolCalendar.missedDays(allEntries, start, end);
+        const formatDate = date => dates.parse(date).toLocaleDateString(undefined,
+            { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+
+        const header = `
+            <header class="report-header">
+                <h2>Check-In Report: ${app.escapeHtml(profiles.current().name)}</h2>
+                <p>${formatDate(start)} – ${formatDate(end)}</p>
+                <p class="report-generated">Prepared ${formatDate(dates.today())} from the check-ins saved on this device</p>
+            </header>`;
+
+        if (entries.length === 0 && observed.length === 0) {
+            return `${header}<p class="chart-empty">No check-ins in this range.</p>`;
+        }
+
+        const sections = [
+            this.section('Summary', this.summaryTable(entries, observed, byDate, start, end, missed)),
+            this.section('Overall day &amp; focus', trends.lineChart(days, [
+                { label: 'Overall day', className: 'series-a', points: trends.dailyAverage(byDate, days, 'overall_day') },
+                { label: 'Focus', className: 'series-b', points: trends.dailyAverage(byDate, days, 'academic_focus') }
+            ], { min: 1, max: 5 })),
+            this.section('Tough moments per day', trends.barChart(days, trends.dailyTotal(byDate, days, 'dysregulation_count'))),
+            this.section('Positive moments with other kids',
+                trends.shareBars(trends.optionShares(entries, questions.get('social_interactions')))),
+            this.section('Calming strategies', trends.copingSummary(entries) + this.strategyTable(entries)),
+            observed.length > 0
+                ? this.section('Student and observer', trends.observerComparison(days, byDate, trends.groupByDate(observed)))
+                : '',
+            this.section('Missed school days', missed.length === 0
+                ? '<p class="chart-empty">None.</p>'
+                : `<ul class="report-list">${missed.map(date => `<li>${formatDate(date)}</li>`).join('')}</ul>`),
+            includeNotes ? this.section('Notes', this.notesList(entries, formatDate)) : ''
+        ];
+
+        return header + sections.join('');
+    },
+
+    /**
+     * Summary statistics for the range
+     */
+    summaryTable(entries, observed, byDate, start, end, missed) {
+        const numbers = (list, field) => list.map(e => e.responses[field]).filter(v => typeof v === 'number');
+        const mean = values => values.length ? (values.reduce((a, b) => a + b, 0) / values.length).toFixed(1) : '–';
+        const coping = questions.get('used_coping_strategy');
+        const copingDays = entries.filter(e => trends.isAnswered(coping, e.responses[coping.id]));
+        const helped = copingDays.filter(e => e.responses[coping.id] === 'yes_helped').length;
+        const moments = numbers(entries, 'dysregulation_count');
+        const total = moments.reduce((a, b) => a + b, 0);
+
+        const rows = [
+            ['Check-in days', `${byDate.size} of ${schoolCalendar.expectedDays(start, end).length} school days`],
+            ['Missed school days', missed.length],
+            ['Average overall day', `${mean(numbers(entries, 'overall_day'))} / 5`],
+            ['Average focus', `${mean(numbers(entries, 'academic_focus'))} / 5`],
+            ['Tough moments', `${total} (${mean(moments)} per check-in)`],
+            ['A strategy helped', copingDays.length
+                ? `${helped} of ${copingDays.length} days with tough moments (${Math.round(helped / copingDays.length * 100)}%)`
+                : '–']
+        ];
+        if (observed.length > 0) {
+            rows.push(['Observer check-ins', observed.length]);
+            rows.push(['Average focus (observer)', `${mean(numbers(observed, 'observed_focus'))} / 5`]);
+        }
+
+        return `<table class="report-table">
+            <tbody>${rows.map(([label, value]) => `
+                <tr><th scope="row">${label}</th><td>${value}</td></tr>`).join('')}
+            </tbody>
+        </table>`;
+    },
+
+    /**
+     * How often each strategy was used and whether it helped, from the
+     * incident details
+     */
+    strategyTable(entries) {
+        const [strategyField, helpedField] = ['strategy', 'helped']
+            .map(id => questions.incidentLog.fields.find(field => field.id === id));
+        const logged = entries.flatMap(e => e.incidents || []).filter(incident => incident[strategyField.id]);
+
+        if (logged.length === 0) {
+            return '<p class="chart-empty">No strategies were logged with incident details in this range.</p>';
+        }
+
+        const rows = strategyField.options
+            .map(option => {
+                const uses = logged.filter(incident => incident[strategyField.id] === option.value);
+                const counts = helpedField.options.map(h => uses.filter(incident => incident[helpedField.id] === h.value).length);
+                return { option, uses: uses.length, counts };
+            })
+            .filter(row => row.uses > 0)
+            .map(({ option, uses, counts }) => `
+                <tr>
+                    <th scope="row">${option.emoji} ${option.label}</th>
+                    <td>${uses}</td>
+                    ${counts.map(count => `<td>${count}</td>`).join('')}
+                </tr>`).join('');
+
+        return `<table class="report-table compare-table">
+            <thead>
+                <tr>
+                    <th scope="col">Strategy (incident details)</th>
+                    <th scope="col">Times used</th>
+                    ${helpedField.options.map(h => `<th scope="col">Helped: ${h.label}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+    },
+
+    /**
+     * The student's notes, oldest first, marking the days with a voice
+     * note or drawing (which can't be printed)
+     */
+    notesList(entries, formatDate) {
+        const attachedTo = e => (e.attachments || []).filter(attachment => attachment.question === 'free_response');
+        const notes = entries
+            .filter(e => e.responses.free_response || attachedTo(e).length > 0)
+            .sort((a, b) => a.date.localeCompare(b.date) || (a.timestamp || '').localeCompare(b.timestamp || ''));
+
+        if (notes.length === 0) {
+            return '<p class="chart-empty">No notes in this range.</p>';
+        }
+        return `<ul class="report-list">${notes.map(e => `
+            <li><strong>${formatDate(e.date)}:</strong> ${app.escapeHtml(e.responses.free_response || '')}
+                ${attachedTo(e).map(attachment => `<em>(${attachments.kinds[attachment.kind].emoji} ${attachments.label(attachment)})</em>`).join(' ')}</li>`).join('')}
+        </ul>`;
+    },
+
+    /**
+     * Helper: one titled block of the report
+     */
+    section(title, body) {
+        return `<section class="chart-card report-section"><h3>${title}</h3>${body}</section>`;
+    }
+};
+
+// Initialize report when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    report.init();
+});
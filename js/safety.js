@@ -0,0 +1,143 @@
+/**
+ * Safety Module for Carmel Daily Check-In
+ * Checks the student's text answers for concern keywords and phrases
+ * (self-harm, bullying, feeling unsafe). A match shows a gentle message
+ * with a help resource on the done screen; the list is also sent to the
+ * Apps Script, which flags the row and can email an adult.
+ * Matching is on whole words, ignoring case, accents and punctuation, and
+ * must work the same way as findSafetyKeywords in google-apps-script.js.
+ * The default message and resource are in the student's language
+ * ('safety.message' and 'safety.resource' in i18n.js) until an adult
+ * writes their own.
+ */
+
+const safety = {
+    storageKey: 'carmel_checkin_safety',
+
+    // Defaults, matching SAFETY_KEYWORDS in google-apps-script.js (a blank
+    // message or resource means the catalog's, in the student's language)
+    config: {
+        keywords: [
+            'kill myself', 'hurt myself', 'cut myself', 'want to die', 'wish i was dead',
+            'suicide', 'self harm', 'no reason to live', 'better off without me',
+            'bullied', 'bullying', 'bully', 'beat me up', 'hit me', 'kicked me',
+            'scared to go', 'not safe', 'unsafe',
+            'me quiero morir', 'quiero morir', 'matarme', 'suicidarme', 'suicidio',
+            'hacerme daño', 'lastimarme', 'cortarme', 'no quiero vivir', 'mejor sin mí',
+            'me pegan', 'me pegó', 'me pegaron', 'me golpean', 'me golpearon', 'me patearon',
+            'me acosan', 'acoso', 'miedo de ir', 'no estoy a salvo', 'no me siento seguro', 'no me siento segura'
+        ],
+        message: '',
+        resource: ''
+    },
+
+    /**
+     * Load the saved settings and fill in the settings form
+     */
+    init() {
+        const saved = localStorage.getItem(this.storageKey);
+        if (saved) {
+            try {
+                this.config = { ...this.config, ...JSON.parse(saved) };
+            } catch (e) {
+                console.warn('Ignoring unreadable safety settings');
+            }
+            // Settings saved before the defaults were translated hold the English ones
+            ['message', 'resource'].forEach(field => {
+                if (this.config[field] === i18n.locales.en.strings[`safety.${field}`]) this.config[field] = '';
+            });
+        }
+        this.renderSettings();
+    },
+
+    /**
+     * The keywords found in a piece of text (an empty list when none match)
+     */
+    matches(text, keywords = this.config.keywords) {
+        const haystack = ` ${this.normalize(text)} `;
+        return keywords.filter(keyword => {
+            const needle = this.normalize(keyword);
+            return needle && haystack.includes(` ${needle} `);
+        });
+    },
+
+    /**
+     * The keywords found in an entry's text answers
+     */
+    concernsIn(entry) {
+        const found = questions.itemsOf(entry)
+            .filter(item => item.type === 'text')
+            .flatMap(item => this.matches(entry.responses[item.id] || ''));
+        return [...new Set(found)];
+    },
+
+    /**
+     * Show (or hide) the supportive message on the done screen
+     */
+    renderDone(entry) {
+        const supportEl = document.getElementById('done-support');
+        if (!supportEl) return;
+
+        supportEl.hidden = this.concernsIn(entry).length === 0;
+        document.getElementById('support-message').textContent = this.config.message || i18n.t('safety.message');
+        document.getElementById('support-resource').textContent = this.config.resource || i18n.t('safety.resource');
+    },
+
+    /**
+     * Save the keywords, message and help resource from settings
+     */
+    save() {
+        if (!adult.require()) return;
+
+        // One of each, ignoring case and punctuation
+        const keywords = document.getElementById('safety-keywords').value
+            .split('\n')
+            .map(keyword => keyword.trim())
+            .filter((keyword, i, list) => this.normalize(keyword) &&
+                list.findIndex(other => this.normalize(other) === this.normalize(keyword)) === i);
+        const message = document.getElementById('safety-message').value.trim();
+        const resource = document.getElementById('safety-resource').value.trim();
+
+        this.config = { keywords: keywords, message: message, resource: resource };
+        localStorage.setItem(this.storageKey, JSON.stringify(this.config));
+        this.renderSettings();
+        storage.showStatus('safety-status',
+            keywords.length === 0 ? 'Saved - with no keywords, notes aren\'t checked' : 'Saved', 'success');
+    },
+
+    /**
+     * Fill in the settings form from the current settings
+     */
+    renderSettings() {
+        const keywordsInput = document.getElementById('safety-keywords');
+        if (!keywordsInput) return;
+
+        keywordsInput.value = this.config.keywords.join('\n');
+        const messageInput = document.getElementById('safety-message');
+        const resourceInput = document.getElementById('safety-resource');
+        messageInput.value = this.config.message;
+        messageInput.placeholder = `Blank: "${i18n.locales.en.strings['safety.message']}" (translated for the student)`;
+        resourceInput.value = this.config.resource;
+        resourceInput.placeholder = `Blank: "${i18n.locales.en.strings['safety.resource']}" (translated for the student)`;
+    },
+
+    /**
+     * Helper: lower case words without accents separated by single spaces,
+     * so "Bullied!!" and "bullied" (or "pegó" and "pego") match, and
+     * "bully" doesn't match inside "bullying"
+     */
+    normalize(text) {
+        return String(text)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[’‘]/g, '\'')
+            .replace(/[^\p{L}\p{N}']+/gu, ' ')
+            .trim();
+    }
+};
+
+// Initialize safety checks when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    safety.init();
+});
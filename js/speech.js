@@ -0,0 +1,137 @@
+/**
+ * Speech Module for Carmel Daily Check-In
+ * Optional read-aloud mode (speechSynthesis) for a student who finds
+ * reading hard when upset: each question and its answers are read out
+ * when the screen opens, and a "Read to me" button repeats them.
+ * Turned on per profile in settings.
+ */
+
+const speech = {
+    storageKey: 'carmel_checkin_speech',
+
+    // Slightly slower than the default voice
+    rate: 0.9,
+
+    config: {
+        profiles: [] // Ids of the profiles with read-aloud on
+    },
+
+    /**
+     * Load settings and show the read-aloud buttons if they're on
+     */
+    init() {
+        const saved = localStorage.getItem(this.storageKey);
+        if (saved) {
+            try {
+                this.config = { ...this.config, ...JSON.parse(saved) };
+            } catch (e) {
+                console.warn('Ignoring unreadable read-aloud settings');
+            }
+        }
+        this.refresh();
+    },
+
+    /**
+     * Whether this browser can speak
+     */
+    supported() {
+        return 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+    },
+
+    /**
+     * Whether read-aloud is on for the selected profile
+     */
+    isOn() {
+        return this.supported() && this.config.profiles.includes(profiles.currentId);
+    },
+
+    /**
+     * Turn read-aloud on or off for the selected profile from settings
+     */
+    toggle(enabled) {
+        if (!adult.require()) return;
+
+        if (enabled && !this.supported()) {
+            storage.showStatus('speech-status', 'This browser can\'t read aloud', 'error');
+            document.getElementById('read-aloud').checked = false;
+            return;
+        }
+
+        const others = this.config.profiles.filter(id => id !== profiles.currentId);
+        this.config.profiles = enabled ? [...others, profiles.currentId] : others;
+        localStorage.setItem(this.storageKey, JSON.stringify(this.config));
+        this.refresh();
+        storage.showStatus('speech-status', '', '');
+    },
+
+    /**
+     * Forget a removed profile's setting
+     */
+    removeProfile(id) {
+        this.config.profiles = this.config.profiles.filter(p => p !== id);
+        localStorage.setItem(this.storageKey, JSON.stringify(this.config));
+    },
+
+    /**
+     * Match the buttons and the settings checkbox to the selected profile
+     */
+    refresh() {
+        document.body.classList.toggle('read-aloud', this.isOn());
+        const checkbox = document.getElementById('read-aloud');
+        if (checkbox) checkbox.checked = this.isOn();
+    },
+
+    /**
+     * Called on every screen change: read a question screen out when
+     * read-aloud is on, and stop talking about the last one
+     */
+    onScreen(screenId) {
+        if (!this.supported()) return;
+        window.speechSynthesis.cancel();
+        if (this.isOn()) {
+            this.readScreen(screenId);
+        }
+    },
+
+    /**
+     * Read a question screen's prompt, hint and answers
+     */
+    readScreen(screenId) {
+        if (!this.supported()) return;
+
+        const screen = document.getElementById(screenId);
+        const item = questions.fromScreen(screenId);
+        if (!screen || (!item && screenId !== incidents.screenId)) return;
+        const options = item && item.options ? questions.localize(item).options : null;
+
+        const parts = [screen.querySelector('.question').textContent];
+        const hint = screen.querySelector('.hint');
+        if (hint) parts.push(hint.textContent);
+
+        if (options) {
+            const answers = options
+                .filter(option => !option.hidden)
+                .map(option => item.style === 'number' ? `${option.value}, ${option.label}` : option.label);
+            parts.push(i18n.t('speech.choices', { answers: answers.join('. ') }));
+        }
+
+        // A pause after each part, even where it has no full stop
+        this.speak(parts.map(part => part.trim().replace(/[^.?!]$/, '$&.')).join(' '));
+    },
+
+    /**
+     * Say some text, interrupting anything already being said
+     */
+    speak(text) {
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = document.documentElement.lang || 'en';
+        utterance.rate = this.rate;
+        window.speechSynthesis.cancel();
+        window.speechSynthesis.speak(utterance);
+    }
+};
+
+// Initialize read-aloud when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    speech.init();
+});
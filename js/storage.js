@@ -1,16 +1,31 @@
 /**
  * Storage Module for Carmel Daily Check-In
- * Handles Google Sheets sync and localStorage backup
+ * Handles Google Sheets sync and the local entry store (IndexedDB, via db).
+ * Reads, exports and clearing work on the selected profile; syncing sends
+ * every profile's entries to that profile's destination.
  */
 
 const storage = {
     // Configuration
     config: {
         sheetsUrl: 'https://script.google.com/macros/s/AKfycbx0BHrK2r8X7K9NN5hW7q3wBVurCEyY9ZZWDw_gmaJH8j5162-8pohgNlbrJiDmMb30/exec',
-        localStorageKey: 'carmel_checkin_entries',
-        configKey: 'carmel_checkin_config'
+        sheetsToken: '', // Must match ACCESS_TOKEN in the Apps Script
+        configKey: 'carmel_checkin_config',
+        syncTag: 'sync-entries', // Must match SYNC_TAG in sw.js
+        // Where the service worker finds what it needs to sync on its own
+        // (must match SYNC_CACHE and SYNC_STATE_URL in sw.js)
+        syncCache: 'carmel-sync',
+        syncStateUrl: 'sync-state.json',
+        batchSize: 25, // Entries per upload request
+        allowMultiplePerDay: false
     },
 
+    // In-flight sync, so background and manual syncs don't overlap
+    syncing: null,
+
+    // Warning from the backend's last reply (e.g. it has no access token)
+    serverWarning: '',
+
     /**
      * Initialize storage - load config from localStorage
      */
@@ -19,37 +34,154 @@ const storage = {
         if (savedConfig) {
             const parsed = JSON.parse(savedConfig);
             this.config.sheetsUrl = parsed.sheetsUrl || '';
+            this.config.sheetsToken = parsed.sheetsToken || '';
+            this.config.allowMultiplePerDay = !!parsed.allowMultiplePerDay;
             
             // Populate settings UI if it exists
             const urlInput = document.getElementById('sheets-url');
             if (urlInput) {
                 urlInput.value = this.config.sheetsUrl;
             }
+            const tokenInput = document.getElementById('sheets-token');
+            if (tokenInput) {
+                tokenInput.value = this.config.sheetsToken;
+            }
+            const multipleInput = document.getElementById('allow-multiple');
+            if (multipleInput) {
+                multipleInput.checked = this.config.allowMultiplePerDay;
+            }
         }
         this.updateLocalCount();
+        this.setupAutoSync();
+    },
+
+    /**
+     * Drain pending entries automatically: the service worker sends them
+     * itself when Background Sync fires (asking an open page for the ones
+     * it can't), and the online event covers browsers without it
+     */
+    setupAutoSync() {
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', async (event) => {
+                if (event.data && event.data.type === this.config.syncTag) {
+                    const result = await this.autoSync();
+                    if (event.ports[0]) {
+                        event.ports[0].postMessage({ synced: result.synced, failed: result.failed });
+                    }
+                }
+            });
+        }
+
+        window.addEventListener('online', () => this.autoSync());
+
+        // Catch up on anything left over from the last session
+        if (navigator.onLine) {
+            this.autoSync();
+        }
+    },
+
+    /**
+     * Sync without being asked, leaving any failure or backend warning
+     * under Sync in Settings so an adult sees it
+     */
+    async autoSync() {
+        const result = await this.syncPending();
+        if (result.stopped) {
+            this.showStatus('sync-status', `Automatic sync stopped: ${result.error}`, 'error');
+        } else if (this.serverWarning) {
+            this.showStatus('sync-status', this.serverWarning, 'error');
+        }
+        return result;
+    },
+
+    /**
+     * Ask the service worker to sync once connectivity returns
+     */
+    async requestBackgroundSync() {
+        if (!('serviceWorker' in navigator)) return;
+        await this.writeSyncState();
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (registration.sync) {
+                await registration.sync.register(this.config.syncTag);
+            }
+        } catch (error) {
+            // Background Sync unavailable - the online event will handle it
+            console.warn('Background sync not registered:', error);
+        }
+    },
+
+    /**
+     * Store what the service worker needs to send entries while no page is
+     * open: each profile's destination, the token and the schemas
+     */
+    async writeSyncState() {
+        if (!('caches' in window)) return;
+
+        const state = {
+            token: this.config.sheetsToken,
+            batchSize: this.config.batchSize,
+            destinations: profiles.list
+                .filter(profile => this.sheetsUrlFor(profile))
+                .map(profile => ({ profileId: profile.id, url: this.sheetsUrlFor(profile), sheet: profile.sheetName })),
+            payload: this.sheetPayload()
+        };
+
+        try {
+            const cache = await caches.open(this.config.syncCache);
+            await cache.put(this.config.syncStateUrl, new Response(JSON.stringify(state), {
+                headers: { 'Content-Type': 'application/json' }
+            }));
+        } catch (error) {
+            console.warn('Could not save sync state:', error);
+        }
     },
 
     /**
      * Save configuration
      */
     saveConfig() {
+        if (!adult.require()) return;
+
         const urlInput = document.getElementById('sheets-url');
+        const tokenInput = document.getElementById('sheets-token');
         if (urlInput) {
             this.config.sheetsUrl = urlInput.value.trim();
-            localStorage.setItem(this.config.configKey, JSON.stringify({
-                sheetsUrl: this.config.sheetsUrl
-            }));
+            this.config.sheetsToken = tokenInput ? tokenInput.value.trim() : this.config.sheetsToken;
+            this.persistConfig();
             this.showStatus('connection-status', 'Configuration saved!', 'success');
         }
     },
 
     /**
-     * Test connection to Google Sheets
+     * Save the check-in options from the settings screen
+     */
+    saveOptions() {
+        if (!adult.require()) return;
+
+        const multipleInput = document.getElementById('allow-multiple');
+        if (multipleInput) {
+            this.config.allowMultiplePerDay = multipleInput.checked;
+            this.persistConfig();
+        }
+    },
+
+    /**
+     * Write the user-editable configuration to localStorage
+     */
+    persistConfig() {
+        localStorage.setItem(this.config.configKey, JSON.stringify({
+            sheetsUrl: this.config.sheetsUrl,
+            sheetsToken: this.config.sheetsToken,
+            allowMultiplePerDay: this.config.allowMultiplePerDay
+        }));
+    },
+
+    /**
+     * Test connection to Google Sheets (the selected profile's destination)
      */
     async testConnection() {
-        const statusEl = document.getElementById('connection-status');
-        
-        if (!this.config.sheetsUrl) {
+        if (!this.sheetsUrlFor(profiles.current())) {
             this.showStatus('connection-status', 'Please enter an Apps Script URL first', 'error');
             return;
         }
@@ -57,50 +189,97 @@ const storage = {
         this.showStatus('connection-status', 'Testing connection...', '');
 
         try {
-            // Send a test ping
-            const response = await fetch(this.config.sheetsUrl, {
-                method: 'POST',
-                mode: 'no-cors', // Required for Apps Script
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ test: true })
-            });
-
-            // With no-cors, we can't read the response, but if no error, likely works
-            this.showStatus('connection-status', 'Connection appears to work! (Note: Full verification requires checking the sheet)', 'success');
+            // Send a test ping and check the backend answered
+            const result = await this.request({ action: 'ping' });
+            if (result.warning) {
+                this.showStatus('connection-status', `Connected, but: ${result.warning}`, 'error');
+            } else {
+                this.showStatus('connection-status', result.message || 'Connection successful!', 'success');
+            }
         } catch (error) {
             this.showStatus('connection-status', `Connection failed: ${error.message}`, 'error');
         }
     },
 
     /**
-     * Save entry to localStorage
+     * Save entry locally (encrypted when the vault is on), replacing any
+     * stored entry with the same id
      */
-    saveLocal(entry) {
-        const entries = this.getLocalEntries();
-        entries.push(entry);
-        localStorage.setItem(this.config.localStorageKey, JSON.stringify(entries));
+    async saveLocal(entry) {
+        const record = vault.enabled() ? await vault.seal(entry) : entry;
+        await db.put([record]);
         this.updateLocalCount();
         return true;
     },
 
     /**
-     * Get all local entries
+     * Save several entries in one transaction (imports)
      */
-    getLocalEntries() {
-        const stored = localStorage.getItem(this.config.localStorageKey);
-        return stored ? JSON.parse(stored) : [];
+    async saveLocalMany(entries) {
+        const records = [];
+        for (const entry of entries) {
+            records.push(vault.enabled() ? await vault.seal(entry) : entry);
+        }
+        await db.put(records);
+        this.updateLocalCount();
+    },
+
+    /**
+     * Get the selected profile's local entries, oldest first. With the vault
+     * locked, encrypted entries only have their bookkeeping fields and are
+     * flagged `locked`.
+     */
+    async getLocalEntries() {
+        return this.byTime(await this.readStore(profiles.currentId)).map(record => vault.reveal(record));
+    },
+
+    /**
+     * Every profile's entries (for changes to the whole store, like encryption)
+     */
+    async getAllEntries() {
+        return this.byTime(await this.readStore()).map(record => vault.reveal(record));
+    },
+
+    /**
+     * Helper: stored records as they are (possibly encrypted), for one
+     * profile or, with no id, for all of them
+     */
+    async readStore(profileId) {
+        return db.all(profileId);
+    },
+
+    /**
+     * Helper: overwrite stored records (matched by id)
+     */
+    async writeStore(records) {
+        await db.put(records);
+    },
+
+    /**
+     * Get the selected profile's most recent entry for a date (YYYY-MM-DD)
+     * from one respondent ('self' or 'observer') and of one check-in type
+     */
+    async getEntryForDate(date, respondent = 'self', checkinType = questions.defaultCheckinType) {
+        const matches = this.byTime(await db.byDate(profiles.currentId, date))
+            .filter(record => questions.respondentOf(record) === respondent &&
+                questions.checkinTypeOf(record) === checkinType);
+        return matches.length ? vault.reveal(matches[matches.length - 1]) : null;
+    },
+
+    /**
+     * Helper: records sorted by when they were first saved
+     */
+    byTime(records) {
+        return records.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
     },
 
     /**
      * Update local entry count display
      */
-    updateLocalCount() {
+    async updateLocalCount() {
         const countEl = document.getElementById('local-count');
         if (countEl) {
-            const entries = this.getLocalEntries();
-            countEl.textContent = entries.length;
+            countEl.textContent = await db.count(profiles.currentId);
         }
     },
 
@@ -109,17 +288,18 @@ const storage = {
      */
     async save(entry) {
         // Always save locally as backup
-        this.saveLocal(entry);
+        await this.saveLocal(entry);
 
         // Try to sync to Google Sheets if configured
-        if (this.config.sheetsUrl) {
+        if (this.sheetsUrlFor(this.profileOf(entry))) {
             try {
                 await this.sendToSheets(entry);
                 // Mark as synced
-                this.markAsSynced(entry.id);
+                await this.markAsSynced([entry]);
                 return { success: true, synced: true };
             } catch (error) {
                 console.warn('Failed to sync to sheets, saved locally:', error);
+                this.requestBackgroundSync();
                 return { success: true, synced: false, error: error.message };
             }
         }
@@ -128,184 +308,492 @@ const storage = {
     },
 
     /**
-     * Send entry to Google Sheets
+     * Send entry to Google Sheets. Resolves only once the backend has
+     * acknowledged the entry's ID (as inserted, updated or already present).
      */
     async sendToSheets(entry) {
-        if (!this.config.sheetsUrl) {
+        const { acks, errors } = await this.sendBatch([entry], this.profileOf(entry));
+
+        const ack = acks[entry.id];
+        if (!this.isAccepted(ack)) {
+            throw new Error(errors[entry.id] || 'Entry was not acknowledged by the server');
+        }
+        return ack;
+    },
+
+    /**
+     * Upload several of a profile's entries in one request, after any
+     * recordings and drawings not yet in Drive (so the rows get their
+     * links). Returns the backend's per-entry acks ('inserted', 'updated',
+     * 'duplicate' or 'rejected') and the reasons for any rejections.
+     */
+    async sendBatch(entries, profile) {
+        await attachments.upload(entries, profile);
+
+        const result = await this.request({
+            action: 'save',
+            entries: entries,
+            // Blank for the backend's default tab
+            sheet: profile.sheetName,
+            ...this.sheetPayload()
+        }, this.sheetsUrlFor(profile));
+
+        return { acks: result.acks || {}, errors: result.errors || {} };
+    },
+
+    /**
+     * What every save request carries besides its entries: the schemas let
+     * the backend derive its columns and labels (observer entries, the other
+     * check-in types and incidents go to their own tabs), the calendar tells
+     * its summaries which days were missed, and the safety keywords which
+     * notes to flag
+     */
+    sheetPayload() {
+        return {
+            schema: questions.getSheetSchema(),
+            observerSchema: questions.getSheetSchema('observer'),
+            checkinTypeSchemas: questions.getCheckinTypeSchemas(),
+            incidentSchema: questions.getIncidentSchema(),
+            calendar: schoolCalendar.config,
+            safetyKeywords: safety.config.keywords
+        };
+    },
+
+    /**
+     * Push the school calendar to the backend so its summaries count
+     * missed days the same way the app does (best effort)
+     */
+    async sendCalendar() {
+        // Every backend the profiles send to
+        const urls = new Set(profiles.list.map(profile => this.sheetsUrlFor(profile)).filter(Boolean));
+        for (const url of urls) {
+            try {
+                await this.request({ action: 'calendar', calendar: schoolCalendar.config }, url);
+            } catch (error) {
+                // Sent again with the next sync
+                console.warn('Failed to send school calendar:', error);
+            }
+        }
+    },
+
+    /**
+     * Apps Script URL a profile's entries go to (its own, else the shared one)
+     */
+    sheetsUrlFor(profile) {
+        return profile.sheetsUrl || this.config.sheetsUrl;
+    },
+
+    /**
+     * Helper: the profile an entry belongs to
+     */
+    profileOf(entry) {
+        return profiles.get(entry.profile_id) || profiles.current();
+    },
+
+    /**
+     * Whether an ack means the sheet now holds the entry
+     */
+    isAccepted(ack) {
+        return ack === 'inserted' || ack === 'updated' || ack === 'duplicate';
+    },
+
+    /**
+     * POST a request to the Apps Script backend and return its parsed reply.
+     * A text/plain body keeps this a simple request, so there is no CORS
+     * preflight (which Apps Script can't answer) and the response is readable.
+     * Goes to the selected profile's backend unless given another URL,
+     * always with the access token (every backend shares it).
+     */
+    async request(payload, url = this.sheetsUrlFor(profiles.current())) {
+        if (!url) {
             throw new Error('Google Sheets URL not configured');
         }
 
-        const response = await fetch(this.config.sheetsUrl, {
+        const response = await fetch(url, {
             method: 'POST',
-            mode: 'no-cors',
             headers: {
-                'Content-Type': 'application/json',
+                'Content-Type': 'text/plain;charset=utf-8',
             },
-            body: JSON.stringify(entry)
+            body: JSON.stringify({ ...payload, token: this.config.sheetsToken })
         });
 
-        // With no-cors we can't read response, assume success if no error
-        return true;
+        if (!response.ok) {
+            throw new Error(`Server responded with ${response.status}`);
+        }
+
+        let result;
+        try {
+            result = await response.json();
+        } catch (error) {
+            throw new Error('Unexpected response - check the Apps Script URL');
+        }
+
+        this.serverWarning = result.warning || '';
+        if (!result.success) {
+            throw new Error(result.error || 'Request failed');
+        }
+        return result;
     },
 
     /**
-     * Mark entry as synced
+     * Mark entries as synced. Accepts an id, or an array of ids or of the
+     * entries that were sent - an entry edited since it was sent (a newer
+     * revision) stays unsynced.
      */
-    markAsSynced(entryId) {
-        const entries = this.getLocalEntries();
-        const index = entries.findIndex(e => e.id === entryId);
-        if (index !== -1) {
-            entries[index].synced = true;
-            localStorage.setItem(this.config.localStorageKey, JSON.stringify(entries));
-        }
+    async markAsSynced(sent) {
+        const items = Array.isArray(sent) ? sent : [sent];
+        const revisions = new Map(items.map(item =>
+            typeof item === 'string' ? [item, undefined] : [item.id, item.revision]
+        ));
+        // Works on the stored records, so encrypted entries stay sealed
+        await db.update([...revisions.keys()], record => {
+            const revision = revisions.get(record.id);
+            if (revision !== undefined && revision !== record.revision) return false;
+            record.synced = true;
+            return true;
+        });
     },
 
     /**
-     * Sync all unsynced entries to Google Sheets
+     * Sync all unsynced entries (every profile's) to Google Sheets (Settings
+     * button). Shows per-chunk progress; after a partial failure the button
+     * offers to resume with whatever is still unsynced.
      */
     async syncAll() {
-        if (!this.config.sheetsUrl) {
+        if (!profiles.list.some(profile => this.sheetsUrlFor(profile))) {
             this.showStatus('sync-status', 'Please configure Google Sheets URL first', 'error');
             return;
         }
 
-        const entries = this.getLocalEntries();
-        const unsynced = entries.filter(e => !e.synced);
+        if (this.syncing) {
+            this.showStatus('sync-status', 'Sync already in progress...', '');
+            const result = await this.syncing;
+            this.updateSyncButton(result.stopped);
+            return;
+        }
+
+        const unsynced = (await this.unsyncedRecords()).map(record => vault.reveal(record));
+        const pending = unsynced.filter(e => !e.locked).length;
+
+        if (pending === 0 && unsynced.length > 0) {
+            this.showStatus('sync-status', 'Unsynced entries are encrypted - unlock them under Encryption first', 'error');
+            return;
+        }
 
-        if (unsynced.length === 0) {
+        if (pending === 0) {
             this.showStatus('sync-status', 'All entries already synced!', 'success');
+            this.updateSyncButton(false);
             return;
         }
 
-        this.showStatus('sync-status', `Syncing ${unsynced.length} entries...`, '');
+        this.showStatus('sync-status', `Syncing ${pending} entries...`, '');
+        this.showSyncProgress(0, pending);
+
+        const result = await this.syncPending(progress => {
+            this.showStatus('sync-status',
+                `Uploading batch ${progress.chunk} of ${progress.chunks} (${progress.done}/${progress.total} entries)...`, '');
+            this.showSyncProgress(progress.done, progress.total);
+        });
+
+        this.showSyncProgress(null);
+        this.updateSyncButton(result.stopped);
+
+        if (result.failed === 0 && result.rejected === 0 && this.serverWarning) {
+            this.showStatus('sync-status', `Synced ${result.synced} entries, but: ${this.serverWarning}`, 'error');
+        } else if (result.failed === 0 && result.rejected === 0) {
+            this.showStatus('sync-status', `Successfully synced ${result.synced} entries!`, 'success');
+        } else if (result.stopped) {
+            this.showStatus('sync-status',
+                `Synced ${result.synced} entries; ${result.failed} still waiting (${result.error}). Tap Resume Sync to continue.`, 'error');
+        } else {
+            this.showStatus('sync-status',
+                `Synced ${result.synced} entries, ${result.rejected} rejected by the server (see console)`, 'error');
+        }
+    },
+
+    /**
+     * Send every unsynced entry, without touching the UI.
+     * Concurrent callers share the sync already in progress.
+     */
+    syncPending(onProgress) {
+        if (!this.syncing) {
+            this.syncing = this.sendPending(onProgress).finally(() => {
+                this.syncing = null;
+            });
+        }
+        return this.syncing;
+    },
+
+    /**
+     * Upload unsynced entries in chunks, each profile's to its own
+     * destination. Each acknowledged chunk is marked synced straight away,
+     * so stopping part-way loses nothing and the next sync picks up where
+     * this one left off. A failing destination stops only its own profile.
+     * Encrypted entries wait until the vault is unlocked.
+     */
+    async sendPending(onProgress) {
+        const result = { synced: 0, failed: 0, rejected: 0, stopped: false };
+        const size = this.config.batchSize;
+
+        // Chunks of one profile each, so every request has a single destination
+        const batches = [];
+        for (const profile of profiles.list) {
+            if (!this.sheetsUrlFor(profile)) continue;
+            const unsynced = this.byTime(await db.unsynced(profile.id))
+                .map(record => vault.reveal(record))
+                .filter(e => !e.locked);
+            for (let i = 0; i < unsynced.length; i += size) {
+                batches.push({ profile, chunk: unsynced.slice(i, i + size) });
+            }
+        }
+
+        const total = batches.reduce((sum, batch) => sum + batch.chunk.length, 0);
+        const stopped = new Set();
+        let done = 0;
 
-        let synced = 0;
-        let failed = 0;
+        for (const [i, { profile, chunk }] of batches.entries()) {
+            if (onProgress) {
+                onProgress({ chunk: i + 1, chunks: batches.length, done, total });
+            }
+            done += chunk.length;
+
+            // This profile's backend already failed - its remaining entries wait too
+            if (stopped.has(profile.id)) {
+                result.failed += chunk.length;
+                continue;
+            }
 
-        for (const entry of unsynced) {
             try {
-                await this.sendToSheets(entry);
-                this.markAsSynced(entry.id);
-                synced++;
+                const { acks, errors } = await this.sendBatch(chunk, profile);
+                const accepted = chunk.filter(entry => this.isAccepted(acks[entry.id]));
+
+                await this.markAsSynced(accepted);
+                result.synced += accepted.length;
+
+                chunk.filter(entry => !accepted.includes(entry)).forEach(entry => {
+                    result.rejected++;
+                    console.error('Entry rejected by server:', entry.id, errors[entry.id]);
+                });
             } catch (error) {
-                failed++;
-                console.error('Failed to sync entry:', entry.id, error);
+                // The remaining entries stay unsynced for the next attempt
+                console.error(`Failed to sync batch for ${profile.name}:`, error);
+                stopped.add(profile.id);
+                result.failed += chunk.length;
+                result.stopped = true;
+                result.error = error.message;
             }
-            // Small delay between requests
-            await new Promise(resolve => setTimeout(resolve, 200));
         }
 
-        if (failed === 0) {
-            this.showStatus('sync-status', `Successfully synced ${synced} entries!`, 'success');
-        } else {
-            this.showStatus('sync-status', `Synced ${synced} entries, ${failed} failed`, 'error');
+        if (result.stopped) {
+            this.requestBackgroundSync();
         }
+        return result;
+    },
+
+    /**
+     * Helper: every profile's unsynced records
+     */
+    async unsyncedRecords() {
+        const records = [];
+        for (const profile of profiles.list) {
+            records.push(...await db.unsynced(profile.id));
+        }
+        return records;
+    },
+
+    /**
+     * Show or hide the sync progress bar (pass null to hide)
+     */
+    showSyncProgress(done, total) {
+        const bar = document.getElementById('sync-progress');
+        if (!bar) return;
+        bar.hidden = done === null;
+        if (done !== null) {
+            bar.max = total;
+            bar.value = done;
+        }
+    },
+
+    /**
+     * Label the Sync button "Resume" after a sync stopped part-way
+     */
+    async updateSyncButton(stopped) {
+        const button = document.getElementById('sync-btn');
+        if (!button) return;
+        const pending = (await this.unsyncedRecords()).length;
+        button.textContent = stopped && pending > 0
+            ? `Resume Sync (${pending} left)`
+            : 'Sync to Google Sheets';
     },
 
     /**
      * Export entries as CSV
      */
-    exportCSV() {
-        const entries = this.getLocalEntries();
+    async exportCSV() {
+        if (!adult.require() || !this.requireUnlocked()) return;
+        if (vault.enabled() && !confirm('CSV files are not encrypted. Export anyway?')) return;
+
+        const entries = await this.getLocalEntries();
         
         if (entries.length === 0) {
             alert('No entries to export');
             return;
         }
 
-        // CSV headers
+        // CSV headers (question columns come from the definitions, every
+        // questionnaire side by side), all in the data language
+        const items = questions.allItems();
+        const text = key => i18n.using(i18n.dataLanguage, () => i18n.t(key));
         const headers = [
-            'Date',
-            'Time',
-            'Overall Day (1-5)',
-            'Academic Focus (1-5)',
-            'Social Interactions',
-            'Dysregulation Count',
-            'Coping Strategy Used',
-            'Notes',
-            'Synced'
+            text('export.date'),
+            text('export.time'),
+            text('export.respondent'),
+            text('export.checkinType'),
+            ...items.map(item => questions.localize(item, i18n.dataLanguage).header),
+            text('export.incidents'),
+            text('export.synced')
         ];
 
         // Convert entries to CSV rows
         const rows = entries.map(entry => [
             entry.date,
             entry.timestamp,
-            entry.responses.overall_day,
-            entry.responses.academic_focus,
-            this.formatSocialResponse(entry.responses.social_interactions),
-            entry.responses.dysregulation_count,
-            this.formatCopingResponse(entry.responses.used_coping_strategy),
-            `"${(entry.responses.free_response || '').replace(/"/g, '""')}"`,
-            entry.synced ? 'Yes' : 'No'
+            text(`export.${questions.respondentOf(entry)}`),
+            questions.localize(questions.checkinType(questions.checkinTypeOf(entry)), i18n.dataLanguage).label,
+            ...items.map(item => questions.formatExport(item, entry.responses[item.id])),
+            questions.formatIncidents(entry.incidents),
+            text(entry.synced ? 'export.yes' : 'export.no')
         ]);
 
         // Build CSV content
         const csvContent = [
-            headers.join(','),
-            ...rows.map(row => row.join(','))
+            headers.map(cell => this.csvCell(cell)).join(','),
+            ...rows.map(row => row.map(cell => this.csvCell(cell)).join(','))
         ].join('\n');
 
         // Download
-        this.downloadFile(csvContent, `carmel-checkin-${this.getDateString()}.csv`, 'text/csv');
+        this.downloadFile(csvContent, `${this.fileName()}.csv`, 'text/csv');
     },
 
     /**
-     * Export entries as JSON
+     * Export entries, with the profile's goals and their progress and the
+     * entries' recordings and drawings, as JSON - an encrypted backup
+     * when the vault is on
      */
-    exportJSON() {
-        const entries = this.getLocalEntries();
+    async exportJSON() {
+        if (!adult.require() || !this.requireUnlocked()) return;
+
+        const entries = await this.getLocalEntries();
         
         if (entries.length === 0) {
             alert('No entries to export');
             return;
         }
 
-        const jsonContent = JSON.stringify(entries, null, 2);
-        this.downloadFile(jsonContent, `carmel-checkin-${this.getDateString()}.json`, 'application/json');
+        const contents = {
+            format: 'carmel-checkin-export',
+            version: 1,
+            profile: profiles.current().name,
+            entries,
+            goals: goals.exportData(),
+            attachments: await attachments.exportData(entries)
+        };
+
+        if (vault.enabled()) {
+            const backup = await vault.encryptBackup(contents);
+            this.downloadFile(JSON.stringify(backup, null, 2),
+                `${this.fileName()}-encrypted.json`, 'application/json');
+            return;
+        }
+
+        const jsonContent = JSON.stringify(contents, null, 2);
+        this.downloadFile(jsonContent, `${this.fileName()}.json`, 'application/json');
+    },
+
+    /**
+     * Restore from Sheets: download every entry in the selected profile's
+     * sheet, page by page, and preview merging them into the local store
+     */
+    async restoreFromSheets() {
+        if (!adult.require() || !this.requireUnlocked()) return;
+
+        const profile = profiles.current();
+        if (!this.sheetsUrlFor(profile)) {
+            this.showStatus('import-status', 'Please configure Google Sheets URL first', 'error');
+            return;
+        }
+
+        importer.cancel();
+        const rows = [];
+
+        try {
+            // The student's tab, their other check-in types' tabs, then the observer tab
+            const tabs = [
+                ...questions.checkinTypes.map(type => ({ respondent: 'self', checkinType: type.id })),
+                { respondent: 'observer' }
+            ];
+            for (const tab of tabs) {
+                let offset = 0;
+                do {
+                    this.showStatus('import-status', `Downloading from Google Sheets (${rows.length} entries so far)...`, '');
+                    const result = await this.request({ action: 'pull', sheet: profile.sheetName, ...tab, offset });
+                    rows.push(...(result.entries || []));
+                    offset = result.next;
+                } while (offset !== null && offset !== undefined);
+            }
+
+            // A shared tab holds other students' rows too (older rows have no profile)
+            const own = rows.filter(row => !row || !row.profile_id || row.profile_id === profile.id);
+            await importer.preview(own, `Google Sheets (${profile.name})`);
+        } catch (error) {
+            this.showStatus('import-status', `Restore failed: ${error.message}`, 'error');
+        }
+    },
+
+    /**
+     * Helper: true if entries can be read, otherwise tell the adult to unlock
+     */
+    requireUnlocked() {
+        if (!vault.isLocked()) return true;
+        alert('Check-ins are encrypted. Unlock them under Encryption first.');
+        return false;
     },
 
     /**
-     * Clear all local data
+     * Clear the selected profile's local data
      */
-    clearLocal() {
-        if (confirm('Are you sure you want to delete all local data? This cannot be undone.')) {
-            localStorage.removeItem(this.config.localStorageKey);
+    async clearLocal() {
+        if (!adult.require()) return;
+
+        const name = profiles.current().name;
+        if (confirm(`Are you sure you want to delete all of ${name}'s local data? This cannot be undone.`)) {
+            await db.clear(profiles.currentId);
             this.updateLocalCount();
             this.showStatus('sync-status', 'Local data cleared', 'success');
         }
     },
 
     /**
-     * Helper: Format social response for display
+     * Helper: Quote a CSV cell when it contains separators or quotes
      */
-    formatSocialResponse(value) {
-        const map = {
-            'yes_several': 'Yes, several good moments',
-            'yes_one': 'Yes, at least one',
-            'not_really': 'Not really, but okay',
-            'no_wished': 'No, and wished I had'
-        };
-        return map[value] || value || '';
+    csvCell(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
     },
 
     /**
-     * Helper: Format coping response for display
+     * Helper: export file name (without extension) for the selected profile
      */
-    formatCopingResponse(value) {
-        const map = {
-            'yes_helped': 'Yes, and it helped',
-            'yes_not_much': 'Yes, but not much',
-            'no': 'No',
-            'n/a': 'N/A (no dysregulation)'
-        };
-        return map[value] || value || '';
+    fileName() {
+        const name = profiles.current().name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return `checkin-${name || 'profile'}-${this.getDateString()}`;
     },
 
     /**
      * Helper: Get current date string for filenames
      */
     getDateString() {
-        return new Date().toISOString().split('T')[0];
+        return dates.today();
     },
 
     /**
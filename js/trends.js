@@ -0,0 +1,340 @@
+/**
+ * Trends Module for Carmel Daily Check-In
+ * History/Trends screen built from local entries, charted as inline SVG.
+ * The charts are of the student's own end-of-day check-ins; observer
+ * check-ins are shown next to them for comparison. Text is in the
+ * student's language (the meeting report draws the same charts in English).
+ */
+
+const trends = {
+    // Selected range in days
+    range: 7,
+
+    // Chart drawing area (SVG user units)
+    chart: { width: 320, height: 150, left: 28, right: 8, top: 10, bottom: 22 },
+
+    /**
+     * Open the trends screen
+     */
+    async show() {
+        await this.render();
+        app.showScreen('screen-trends');
+    },
+
+    /**
+     * Switch the date range and redraw
+     */
+    setRange(days) {
+        this.range = days;
+        this.render();
+    },
+
+    /**
+     * Draw every chart for the selected range
+     */
+    async render() {
+        document.querySelectorAll('.range-btn[data-range]').forEach(btn => {
+            btn.classList.toggle('selected', parseInt(btn.dataset.range) === this.range);
+            btn.textContent = i18n.t('trends.days', { count: parseInt(btn.dataset.range) });
+        });
+
+        const days = this.getDays(this.range);
+        const stored = await storage.getLocalEntries();
+        const inRange = e => e.date >= days[0] && e.date <= days[days.length - 1];
+        const allEntries = stored.filter(e => questions.isEndOfDay(e));
+        const entries = allEntries.filter(inRange);
+        const observed = stored.filter(e => questions.respondentOf(e) === 'observer' && inRange(e));
+        const byDate = this.groupByDate(entries);
+
+        const summaryEl = document.getElementById('trends-summary');
+        const chartsEl = document.getElementById('trends-charts');
+        if (!summaryEl || !chartsEl) return;
+
+        if (vault.isLocked()) {
+            summaryEl.textContent = i18n.t('trends.locked');
+            chartsEl.hidden = true;
+            return;
+        }
+
+        if (entries.length === 0 && observed.length === 0) {
+            summaryEl.textContent = i18n.t('trends.empty', { count: this.range });
+            chartsEl.hidden = true;
+            return;
+        }
+
+        const missed = schoolCalendar.missedDays(allEntries, days[0], days[days.length - 1]).length;
+        summaryEl.textContent = `${i18n.t('trends.checkInDays', { count: byDate.size, range: this.range })}`
+            + ` · ${i18n.t('trends.missedDays', { count: missed })}`;
+        chartsEl.hidden = false;
+
+        document.getElementById('trends-ratings').innerHTML = this.lineChart(days, [
+            { label: i18n.t('trends.overallDay'), className: 'series-a', points: this.dailyAverage(byDate, days, 'overall_day') },
+            { label: i18n.t('trends.focus'), className: 'series-b', points: this.dailyAverage(byDate, days, 'academic_focus') }
+        ], { min: 1, max: 5 });
+
+        document.getElementById('trends-observer').innerHTML = this.observerComparison(days, byDate, this.groupByDate(observed));
+
+        const dysregulation = this.dailyTotal(byDate, days, 'dysregulation_count');
+        document.getElementById('trends-dysregulation').innerHTML = this.barChart(days, dysregulation);
+
+        document.getElementById('trends-social').innerHTML = this.shareBars(
+            this.optionShares(entries, questions.get('social_interactions'))
+        );
+
+        document.getElementById('trends-coping').innerHTML = this.copingSummary(entries);
+    },
+
+    /**
+     * Date strings for the last N days, oldest first
+     */
+    getDays(count) {
+        const today = dates.today();
+        return dates.range(dates.addDays(today, -(count - 1)), today);
+    },
+
+    /**
+     * Group entries by date
+     */
+    groupByDate(entries) {
+        const map = new Map();
+        entries.forEach(entry => {
+            if (!map.has(entry.date)) map.set(entry.date, []);
+            map.get(entry.date).push(entry);
+        });
+        return map;
+    },
+
+    /**
+     * Per-day average of a numeric field (null on days without data)
+     */
+    dailyAverage(byDate, days, field) {
+        return days.map(date => {
+            const values = (byDate.get(date) || [])
+                .map(e => e.responses[field])
+                .filter(v => typeof v === 'number');
+            return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+        });
+    },
+
+    /**
+     * Per-day total of a numeric field (null on days without data)
+     */
+    dailyTotal(byDate, days, field) {
+        return days.map(date => {
+            const values = (byDate.get(date) || [])
+                .map(e => e.responses[field])
+                .filter(v => typeof v === 'number');
+            return values.length ? values.reduce((a, b) => a + b, 0) : null;
+        });
+    },
+
+    /**
+     * Share of entries giving each visible option of a choice question
+     */
+    optionShares(entries, item) {
+        const answered = entries.filter(e => this.isAnswered(item, e.responses[item.id]));
+        return questions.localize(item).options
+            .filter(option => !option.hidden)
+            .map(option => {
+                const count = answered.filter(e => e.responses[item.id] === option.value).length;
+                return {
+                    label: `${option.emoji || ''} ${option.display || option.label}`.trim(),
+                    count,
+                    share: answered.length ? count / answered.length : 0
+                };
+            });
+    },
+
+    /**
+     * Coping strategy success rate plus the answer breakdown
+     */
+    copingSummary(entries) {
+        const item = questions.get('used_coping_strategy');
+        const answered = entries.filter(e => this.isAnswered(item, e.responses[item.id]));
+
+        if (answered.length === 0) {
+            return `<p class="chart-empty">${i18n.t('trends.noCoping')}</p>`;
+        }
+
+        const helped = answered.filter(e => e.responses[item.id] === 'yes_helped').length;
+        const rate = Math.round((helped / answered.length) * 100);
+
+        return `<p class="chart-stat">${i18n.t('trends.copingRate', { rate })}</p>`
+            + this.shareBars(this.optionShares(entries, item));
+    },
+
+    /**
+     * Student and observer side by side: focus on one chart, then a row
+     * per day with an observer check-in
+     */
+    observerComparison(days, byDate, observedByDate) {
+        if (observedByDate.size === 0) {
+            return `<p class="chart-empty">${i18n.t('trends.noObserver')}</p>`;
+        }
+
+        const selfFocus = this.dailyAverage(byDate, days, 'academic_focus');
+        const observedFocus = this.dailyAverage(observedByDate, days, 'observed_focus');
+        const chart = this.lineChart(days, [
+            { label: i18n.t('trends.focusStudent'), className: 'series-b', points: selfFocus },
+            { label: i18n.t('trends.focusObserver'), className: 'series-c', points: observedFocus }
+        ], { min: 1, max: 5 });
+
+        const value = (points, i) => points[i] === null ? '–' : Math.round(points[i] * 10) / 10;
+        const selfMoments = this.dailyTotal(byDate, days, 'dysregulation_count');
+        const observedIncidents = this.dailyTotal(observedByDate, days, 'observed_incidents');
+
+        const rows = days
+            .map((date, i) => ({ date, i }))
+            .filter(({ date }) => observedByDate.has(date))
+            .reverse()
+            .map(({ date, i }) => `
+                <tr>
+                    <th scope="row">${this.formatDay(date)}</th>
+                    <td>${value(selfFocus, i)} / ${value(observedFocus, i)}</td>
+                    <td>${value(selfMoments, i)} / ${value(observedIncidents, i)}</td>
+                </tr>`).join('');
+
+        return `${chart}
+            <table class="compare-table">
+                <thead>
+                    <tr>
+                        <th scope="col">${i18n.t('trends.day')}</th>
+                        <th scope="col">${i18n.t('trends.focusCompare')}</th>
+                        <th scope="col">${i18n.t('trends.momentsCompare')}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    },
+
+    /**
+     * True for real answers (not empty or the skip value)
+     */
+    isAnswered(item, value) {
+        return value !== null && value !== undefined && value !== '' && value !== item.skipValue;
+    },
+
+    /**
+     * Helper: x coordinate for day index i
+     */
+    x(i, count) {
+        const { width, left, right } = this.chart;
+        if (count === 1) return (left + width - right) / 2;
+        return left + (i / (count - 1)) * (width - left - right);
+    },
+
+    /**
+     * Helper: y coordinate for a value within [min, max]
+     */
+    y(value, min, max) {
+        const { height, top, bottom } = this.chart;
+        return top + (1 - (value - min) / (max - min)) * (height - top - bottom);
+    },
+
+    /**
+     * Helper: short date label for the x axis
+     */
+    formatDay(date) {
+        return dates.parse(date).toLocaleDateString(i18n.language, { month: 'short', day: 'numeric' });
+    },
+
+    /**
+     * Helper: first/middle/last date labels along the x axis
+     */
+    xAxis(days) {
+        const { height } = this.chart;
+        const picks = [...new Set([0, Math.floor((days.length - 1) / 2), days.length - 1])];
+        return picks.map(i => {
+            const anchor = i === 0 ? 'start' : (i === days.length - 1 ? 'end' : 'middle');
+            return `<text class="chart-axis" x="${this.x(i, days.length)}" y="${height - 6}" text-anchor="${anchor}">${this.formatDay(days[i])}</text>`;
+        }).join('');
+    },
+
+    /**
+     * Line chart of one or more daily series. Days without data are
+     * skipped, so the line joins the check-ins either side of them.
+     */
+    lineChart(days, series, { min, max }) {
+        const { width, height, left, right } = this.chart;
+        let svg = '';
+
+        // Horizontal grid lines with value labels
+        for (let v = min; v <= max; v++) {
+            const y = this.y(v, min, max);
+            svg += `<line class="chart-grid" x1="${left}" x2="${width - right}" y1="${y}" y2="${y}"/>`;
+            svg += `<text class="chart-axis" x="${left - 6}" y="${y + 4}" text-anchor="end">${v}</text>`;
+        }
+
+        series.forEach(s => {
+            const path = s.points
+                .map((value, i) => value === null ? null : `${this.x(i, days.length)},${this.y(value, min, max)}`)
+                .filter(Boolean)
+                .map((point, i) => (i === 0 ? 'M' : 'L') + point)
+                .join(' ');
+            svg += `<path class="chart-line ${s.className}" d="${path}"/>`;
+            s.points.forEach((value, i) => {
+                if (value === null) return;
+                svg += `<circle class="chart-point ${s.className}" cx="${this.x(i, days.length)}" cy="${this.y(value, min, max)}" r="${days.length > 30 ? 2 : 3.5}">`
+                    + `<title>${this.formatDay(days[i])}: ${s.label} ${Math.round(value * 10) / 10}</title></circle>`;
+            });
+        });
+
+        svg += this.xAxis(days);
+
+        const legend = series.map(s =>
+            `<span class="legend-item"><span class="legend-swatch ${s.className}"></span>${s.label}</span>`
+        ).join('');
+
+        return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${i18n.t('trends.overTime', { series: series.map(s => s.label).join(i18n.t('trends.and')) })}">${svg}</svg>
+            <div class="chart-legend">${legend}</div>`;
+    },
+
+    /**
+     * Bar chart of a daily count
+     */
+    barChart(days, values) {
+        const { width, height, left, right } = this.chart;
+        const max = Math.max(1, ...values.filter(v => v !== null));
+        const slot = (width - left - right) / days.length;
+        const barWidth = Math.max(1, slot * 0.7);
+        const baseline = this.y(0, 0, max);
+        let svg = '';
+
+        [0, max].forEach(v => {
+            const y = this.y(v, 0, max);
+            svg += `<line class="chart-grid" x1="${left}" x2="${width - right}" y1="${y}" y2="${y}"/>`;
+            svg += `<text class="chart-axis" x="${left - 6}" y="${y + 4}" text-anchor="end">${v}</text>`;
+        });
+
+        values.forEach((value, i) => {
+            if (value === null) return;
+            const x = left + i * slot + (slot - barWidth) / 2;
+            const y = this.y(value, 0, max);
+            svg += `<rect class="chart-bar" x="${x}" y="${y}" width="${barWidth}" height="${Math.max(baseline - y, 1)}">`
+                + `<title>${this.formatDay(days[i])}: ${value}</title></rect>`;
+        });
+
+        // Bars are centred in their slots, so place axis labels the same way
+        const picks = [...new Set([0, Math.floor((days.length - 1) / 2), days.length - 1])];
+        svg += picks.map(i => {
+            const anchor = i === 0 ? 'start' : (i === days.length - 1 ? 'end' : 'middle');
+            const x = i === 0 ? left : (i === days.length - 1 ? width - right : left + (i + 0.5) * slot);
+            return `<text class="chart-axis" x="${x}" y="${height - 6}" text-anchor="${anchor}">${this.formatDay(days[i])}</text>`;
+        }).join('');
+
+        return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${i18n.t('trends.dysregulation')}">${svg}</svg>`;
+    },
+
+    /**
+     * Horizontal percentage bars, one per row
+     */
+    shareBars(rows) {
+        return `<div class="share-bars">${rows.map(row => `
+            <div class="share-row">
+                <span class="share-label">${row.label}</span>
+                <span class="share-track"><span class="share-fill" style="width: ${Math.round(row.share * 100)}%"></span></span>
+                <span class="share-value">${Math.round(row.share * 100)}%</span>
+            </div>`).join('')}
+        </div>`;
+    }
+};
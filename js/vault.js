@@ -0,0 +1,423 @@
+/**
+ * Vault Module for Carmel Daily Check-In
+ * Optional passphrase encryption of stored entries and JSON backups.
+ *
+ * Each entry is sealed on its own: its answers are encrypted with a fresh
+ * AES-GCM key, and that key is wrapped with the vault's RSA-OAEP public
+ * key. Saving a check-in therefore never needs the passphrase, but reading
+ * one back needs the private key, which is stored encrypted with an
+ * AES-GCM key derived from the passphrase (PBKDF2). Only the fields needed
+ * for day-to-day bookkeeping (id, profile, respondent, check-in type, date,
+ * timestamp, revision, synced) stay readable. Voice notes and drawings are sealed
+ * the same way, as bytes. One passphrase covers every profile on the device.
+ */
+
+const vault = {
+    storageKey: 'carmel_checkin_vault',
+
+    // PBKDF2 work factor for new vaults (stored with the vault)
+    iterations: 310000,
+
+    // Stored unencrypted next to each sealed entry
+    plainFields: ['id', 'profile_id', 'respondent', 'checkin_type', 'date', 'timestamp', 'revision', 'synced'],
+
+    // Unlocked keys, held in memory until adult mode ends
+    privateKey: null,
+    passphraseKey: null,
+
+    // Decrypted entry contents, by the iv of the sealed copy
+    opened: new Map(),
+
+    /**
+     * Show the right controls in settings
+     */
+    init() {
+        this.renderSettings();
+    },
+
+    /**
+     * Whether a passphrase has been set
+     */
+    enabled() {
+        return !!this.getRecord();
+    },
+
+    /**
+     * Whether entries are encrypted and can't be read right now
+     */
+    isLocked() {
+        return this.enabled() && !this.privateKey;
+    },
+
+    /**
+     * Turn encryption on from the settings form
+     */
+    async setup() {
+        if (!adult.require()) return;
+
+        const passphrase = document.getElementById('vault-new').value;
+        const confirmation = document.getElementById('vault-confirm').value;
+
+        if (passphrase.length < 8) {
+            storage.showStatus('vault-status', 'Use a passphrase of at least 8 characters', 'error');
+            return;
+        }
+        if (passphrase !== confirmation) {
+            storage.showStatus('vault-status', 'The passphrases don\'t match', 'error');
+            return;
+        }
+        if (!confirm('If the passphrase is lost, encrypted check-ins and backups can\'t be recovered. Turn on encryption?')) {
+            return;
+        }
+
+        storage.showStatus('vault-status', 'Encrypting...', '');
+        try {
+            await this.enable(passphrase);
+            storage.showStatus('vault-status', 'Encryption is on', 'success');
+        } catch (error) {
+            storage.showStatus('vault-status', `Could not turn on encryption: ${error.message}`, 'error');
+        }
+        this.renderSettings();
+    },
+
+    /**
+     * Create the vault and encrypt every stored entry
+     */
+    async enable(passphrase) {
+        const entries = await storage.getAllEntries();
+
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const passphraseKey = await this.deriveKey(passphrase, salt, this.iterations);
+        const keyPair = await crypto.subtle.generateKey(
+            { name: 'RSA-OAEP', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+            true, ['wrapKey', 'unwrapKey']
+        );
+
+        const publicKey = await crypto.subtle.exportKey('spki', keyPair.publicKey);
+        const privateKey = await crypto.subtle.exportKey('pkcs8', keyPair.privateKey);
+
+        this.saveRecord({
+            version: 1,
+            salt: this.toBase64(salt),
+            iterations: this.iterations,
+            publicKey: this.toBase64(new Uint8Array(publicKey)),
+            privateKey: await this.encrypt(passphraseKey, new Uint8Array(privateKey))
+        });
+
+        this.privateKey = keyPair.privateKey;
+        this.passphraseKey = passphraseKey;
+
+        const sealed = [];
+        for (const entry of entries) {
+            sealed.push(await this.seal(entry));
+        }
+        await storage.writeStore(sealed);
+        await attachments.reseal(true);
+    },
+
+    /**
+     * Unlock from the settings form
+     */
+    async unlockFromSettings() {
+        if (!adult.require()) return;
+
+        const input = document.getElementById('vault-passphrase');
+        storage.showStatus('vault-status', 'Unlocking...', '');
+
+        if (await this.unlock(input.value)) {
+            input.value = '';
+            storage.showStatus('vault-status', 'Unlocked until you leave Settings', 'success');
+            storage.syncPending();
+        } else {
+            storage.showStatus('vault-status', 'Wrong passphrase', 'error');
+        }
+        this.renderSettings();
+    },
+
+    /**
+     * Unlock with the passphrase and decrypt every stored entry.
+     * Returns false for a wrong passphrase.
+     */
+    async unlock(passphrase) {
+        const record = this.getRecord();
+        if (!record) return true;
+
+        const passphraseKey = await this.deriveKey(passphrase, this.fromBase64(record.salt), record.iterations);
+        let pkcs8;
+        try {
+            pkcs8 = await this.decrypt(passphraseKey, record.privateKey);
+        } catch (error) {
+            // AES-GCM authentication fails on the wrong key
+            return false;
+        }
+
+        this.privateKey = await crypto.subtle.importKey(
+            'pkcs8', pkcs8, { name: 'RSA-OAEP', hash: 'SHA-256' }, false, ['unwrapKey']
+        );
+        this.passphraseKey = passphraseKey;
+
+        const migrated = [];
+        for (const record of await storage.readStore()) {
+            if (record.sealed && !this.opened.has(record.sealed.iv)) {
+                try {
+                    this.opened.set(record.sealed.iv, await this.open(record.sealed));
+                } catch (error) {
+                    console.error('Could not decrypt entry:', record.id, error);
+                    continue;
+                }
+            }
+            // Entries sealed before the check-in type was kept readable
+            const contents = record.sealed && this.opened.get(record.sealed.iv);
+            if (contents && contents.checkin_type !== undefined && record.checkin_type === undefined) {
+                migrated.push({ ...record, checkin_type: contents.checkin_type });
+            }
+        }
+        if (migrated.length > 0) {
+            await storage.writeStore(migrated);
+        }
+        return true;
+    },
+
+    /**
+     * Forget the keys and decrypted entries
+     */
+    lock() {
+        this.privateKey = null;
+        this.passphraseKey = null;
+        this.opened.clear();
+        this.renderSettings();
+        storage.showStatus('vault-status', 'Locked', 'success');
+    },
+
+    /**
+     * Decrypt every entry and remove the passphrase
+     */
+    async disable() {
+        if (!adult.require() || this.isLocked()) return;
+        if (!confirm('Store check-ins unencrypted on this device again?')) return;
+
+        const entries = await storage.getAllEntries();
+        if (entries.some(entry => entry.locked)) {
+            storage.showStatus('vault-status', 'Some entries could not be decrypted, so encryption was left on', 'error');
+            return;
+        }
+        try {
+            await attachments.reseal(false);
+        } catch (error) {
+            storage.showStatus('vault-status', 'Some attachments could not be decrypted, so encryption was left on', 'error');
+            return;
+        }
+        await storage.writeStore(entries.map(entry => {
+            const plain = { ...entry };
+            delete plain.sealed;
+            return plain;
+        }));
+        localStorage.removeItem(this.storageKey);
+
+        this.privateKey = null;
+        this.passphraseKey = null;
+        this.opened.clear();
+        this.renderSettings();
+        storage.showStatus('vault-status', 'Encryption is off', 'success');
+    },
+
+    /**
+     * Encrypt an entry for storage: bookkeeping fields stay readable,
+     * everything else is sealed with the public key
+     */
+    async seal(entry) {
+        // A new revision of an entry edited while locked starts from its stub
+        entry = { ...entry };
+        delete entry.locked;
+        delete entry.sealed;
+
+        const sealed = await this.sealBytes(new TextEncoder().encode(JSON.stringify(entry)));
+
+        // We already know what's inside
+        if (this.privateKey) {
+            this.opened.set(sealed.iv, entry);
+        }
+
+        const stored = { sealed };
+        this.plainFields.forEach(field => {
+            if (entry[field] !== undefined) stored[field] = entry[field];
+        });
+        return stored;
+    },
+
+    /**
+     * Decrypt a sealed entry (needs the vault unlocked)
+     */
+    async open(sealed) {
+        return JSON.parse(new TextDecoder().decode(await this.openBytes(sealed)));
+    },
+
+    /**
+     * Encrypt bytes with a fresh AES-GCM key wrapped with the public key,
+     * to { key, iv, data } (base64)
+     */
+    async sealBytes(bytes) {
+        const record = this.getRecord();
+        const publicKey = await crypto.subtle.importKey(
+            'spki', this.fromBase64(record.publicKey), { name: 'RSA-OAEP', hash: 'SHA-256' }, false, ['wrapKey']
+        );
+
+        const contentKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+        const wrapped = await crypto.subtle.wrapKey('raw', contentKey, publicKey, { name: 'RSA-OAEP' });
+        return {
+            key: this.toBase64(new Uint8Array(wrapped)),
+            ...await this.encrypt(contentKey, bytes)
+        };
+    },
+
+    /**
+     * Decrypt bytes sealed by sealBytes (needs the vault unlocked)
+     */
+    async openBytes(sealed) {
+        const contentKey = await crypto.subtle.unwrapKey(
+            'raw', this.fromBase64(sealed.key), this.privateKey, { name: 'RSA-OAEP' },
+            { name: 'AES-GCM' }, false, ['decrypt']
+        );
+        return this.decrypt(contentKey, sealed);
+    },
+
+    /**
+     * The readable form of a stored record. While locked, a sealed entry
+     * comes back as just its bookkeeping fields, flagged `locked`.
+     */
+    reveal(record) {
+        if (!record.sealed) return record;
+
+        const contents = this.opened.get(record.sealed.iv);
+        if (!contents) {
+            const stub = { locked: true };
+            this.plainFields.forEach(field => {
+                if (record[field] !== undefined) stub[field] = record[field];
+            });
+            return stub;
+        }
+
+        // The stored bookkeeping fields win (e.g. synced changes after sealing)
+        const entry = { ...contents };
+        this.plainFields.forEach(field => {
+            if (record[field] !== undefined) entry[field] = record[field];
+        });
+        return entry;
+    },
+
+    /**
+     * Encrypt a backup with the vault passphrase (needs the vault unlocked)
+     */
+    async encryptBackup(contents) {
+        const record = this.getRecord();
+        return {
+            format: 'carmel-checkin-backup',
+            version: 1,
+            encrypted: true,
+            salt: record.salt,
+            iterations: record.iterations,
+            ...await this.encrypt(this.passphraseKey, new TextEncoder().encode(JSON.stringify(contents)))
+        };
+    },
+
+    /**
+     * Decrypt a backup made by encryptBackup. Throws on a wrong passphrase.
+     */
+    async decryptBackup(backup, passphrase) {
+        const key = await this.deriveKey(passphrase, this.fromBase64(backup.salt), backup.iterations);
+        try {
+            return JSON.parse(new TextDecoder().decode(await this.decrypt(key, backup)));
+        } catch (error) {
+            throw new Error('Wrong passphrase or damaged backup');
+        }
+    },
+
+    /**
+     * Show setup, unlock or lock/turn-off controls in settings
+     */
+    renderSettings() {
+        const sections = {
+            'vault-setup': !this.enabled(),
+            'vault-unlock': this.isLocked(),
+            'vault-unlocked': this.enabled() && !this.isLocked()
+        };
+        Object.entries(sections).forEach(([id, visible]) => {
+            const el = document.getElementById(id);
+            if (el) el.hidden = !visible;
+        });
+        ['vault-new', 'vault-confirm'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
+    },
+
+    /**
+     * Helper: AES-GCM key from a passphrase
+     */
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']
+        );
+    },
+
+    /**
+     * Helper: AES-GCM encrypt bytes to { iv, data } (base64)
+     */
+    async encrypt(key, bytes) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+        return { iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(data)) };
+    },
+
+    /**
+     * Helper: AES-GCM decrypt { iv, data } (base64) to bytes
+     */
+    async decrypt(key, { iv, data }) {
+        return crypto.subtle.decrypt({ name: 'AES-GCM', iv: this.fromBase64(iv) }, key, this.fromBase64(data));
+    },
+
+    /**
+     * Helper: the stored vault, or null if encryption is off
+     */
+    getRecord() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Helper: persist the vault
+     */
+    saveRecord(record) {
+        localStorage.setItem(this.storageKey, JSON.stringify(record));
+    },
+
+    /**
+     * Helper: bytes to base64 (chunked, so large entries don't overflow the stack)
+     */
+    toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    },
+
+    /**
+     * Helper: base64 to bytes
+     */
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    }
+};
+
+// Initialize vault when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    vault.init();
+});
@@ -0,0 +1,403 @@
+/**
+ * Service Worker for Carmel Daily Check-In
+ * Offline app shell, font fallback, reminders, and background sync of
+ * pending entries (sent from here, with an open page as the fallback)
+ */
+
+// Bump the version whenever a shell file changes so clients pick it up
+const CACHE_VERSION = 'v34';
+const SHELL_CACHE = `carmel-shell-${CACHE_VERSION}`;
+const FONT_CACHE = `carmel-fonts-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'css/styles.css',
+    'js/dates.js',
+    'js/i18n.js',
+    'js/questions.js',
+    'js/incidents.js',
+    'js/db.js',
+    'js/profiles.js',
+    'js/vault.js',
+    'js/attachments.js',
+    'js/storage.js',
+    'js/importer.js',
+    'js/adult.js',
+    'js/safety.js',
+    'js/calendar.js',
+    'js/goals.js',
+    'js/reminders.js',
+    'js/trends.js',
+    'js/report.js',
+    'js/insights.js',
+    'js/speech.js',
+    'js/app.js',
+    'manifest.json',
+    'icon.svg',
+    'icon-192.png',
+    'icon-512.png'
+];
+
+// Must match storage.config.syncTag, syncCache and syncStateUrl.
+// Like the reminder cache, the sync cache holds state written by the page.
+const SYNC_TAG = 'sync-entries';
+const SYNC_CACHE = 'carmel-sync';
+const SYNC_STATE_URL = 'sync-state.json';
+
+// Must match db.name, db.entryStore and the profile_synced index in db.js
+const DB_NAME = 'carmel-checkin';
+const ENTRY_STORE = 'entries';
+
+// Must match reminders.stateCache, reminders.stateUrl and reminders.periodicTag.
+// The reminder cache holds state written by the page, so it isn't versioned.
+const REMINDER_CACHE = 'carmel-reminders';
+const REMINDER_STATE_URL = 'reminder-state.json';
+const REMINDER_TAG = 'checkin-reminder';
+
+// Served in place of the Google Fonts stylesheet when it can't be fetched,
+// mapping the app's font families onto fonts already on the device
+const FALLBACK_FONT_CSS = ['Nunito', 'Quicksand'].map(family => `
+@font-face {
+    font-family: '${family}';
+    src: local('${family}'), local('Segoe UI'), local('Roboto'), local('Helvetica Neue'), local('Arial');
+}`).join('\n');
+
+/**
+ * Precache the app shell
+ */
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+/**
+ * Remove caches from previous versions
+ */
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, FONT_CACHE, REMINDER_CACHE, SYNC_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => !current.includes(key)).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Route GET requests: fonts get their own caching, the shell is
+ * served from cache and refreshed in the background
+ */
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.hostname === 'fonts.googleapis.com') {
+        event.respondWith(fontStylesheet(request));
+    } else if (url.hostname === 'fonts.gstatic.com') {
+        event.respondWith(cacheFirst(request, FONT_CACHE));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+/**
+ * Drain unsynced entries when connectivity returns
+ */
+self.addEventListener('sync', (event) => {
+    if (event.tag === SYNC_TAG) {
+        event.waitUntil(syncEntries());
+    }
+});
+
+/**
+ * Periodic wake-up (where Notification Triggers aren't available):
+ * show today's reminder once its time has passed
+ */
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === REMINDER_TAG) {
+        event.waitUntil(checkReminder());
+    }
+});
+
+/**
+ * Open (or focus) the app when a reminder is tapped
+ */
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            if (windows.length > 0) return windows[0].focus();
+            return self.clients.openWindow('./');
+        })
+    );
+});
+
+/**
+ * Network-first for the font stylesheet, falling back to the cached copy
+ * and then to local fonts
+ */
+async function fontStylesheet(request) {
+    const cache = await caches.open(FONT_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        return cached || new Response(FALLBACK_FONT_CSS, {
+            headers: { 'Content-Type': 'text/css' }
+        });
+    }
+}
+
+/**
+ * Cache-first for immutable assets (font files)
+ */
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // Let the browser fall back to the next font in the stack
+        return new Response('', { status: 504 });
+    }
+}
+
+/**
+ * Serve the app shell from cache, updating it from the network
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => null);
+
+    if (cached) return cached;
+
+    const response = await network;
+    if (response) return response;
+
+    // Offline navigation to an uncached URL - serve the app
+    if (request.mode === 'navigate') {
+        return cache.match('index.html');
+    }
+    return new Response('', { status: 504 });
+}
+
+/**
+ * Send unsynced entries straight from the database, then hand whatever
+ * the worker can't send (encrypted entries, recordings and drawings not
+ * yet in Drive) to an open window. Rejecting lets the browser retry the
+ * sync later.
+ */
+async function syncEntries() {
+    let result = null;
+    try {
+        result = await syncFromWorker();
+    } catch (error) {
+        console.warn('Background sync failed:', error);
+    }
+    if (result && result.failed === 0 && result.skipped === 0) return;
+
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length === 0) {
+        // Skipped entries wait for the app to be opened; failures are retried
+        if (!result || result.failed > 0) {
+            throw new Error('Some entries could not be synced');
+        }
+        return;
+    }
+    await requestClientSync(windows[0]);
+}
+
+/**
+ * Upload each profile's unsynced entries in batches with the destinations,
+ * token and schemas the page stored, marking the acknowledged ones synced
+ * (unless edited since). Returns null if there's nothing to sync with.
+ */
+async function syncFromWorker() {
+    const cache = await caches.open(SYNC_CACHE);
+    const response = await cache.match(SYNC_STATE_URL);
+    if (!response) return null;
+    const state = await response.json();
+
+    const database = await openDatabase();
+    if (!database) return null;
+
+    const result = { synced: 0, failed: 0, skipped: 0 };
+    try {
+        for (const destination of state.destinations) {
+            const rows = (await readUnsynced(database, destination.profileId))
+                .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+            const ready = rows.filter(row =>
+                !row.sealed && (row.attachments || []).every(attachment => attachment.url));
+            result.skipped += rows.length - ready.length;
+
+            for (let i = 0; i < ready.length; i += state.batchSize) {
+                const chunk = ready.slice(i, i + state.batchSize);
+                let acks;
+                try {
+                    acks = await sendBatch(chunk, destination, state);
+                } catch (error) {
+                    // This profile's remaining entries wait for the retry
+                    console.warn(`Background sync failed for ${destination.sheet || 'the default tab'}:`, error);
+                    result.failed += ready.length - i;
+                    break;
+                }
+                const accepted = chunk.filter(row => ['inserted', 'updated', 'duplicate'].includes(acks[row.id]));
+                await markSynced(database, accepted);
+                result.synced += accepted.length;
+                // Rejected entries need the page to look at them
+                result.skipped += chunk.length - accepted.length;
+            }
+        }
+    } finally {
+        database.close();
+    }
+    return result;
+}
+
+/**
+ * POST one batch as the page's storage.sendBatch does and return the acks
+ */
+async function sendBatch(rows, destination, state) {
+    const entries = rows.map(({ syncedFlag, ...entry }) => entry);
+    const response = await fetch(destination.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+        body: JSON.stringify({
+            action: 'save',
+            entries,
+            sheet: destination.sheet,
+            ...state.payload,
+            token: state.token
+        })
+    });
+    if (!response.ok) {
+        throw new Error(`Server responded with ${response.status}`);
+    }
+    const result = await response.json();
+    if (!result.success) {
+        throw new Error(result.error || 'Request failed');
+    }
+    return result.acks || {};
+}
+
+/**
+ * Open the app's database as it is, or null if the app hasn't created it
+ * (creating it here would get in the way of the page's migrations)
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME);
+        request.onupgradeneeded = () => request.transaction.abort();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => (request.error && request.error.name === 'AbortError' ? resolve(null) : reject(request.error));
+    });
+}
+
+/**
+ * A profile's unsynced rows, as stored
+ */
+function readUnsynced(database, profileId) {
+    return new Promise((resolve, reject) => {
+        const request = database.transaction(ENTRY_STORE).objectStore(ENTRY_STORE)
+            .index('profile_synced').getAll([profileId, 0]);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Mark sent rows synced, skipping any edited since they were read
+ * (a newer revision), as storage.markAsSynced does
+ */
+function markSynced(database, rows) {
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(ENTRY_STORE, 'readwrite');
+        const store = transaction.objectStore(ENTRY_STORE);
+        rows.forEach(row => {
+            const request = store.get(row.id);
+            request.onsuccess = () => {
+                const stored = request.result;
+                if (!stored || stored.revision !== row.revision) return;
+                store.put({ ...stored, synced: true, syncedFlag: 1 });
+            };
+        });
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Ask an open window to sync the entries the worker couldn't
+ */
+async function requestClientSync(client) {
+    const result = await new Promise((resolve) => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = (event) => resolve(event.data);
+        client.postMessage({ type: SYNC_TAG }, [channel.port2]);
+        // Don't hold the sync event open if the page never answers
+        setTimeout(() => resolve(null), 60000);
+    });
+
+    if (!result || result.failed > 0) {
+        throw new Error('Some entries could not be synced');
+    }
+}
+
+/**
+ * Show today's reminder if it's a school day, the reminder time has
+ * passed, there's no entry for today and it hasn't been shown already
+ */
+async function checkReminder() {
+    const cache = await caches.open(REMINDER_CACHE);
+    const response = await cache.match(REMINDER_STATE_URL);
+    if (!response) return;
+
+    const state = await response.json();
+    const now = new Date();
+    const pad = n => String(n).padStart(2, '0');
+    const today = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    const [hours, minutes] = state.time.split(':').map(Number);
+
+    if (!state.enabled || state.notified === today) return;
+    if (!state.schoolDays.includes(today) || state.checkedIn.includes(today)) return;
+    if (now.getHours() * 60 + now.getMinutes() < hours * 60 + minutes) return;
+
+    await self.registration.showNotification(state.title, {
+        body: state.body,
+        tag: `reminder-${today}`,
+        icon: 'icon-192.png',
+        badge: 'icon-192.png',
+        data: { date: today }
+    });
+
+    state.notified = today;
+    await cache.put(REMINDER_STATE_URL, new Response(JSON.stringify(state), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+}